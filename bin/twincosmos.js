@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+/**
+ * twincosmos - command-line entry (see src/cli/index.js)
+ */
+
+import { main } from '../src/cli/index.js';
+
+// Output piped into e.g. `head`: stop quietly once the reader is gone
+process.stdout.on('error', (error) => {
+  if (error.code === 'EPIPE') process.exit(0);
+  throw error;
+});
+
+main().catch((error) => {
+  console.error(`twincosmos: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -47,11 +47,12 @@ async function main() {
   
   // Get final state
   const state = cosmos.getState();
+  const history = cosmos.components.source.getHistory();
   
   console.log('📈 Final Statistics:');
   console.log(`  - Simulation time: ${state.time.toFixed(1)}s`);
-  console.log(`  - Peak temperature: ${(Math.max(...state.fusion.history.map(h => h.temperature))/1e6).toFixed(1)}MK`);
-  console.log(`  - Peak stability: ${(Math.max(...state.fusion.history.map(h => h.stability))*100).toFixed(1)}%`);
+  console.log(`  - Peak temperature: ${(Math.max(...history.map(h => h.temperature))/1e6).toFixed(1)}MK`);
+  console.log(`  - Peak stability: ${(Math.max(...history.map(h => h.stability))*100).toFixed(1)}%`);
   console.log(`  - Total decisions: ${state.decisions.length}`);
   console.log();
   
@@ -62,6 +63,13 @@ async function main() {
     patterns.slice(0, 5).forEach((p, i) => {
       console.log(`  ${i+1}. ${p.key}: count=${p.count}, avgScore=${(p.avgScore*100).toFixed(1)}%`);
     });
+    
+    console.log();
+    console.log('🎯 Strategy Reinforcement (per-strategy γ / B):');
+    cosmos.components.decision.getStrategies().forEach((s) => {
+      console.log(`  - ${s.key.padEnd(20)} γ=${s.gamma.toFixed(2)} B=${s.barrier.toFixed(2)} ` +
+        `P=${(s.probability*100).toFixed(1)}% selected=${s.selections} reward=${s.meanReward.toFixed(3)}`);
+    });
   }
   
   console.log();
@@ -17,7 +17,8 @@ function demoDecisionEngine() {
   const engine = new DecisionEngine({
     barrier: 0.5,
     gamma: 2.0,
-    decisionThreshold: 0.7
+    decisionThreshold: 0.7,
+    creditDelay: 1      // score each decision against the next test state
   });
   
   // Test cases representing different fusion states
@@ -67,6 +68,17 @@ function demoDecisionEngine() {
     console.log(`   Rationale: ${decision.rationale.join(', ')}`);
   }
   
+  // Decisions are scored creditDelay steps later: replay the sequence a
+  // few more times so every pattern has scored outcomes
+  const rounds = 3;
+  for (let round = 0; round < rounds; round++) {
+    for (const testCase of testCases) {
+      engine.decide(testCase.state);
+    }
+  }
+  console.log(`\n(Replayed the sequence ${rounds} more times; each decision is scored ` +
+    `against the state ${engine.config.creditDelay} step(s) later)`);
+  
   // Show learning results
   console.log('\n' + '='.repeat(60));
   console.log('📊 Learning Results (Hebb Theory):');
@@ -77,8 +89,8 @@ function demoDecisionEngine() {
   
   patterns.forEach((p, i) => {
     console.log(`  ${i+1}. Pattern "${p.key}":`);
-    console.log(`     - Occurrences: ${p.count}`);
-    console.log(`     - Success Rate: ${(p.avgScore*100).toFixed(1)}%`);
+    console.log(`     - Occurrences: ${p.count} (${p.evaluations} scored, ${p.count - p.evaluations} pending)`);
+    console.log(`     - Success Rate: ${p.evaluations > 0 ? `${(p.avgScore*100).toFixed(1)}%` : 'pending'}`);
   });
   
   console.log('\n✅ Decision Engine Demo Complete!');
@@ -0,0 +1,344 @@
+/**
+ * AlarmManager - Early warnings on the twin state
+ *
+ * Rules raise alarms on:
+ * - threshold: a metric above / below a limit
+ * - rate:      a metric's rate of change (per s) above / below a limit
+ * - predicted: a threshold crossing expected within `horizon` seconds,
+ *              from a short look-ahead run of a forked FusionSimulator
+ *              (controls held at their current values)
+ *
+ * A forecast forks the simulator (a structured clone of its state) and
+ * steps the fork over the longest horizon, horizon / lookaheadStep
+ * simulator steps: ~10 extra steps per forecast with the defaults. So
+ * predicted rules are opt-in (FORECAST_RULES, not in DEFAULT_RULES) and
+ * a forecast is reused, shifted in time, for `forecastInterval` seconds.
+ *
+ * Hysteresis: an active alarm clears only once the value is back past
+ * the threshold by `deadband`. Debounce: a condition must hold for
+ * `delay` seconds before the alarm is raised, and be gone for
+ * `clearDelay` seconds before it clears.
+ *
+ * An alarm stays listed until it is both cleared and acknowledged.
+ * Every change is logged and emitted as 'raised', 'cleared' or
+ * 'acknowledged' (with the alarm), and as 'alarm' with { type, alarm }.
+ */
+
+import { EventEmitter } from 'node:events';
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+export const RULE_TYPES = ['threshold', 'rate', 'predicted'];
+
+// Preprint 6.1.2: critical-ignition warning at a V5 stability probability P ≥ 0.8
+export const DEFAULT_RULES = [
+  {
+    id: 'critical-ignition', type: 'threshold', metric: 'stability',
+    direction: 'above', threshold: 0.8, deadband: 0.05, severity: 'critical'
+  },
+  {
+    id: 'disruption-risk', type: 'threshold', metric: 'disruptionRisk',
+    direction: 'above', threshold: 0.5, deadband: 0.1, delay: 0.2, severity: 'warning'
+  }
+];
+
+// Early critical-ignition warning; opt-in: rules: [...DEFAULT_RULES, ...FORECAST_RULES]
+export const FORECAST_RULES = [
+  {
+    id: 'critical-ignition-forecast', type: 'predicted', metric: 'stability',
+    direction: 'above', threshold: 0.8, horizon: 5, delay: 0.3, clearDelay: 1, severity: 'warning'
+  }
+];
+
+/**
+ * Metric value from a state: dotted path ('limits.fractions.beta') or (state) => number
+ */
+function readMetric(state, metric) {
+  if (typeof metric === 'function') return metric(state);
+  return metric.split('.').reduce((value, key) => value?.[key], state);
+}
+
+export class AlarmManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = {
+      rules: config.rules || DEFAULT_RULES,
+      horizon: config.horizon || 5,            // s, default look-ahead of predicted rules
+      lookaheadStep: config.lookaheadStep || 0.5, // s per forecast step
+      forecastInterval: config.forecastInterval ?? 1, // s a forecast is reused before the next fork
+      maxLog: config.maxLog || 500,
+      ...config
+    };
+
+    this.rules = [];
+    this.config.rules.forEach(rule => this.addRule(rule));
+
+    this.alarms = new Map();    // id → alarm (active, or cleared but unacknowledged)
+    this.tracking = new Map();  // id → { previous, pendingSince, clearSince }
+    this.log = [];
+    this.time = 0;
+    this.lastForecast = null;   // { time, points } of the last look-ahead run
+  }
+
+  addRule(rule) {
+    if (!rule.id) {
+      throw new Error('Alarm rule needs an id');
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Unknown alarm rule type: ${rule.type}`);
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Unknown alarm severity: ${rule.severity}`);
+    }
+    if (this.rules.some(r => r.id === rule.id)) {
+      throw new Error(`Duplicate alarm rule: ${rule.id}`);
+    }
+
+    this.rules.push({
+      direction: 'above',
+      deadband: 0,
+      delay: 0,
+      clearDelay: 0,
+      severity: 'warning',
+      horizon: this.config.horizon,
+      ...rule
+    });
+  }
+
+  removeRule(id) {
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    this.tracking.delete(id);
+  }
+
+  /**
+   * Check every rule against a fusion state
+   * @param {Object} context - simulator (FusionSimulator, needed by predicted rules), time
+   * @returns {Object} { events, active } log entries of this call and alarms still listed
+   */
+  evaluate(state, context = {}) {
+    const time = context.time ?? state.time ?? this.time;
+    this.time = time;
+
+    const forecast = context.simulator ? this.forecast(context.simulator, time) : null;
+    const events = [];
+
+    for (const rule of this.rules) {
+      const engaged = Boolean(this.alarms.get(rule.id)?.active);
+      const value = this.measure(rule, state, forecast, engaged, time);
+      const condition = rule.type === 'predicted'
+        ? value <= rule.horizon
+        : this.exceeds(value, rule, engaged);
+
+      const track = this.track(rule.id);
+      if (condition && !engaged) {
+        track.pendingSince ??= time;
+        if (time - track.pendingSince >= rule.delay) {
+          events.push(this.raise(rule, value, time));
+          track.pendingSince = null;
+        }
+      } else if (!condition && engaged) {
+        track.clearSince ??= time;
+        if (time - track.clearSince >= rule.clearDelay) {
+          events.push(this.clear(rule.id, value, time));
+          track.clearSince = null;
+        }
+      } else {
+        track.pendingSince = null;
+        track.clearSince = null;
+      }
+    }
+
+    return { events, active: this.getActive() };
+  }
+
+  track(id) {
+    if (!this.tracking.has(id)) {
+      this.tracking.set(id, { previous: null, pendingSince: null, clearSince: null });
+    }
+    return this.tracking.get(id);
+  }
+
+  /**
+   * Rule value: the metric, its rate (per s), or the predicted time (s)
+   * to the threshold crossing (Infinity if none within the forecast)
+   */
+  measure(rule, state, forecast, engaged, time) {
+    if (rule.type === 'threshold') {
+      return readMetric(state, rule.metric);
+    }
+
+    if (rule.type === 'rate') {
+      const value = readMetric(state, rule.metric);
+      const track = this.track(rule.id);
+      const previous = track.previous;
+      track.previous = { time, value };
+      if (!previous || !(time > previous.time)) return null;
+      return (value - previous.value) / (time - previous.time);
+    }
+
+    if (!forecast) return Infinity;
+    const crossing = forecast.find(point =>
+      point.offset <= rule.horizon && this.exceeds(readMetric(point.state, rule.metric), rule, engaged)
+    );
+    return crossing ? crossing.offset : Infinity;
+  }
+
+  /**
+   * Threshold test; an active alarm needs the value back past the
+   * threshold by the deadband to clear
+   */
+  exceeds(value, rule, engaged) {
+    if (!Number.isFinite(value)) return false;
+    const margin = engaged ? rule.deadband : 0;
+    return rule.direction === 'below'
+      ? value <= rule.threshold + margin
+      : value >= rule.threshold - margin;
+  }
+
+  /**
+   * Look-ahead trajectory from a fork of the simulator (the simulator
+   * itself is untouched), or the last one with offsets shifted if it is
+   * less than forecastInterval old; null without predicted rules
+   */
+  forecast(simulator, time = this.time) {
+    const predicted = this.rules.filter(rule => rule.type === 'predicted');
+    if (predicted.length === 0) return null;
+
+    const last = this.lastForecast;
+    const age = last ? time - last.time : Infinity;
+    if (age >= 0 && age < this.config.forecastInterval) {
+      return last.points
+        .map(point => ({ offset: point.offset - age, state: point.state }))
+        .filter(point => point.offset > 0);
+    }
+
+    const horizon = Math.max(...predicted.map(rule => rule.horizon));
+    const sim = simulator.fork();
+    const points = [];
+    let offset = 0;
+    while (offset < horizon - 1e-9) {
+      const dt = Math.min(this.config.lookaheadStep, horizon - offset);
+      offset += dt;
+      points.push({ offset, state: sim.step(dt) });
+    }
+    this.lastForecast = { time, points };
+    return points;
+  }
+
+  describe(rule, value) {
+    if (rule.message) return rule.message;
+    const metric = typeof rule.metric === 'string' ? rule.metric : rule.id;
+    const op = rule.direction === 'below' ? '≤' : '≥';
+    switch (rule.type) {
+      case 'rate':
+        return `d(${metric})/dt ${op} ${rule.threshold}/s (${value.toPrecision(3)}/s)`;
+      case 'predicted':
+        return `${metric} ${op} ${rule.threshold} predicted in ${value.toFixed(1)}s`;
+      default:
+        return `${metric} ${op} ${rule.threshold} (${value.toPrecision(3)})`;
+    }
+  }
+
+  raise(rule, value, time) {
+    const previous = this.alarms.get(rule.id);
+    const alarm = {
+      id: rule.id,
+      type: rule.type,
+      severity: rule.severity,
+      value,
+      threshold: rule.threshold,
+      message: this.describe(rule, value),
+      active: true,
+      acknowledged: false,
+      raisedAt: time,
+      clearedAt: null,
+      acknowledgedAt: null,
+      count: (previous?.count || 0) + 1
+    };
+    this.alarms.set(rule.id, alarm);
+    return this.record('raised', alarm, time);
+  }
+
+  clear(id, value, time) {
+    const alarm = this.alarms.get(id);
+    alarm.active = false;
+    alarm.clearedAt = time;
+    alarm.value = value;
+    if (alarm.acknowledged) this.alarms.delete(id);
+    return this.record('cleared', alarm, time);
+  }
+
+  /**
+   * Operator acknowledgement; a cleared alarm is removed once acknowledged
+   * @returns {Object|null} the log entry, null if there is no such alarm
+   */
+  acknowledge(id, time = this.time) {
+    const alarm = this.alarms.get(id);
+    if (!alarm || alarm.acknowledged) return null;
+
+    alarm.acknowledged = true;
+    alarm.acknowledgedAt = time;
+    if (!alarm.active) this.alarms.delete(id);
+    return this.record('acknowledged', alarm, time);
+  }
+
+  acknowledgeAll(time = this.time) {
+    return [...this.alarms.keys()].map(id => this.acknowledge(id, time)).filter(Boolean);
+  }
+
+  record(type, alarm, time) {
+    const entry = {
+      type,
+      time,
+      id: alarm.id,
+      severity: alarm.severity,
+      value: alarm.value,
+      message: alarm.message
+    };
+    this.log.push(entry);
+    if (this.log.length > this.config.maxLog) {
+      this.log.shift();
+    }
+
+    this.emit(type, { ...alarm });
+    this.emit('alarm', { type, alarm: { ...alarm } });
+    return entry;
+  }
+
+  /**
+   * Listed alarms, most severe first
+   */
+  getActive() {
+    return [...this.alarms.values()]
+      .map(alarm => ({ ...alarm }))
+      .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || a.raisedAt - b.raisedAt);
+  }
+
+  getLog() {
+    return [...this.log];
+  }
+
+  /**
+   * Serializable alarm state (rules are configuration and not included)
+   */
+  snapshot() {
+    return structuredClone({
+      time: this.time,
+      alarms: [...this.alarms.values()],
+      tracking: [...this.tracking.entries()],
+      log: this.log
+    });
+  }
+
+  restore(snapshot) {
+    const data = structuredClone(snapshot);
+    this.time = data.time;
+    this.alarms = new Map(data.alarms.map(alarm => [alarm.id, alarm]));
+    this.tracking = new Map(data.tracking);
+    this.log = data.log;
+    this.lastForecast = null;
+    return this;
+  }
+}
+
+export default AlarmManager;
@@ -0,0 +1,234 @@
+/**
+ * Monte Carlo - Batch runs over sampled parameters, on worker threads
+ *
+ * runScenario() runs one FusionSimulator (target 'fusion') or a full
+ * TwinCosmos loop (target 'twin') for `duration` seconds and reduces
+ * the trajectory to outcomes:
+ * - timeToBurn       s until the burn phase (null if never reached)
+ * - peakFusionPower  W
+ * - energyYield      J of fusion energy
+ * - peakStability, meanStability, finalStability
+ * - finalTemperature K, finalQ
+ * - disrupted        the plasma disrupted
+ *
+ * runBatch() spreads runs over a pool of worker threads (workers: 0 runs
+ * them in this thread). Scenario options cross the thread boundary, so
+ * they must be structured-cloneable (no functions).
+ */
+
+import os from 'node:os';
+import { Worker } from 'node:worker_threads';
+import { FusionSimulator } from '../simulators/fusion.js';
+import { SeededRandom, deriveSeed } from '../utils/random.js';
+import { normalizeParameters, uncertainParameters, parameterValues, buildConfig } from './parameters.js';
+
+export const TARGETS = ['fusion', 'twin'];
+
+export function defaultWorkers() {
+  const cores = os.availableParallelism?.() ?? os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+/**
+ * Reduce a state trajectory to run outcomes
+ * @param {number} dt - s per observed state (for the energy yield)
+ * @returns {{ observe(state), result() }}
+ */
+export function trackOutcomes(dt) {
+  const outcome = {
+    timeToBurn: null,
+    peakFusionPower: 0,
+    energyYield: 0,
+    peakStability: 0,
+    meanStability: 0,
+    finalStability: 0,
+    finalTemperature: 0,
+    finalQ: 0,
+    disrupted: false
+  };
+  let steps = 0;
+  let stabilitySum = 0;
+
+  return {
+    observe(state) {
+      steps++;
+      if (outcome.timeToBurn === null && state.phase === 'burn') outcome.timeToBurn = state.time;
+      outcome.peakFusionPower = Math.max(outcome.peakFusionPower, state.fusionPower);
+      outcome.energyYield += state.fusionPower * dt;
+      outcome.peakStability = Math.max(outcome.peakStability, state.stability);
+      stabilitySum += state.stability;
+      outcome.finalStability = state.stability;
+      outcome.finalTemperature = state.temperature;
+      outcome.finalQ = Number.isFinite(state.Q) ? state.Q : 0;
+      outcome.disrupted ||= Boolean(state.disruption);
+    },
+    result() {
+      return { ...outcome, meanStability: steps > 0 ? stabilitySum / steps : 0 };
+    }
+  };
+}
+
+/**
+ * One run: parameter values → outcomes
+ * @param {Object} options - target, config (base model config), duration (s), dt (s), seed
+ */
+export async function runScenario(values, options = {}) {
+  const { target = 'fusion', config = {}, duration = 60, dt = 0.5, seed } = options;
+  if (!TARGETS.includes(target)) {
+    throw new Error(`Unknown analysis target: ${target}`);
+  }
+
+  const modelConfig = buildConfig(config, values, target);
+  if (seed !== undefined) modelConfig.seed = seed;
+  const outcomes = trackOutcomes(dt);
+
+  const count = Math.round(duration / dt);
+  if (target === 'fusion') {
+    const sim = new FusionSimulator(modelConfig);
+    for (let i = 0; i < count; i++) outcomes.observe(sim.step(dt));
+  } else {
+    // Imported on demand: index.js re-exports this module
+    const { TwinCosmos } = await import('../index.js');
+    const twin = new TwinCosmos({ memoryEnabled: false, ...modelConfig, verbose: false, persistence: null });
+    await twin.initialize();
+    for (let i = 0; i < count; i++) {
+      const result = await twin.step(dt);
+      if (!result.fusion) break;
+      outcomes.observe(result.fusion);
+    }
+  }
+
+  return outcomes.result();
+}
+
+/**
+ * Run many scenarios in parallel
+ * @param {Array} runs - [{ values, seed }]
+ * @param {Object} options - runScenario options plus workers and onProgress(done, total)
+ * @returns {Promise<Array>} outcomes, in the order of runs
+ */
+export async function runBatch(runs, options = {}) {
+  const { workers = defaultWorkers(), onProgress = null, ...scenario } = options;
+  const results = new Array(runs.length);
+  const poolSize = Math.min(workers, runs.length);
+
+  if (poolSize <= 0) {
+    for (let i = 0; i < runs.length; i++) {
+      results[i] = await runScenario(runs[i].values, { ...scenario, seed: runs[i].seed });
+      onProgress?.(i + 1, runs.length);
+    }
+    return results;
+  }
+
+  return new Promise((resolve, reject) => {
+    const pool = [];
+    let next = 0;
+    let finished = 0;
+    let settled = false;
+
+    const stop = (error) => {
+      if (settled) return;
+      settled = true;
+      pool.forEach(worker => worker.terminate());
+      if (error) reject(error);
+      else resolve(results);
+    };
+
+    for (let w = 0; w < poolSize; w++) {
+      const worker = new Worker(new URL('./worker.js', import.meta.url), { workerData: { scenario } });
+      const dispatch = () => {
+        if (next < runs.length) {
+          const index = next++;
+          worker.postMessage({ index, values: runs[index].values, seed: runs[index].seed });
+        }
+      };
+
+      worker.on('message', (message) => {
+        if (message.error) {
+          stop(new Error(`Run ${message.index} failed: ${message.error}`));
+          return;
+        }
+        results[message.index] = message.outcome;
+        finished++;
+        onProgress?.(finished, runs.length);
+        if (finished === runs.length) stop();
+        else dispatch();
+      });
+      worker.on('error', stop);
+      worker.on('exit', (code) => {
+        if (code !== 0) stop(new Error(`Analysis worker exited with code ${code}`));
+      });
+
+      pool.push(worker);
+      dispatch();
+    }
+  });
+}
+
+/**
+ * Percentile (0-100) of sorted values, linear interpolation
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Distribution of every outcome over the runs; null outcomes (e.g. burn
+ * never reached) are left out and counted in `missing`
+ */
+export function summarize(outcomes, percentiles = [5, 25, 50, 75, 95]) {
+  const summary = {};
+  const names = outcomes.length ? Object.keys(outcomes[0]) : [];
+
+  for (const name of names) {
+    const values = outcomes
+      .map(outcome => outcome[name])
+      .filter(value => value !== null && value !== undefined)
+      .map(Number)
+      .sort((a, b) => a - b);
+    const n = values.length;
+    const mean = n ? values.reduce((sum, v) => sum + v, 0) / n : null;
+    const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+
+    summary[name] = {
+      count: n,
+      missing: outcomes.length - n,
+      mean,
+      std: n ? Math.sqrt(variance) : null,
+      min: n ? values[0] : null,
+      max: n ? values[n - 1] : null,
+      percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, percentile(values, p)]))
+    };
+  }
+  return summary;
+}
+
+/**
+ * Monte Carlo uncertainty analysis
+ * @param {Object} options - parameters (see parameters.js), samples, seed, target,
+ *   config, duration, dt, workers, onProgress
+ * @returns {Promise<Object>} { samples, parameters, runs: [{ values, seed, outcome }], summary }
+ */
+export async function monteCarlo(options = {}) {
+  const { samples = 100, seed, parameters = {}, ...batch } = options;
+  const specs = normalizeParameters(parameters, batch.target);
+  const dimensions = uncertainParameters(specs).length;
+  const random = new SeededRandom(seed === undefined ? undefined : deriveSeed(seed, 'sampling'));
+
+  const runs = Array.from({ length: samples }, (_, i) => ({
+    values: parameterValues(specs, Array.from({ length: dimensions }, () => random.next())),
+    seed: seed === undefined ? undefined : deriveSeed(seed, `run:${i}`)
+  }));
+  const outcomes = await runBatch(runs, batch);
+
+  return {
+    samples,
+    parameters: specs,
+    runs: runs.map((run, i) => ({ ...run, outcome: outcomes[i] })),
+    summary: summarize(outcomes)
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Parameters - Uncertain inputs of a batch analysis
+ *
+ * A parameter spec is a fixed value or a distribution:
+ * - 42                                         fixed
+ * - [min, max]                                 uniform
+ * - { distribution: 'uniform', min, max }
+ * - { distribution: 'normal', mean, std }
+ * - { distribution: 'lognormal', median, sigma }   ln x ~ N(ln median, sigma)
+ *
+ * Every distribution is sampled through its inverse CDF from u ∈ (0, 1),
+ * so Monte Carlo, Sobol and Morris designs share one unit hypercube.
+ *
+ * Names address the model config: FusionSimulator keys (or dotted
+ * paths such as 'transport.diffusivity'); 'gamma' / 'barrier' are the
+ * V5 stability parameters. For TwinCosmos runs, plain names go to the
+ * fusion config, 'gamma' / 'barrier' to both the simulator and the
+ * decision engine, and dotted names are TwinCosmos config paths. Names
+ * that match no config key (of any device model) are rejected, so a typo
+ * cannot silently turn into a parameter without effect.
+ */
+
+import { normalQuantile } from '../utils/optimize.js';
+import { FusionSimulator } from '../simulators/fusion.js';
+import { listDevices } from '../simulators/devices.js';
+
+export const DISTRIBUTIONS = {
+  uniform: ({ min, max }, u) => min + (max - min) * u,
+  normal: ({ mean, std }, u) => mean + std * normalQuantile(u),
+  lognormal: ({ median, sigma }, u) => median * Math.exp(sigma * normalQuantile(u))
+};
+
+const ALIASES = {
+  fusion: {
+    gamma: ['stabilityGamma'],
+    barrier: ['stabilityBarrier']
+  },
+  twin: {
+    gamma: ['fusion.stabilityGamma', 'decision.gamma'],
+    barrier: ['fusion.stabilityBarrier', 'decision.barrier']
+  }
+};
+
+// TwinCosmos config sections a dotted twin parameter can address
+const TWIN_SECTIONS = ['fusion', 'decision', 'control', 'alarms', 'memory'];
+
+let fusionKeys = null;
+
+/**
+ * FusionSimulator config keys over every registered device model
+ */
+function knownFusionKeys() {
+  fusionKeys ??= new Set(listDevices().flatMap(reactorType =>
+    Object.keys(new FusionSimulator({ reactorType }).config)
+  ));
+  return fusionKeys;
+}
+
+/**
+ * Throw unless a parameter name addresses a known config key or alias
+ * @param {string} target - 'fusion' or 'twin'
+ */
+export function checkParameterName(name, target = 'fusion') {
+  if (ALIASES[target]?.[name]) return;
+
+  const [head, ...rest] = name.split('.');
+  const known = target === 'twin' && rest.length
+    ? TWIN_SECTIONS.includes(head) && (head !== 'fusion' || knownFusionKeys().has(rest[0]))
+    : knownFusionKeys().has(head);
+  if (!known) {
+    const keys = target === 'twin'
+      ? `FusionSimulator config keys, or ${TWIN_SECTIONS.map(section => `${section}.<key>`).join(', ')}`
+      : 'FusionSimulator config keys (e.g. initialTemperature, hFactor, transport.diffusivity)';
+    throw new Error(`Unknown parameter ${name}: use gamma, barrier or ${keys}`);
+  }
+}
+
+/**
+ * Normalize a spec to { distribution, ... } or { value }
+ */
+export function normalizeParameter(name, spec) {
+  if (typeof spec === 'number') return { value: spec };
+  if (Array.isArray(spec)) {
+    if (spec.length !== 2) {
+      throw new Error(`Parameter ${name}: [min, max] expected`);
+    }
+    return { distribution: 'uniform', min: spec[0], max: spec[1] };
+  }
+
+  const distribution = spec?.distribution || 'uniform';
+  if (!DISTRIBUTIONS[distribution]) {
+    throw new Error(`Parameter ${name}: unknown distribution ${distribution}`);
+  }
+  const required = { uniform: ['min', 'max'], normal: ['mean', 'std'], lognormal: ['median', 'sigma'] }[distribution];
+  for (const key of required) {
+    if (!Number.isFinite(spec[key])) {
+      throw new Error(`Parameter ${name}: ${distribution} needs a numeric ${key}`);
+    }
+  }
+  return { ...spec, distribution };
+}
+
+/**
+ * Normalize and check every parameter of an analysis
+ */
+export function normalizeParameters(parameters = {}, target = 'fusion') {
+  return Object.fromEntries(Object.entries(parameters).map(([name, spec]) => {
+    checkParameterName(name, target);
+    return [name, normalizeParameter(name, spec)];
+  }));
+}
+
+/**
+ * Uncertain (non-fixed) parameter names, in a stable order
+ */
+export function uncertainParameters(parameters) {
+  return Object.keys(parameters).filter(name => !('value' in parameters[name]));
+}
+
+/**
+ * Parameter values for a point u of the unit hypercube (one u per uncertain parameter)
+ */
+export function parameterValues(parameters, u) {
+  const values = {};
+  let k = 0;
+  for (const [name, spec] of Object.entries(parameters)) {
+    if ('value' in spec) {
+      values[name] = spec.value;
+    } else {
+      const clamped = Math.min(1 - 1e-9, Math.max(1e-9, u[k++]));
+      values[name] = DISTRIBUTIONS[spec.distribution](spec, clamped);
+    }
+  }
+  return values;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Model config with the parameter values applied
+ * @param {string} target - 'fusion' (FusionSimulator) or 'twin' (TwinCosmos)
+ */
+export function buildConfig(base, values, target = 'fusion') {
+  const config = structuredClone(base || {});
+  for (const [name, value] of Object.entries(values)) {
+    checkParameterName(name, target);
+    let paths = ALIASES[target]?.[name];
+    if (!paths) {
+      paths = [target === 'twin' && !name.includes('.') ? `fusion.${name}` : name];
+    }
+    paths.forEach(path => setPath(config, path, value));
+  }
+  return config;
+}
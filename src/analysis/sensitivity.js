@@ -0,0 +1,190 @@
+/**
+ * Sensitivity - Global sensitivity of run outcomes to uncertain parameters
+ *
+ * - sobolAnalysis():  variance-based indices from a Saltelli design,
+ *                     N (k + 2) runs for k parameters:
+ *                     first order S_i = E[f(B) (f(AB_i) - f(A))] / V   (Saltelli 2010)
+ *                     total       ST_i = E[(f(A) - f(AB_i))²] / 2V     (Jansen)
+ * - morrisAnalysis(): elementary-effects screening, r (k + 1) runs:
+ *                     μ* (mean |EE|, overall influence) and σ
+ *                     (interactions / non-linearity)
+ *
+ * Both work on the unit hypercube of parameters.js (effects per unit of
+ * quantile) and run every design point with the same seed (one is drawn
+ * when none is given, and reported), so the indices reflect the
+ * parameters rather than stochastic disruptions. Morris grid points of
+ * normal / lognormal parameters span the quantile range [0.01, 0.99]
+ * (option quantileRange) instead of the distribution tails.
+ * timeToBurn of runs that never burn counts as the run duration.
+ */
+
+import { SeededRandom } from '../utils/random.js';
+import { normalizeParameters, uncertainParameters, parameterValues } from './parameters.js';
+import { runBatch, summarize } from './montecarlo.js';
+
+function prepare(options) {
+  const specs = normalizeParameters(options.parameters, options.target);
+  const names = uncertainParameters(specs);
+  if (names.length === 0) {
+    throw new Error('Sensitivity analysis needs at least one uncertain parameter');
+  }
+  return { specs, names };
+}
+
+/**
+ * Numeric outcome values for the indices (null / boolean mapped to numbers)
+ */
+function outcomeVectors(outcomes, duration) {
+  const vectors = {};
+  for (const name of Object.keys(outcomes[0])) {
+    vectors[name] = outcomes.map(outcome => {
+      const value = outcome[name];
+      if (value === null) return name === 'timeToBurn' ? duration : NaN;
+      return Number(value);
+    });
+  }
+  return vectors;
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Saltelli design: points A (N rows), B (N rows), then AB_i (A with
+ * column i from B) for each of the k parameters
+ */
+export function saltelliDesign(samples, k, random) {
+  const A = Array.from({ length: samples }, () => Array.from({ length: k }, () => random.next()));
+  const B = Array.from({ length: samples }, () => Array.from({ length: k }, () => random.next()));
+  const AB = Array.from({ length: k }, (_, i) => A.map((row, j) => row.map((u, c) => (c === i ? B[j][c] : u))));
+  return [...A, ...B, ...AB.flat()];
+}
+
+/**
+ * First-order and total indices from model values f over a Saltelli design
+ * @returns {Array} [{ first, total }] per parameter (null if f has no variance)
+ */
+export function sobolIndices(f, samples, k) {
+  const fA = f.slice(0, samples);
+  const fB = f.slice(samples, 2 * samples);
+  const both = [...fA, ...fB];
+  const average = mean(both);
+  const variance = mean(both.map(v => (v - average) ** 2));
+
+  return Array.from({ length: k }, (_, i) => {
+    const fAB = f.slice((2 + i) * samples, (3 + i) * samples);
+    return variance > 0 && f.every(Number.isFinite)
+      ? {
+        first: mean(fB.map((v, j) => v * (fAB[j] - fA[j]))) / variance,
+        total: mean(fA.map((v, j) => (v - fAB[j]) ** 2)) / (2 * variance)
+      }
+      : { first: null, total: null };
+  });
+}
+
+/**
+ * Sobol first-order and total indices
+ * @param {Object} options - parameters, samples (N), seed, and the runBatch
+ *   options (target, config, duration, dt, workers, onProgress)
+ * @returns {Promise<Object>} { method, samples, seed, runs, parameters, indices: { outcome: { parameter: { first, total } } }, summary }
+ */
+export async function sobolAnalysis(options = {}) {
+  const { samples = 64, seed, parameters, ...batch } = options;
+  const { specs, names } = prepare(options);
+  const random = new SeededRandom(seed);
+  const runSeed = random.seed;   // drawn when not given
+
+  const points = saltelliDesign(samples, names.length, random);
+  const outcomes = await runBatch(points.map(u => ({ values: parameterValues(specs, u), seed: runSeed })), batch);
+  const vectors = outcomeVectors(outcomes, batch.duration ?? 60);
+
+  const indices = {};
+  for (const [outcome, f] of Object.entries(vectors)) {
+    const values = sobolIndices(f, samples, names.length);
+    indices[outcome] = Object.fromEntries(names.map((name, i) => [name, values[i]]));
+  }
+
+  return {
+    method: 'sobol',
+    samples,
+    seed: runSeed,
+    runs: points.length,
+    parameters: names,
+    indices,
+    summary: summarize(outcomes)
+  };
+}
+
+/**
+ * Morris elementary effects
+ * @param {Object} options - parameters, trajectories (r), levels (p, even),
+ *   quantileRange ([low, high] for normal / lognormal parameters), seed, and runBatch options
+ * @returns {Promise<Object>} { method, trajectories, levels, seed, runs, parameters, indices: { outcome: { parameter: { mu, muStar, sigma } } }, summary }
+ */
+export async function morrisAnalysis(options = {}) {
+  const { trajectories = 10, levels = 4, quantileRange = [0.01, 0.99], seed, parameters, ...batch } = options;
+  const { specs, names } = prepare(options);
+  const k = names.length;
+  const random = new SeededRandom(seed);
+  const runSeed = random.seed;   // drawn when not given
+  const delta = levels / (2 * (levels - 1));
+
+  // Each trajectory: a grid start point, then one +Δ step per parameter in random order
+  const points = [];
+  const steps = [];   // [trajectory][step] → parameter index
+  for (let t = 0; t < trajectories; t++) {
+    let x = names.map(() => random.int(levels / 2) / (levels - 1));
+    const order = names.map((_, i) => i);
+    for (let i = k - 1; i > 0; i--) {
+      const j = random.int(i + 1);
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    points.push(x);
+    for (const i of order) {
+      x = x.map((u, c) => (c === i ? u + delta : u));
+      points.push(x);
+    }
+    steps.push(order);
+  }
+
+  // Grid levels 0 and 1 would be the far tails of unbounded distributions
+  const [low, high] = quantileRange;
+  const unbounded = names.map(name => specs[name].distribution !== 'uniform');
+  const quantiles = (x) => x.map((u, c) => (unbounded[c] ? low + (high - low) * u : u));
+
+  const outcomes = await runBatch(points.map(x => ({ values: parameterValues(specs, quantiles(x)), seed: runSeed })), batch);
+  const vectors = outcomeVectors(outcomes, batch.duration ?? 60);
+
+  const indices = {};
+  for (const [outcome, f] of Object.entries(vectors)) {
+    const effects = names.map(() => []);
+    steps.forEach((order, t) => {
+      const base = t * (k + 1);
+      order.forEach((i, s) => effects[i].push((f[base + s + 1] - f[base + s]) / delta));
+    });
+
+    indices[outcome] = {};
+    names.forEach((name, i) => {
+      const values = effects[i];
+      if (!values.every(Number.isFinite)) {
+        indices[outcome][name] = { mu: null, muStar: null, sigma: null };
+        return;
+      }
+      const mu = mean(values);
+      const sigma = values.length > 1
+        ? Math.sqrt(values.reduce((sum, v) => sum + (v - mu) ** 2, 0) / (values.length - 1))
+        : 0;
+      indices[outcome][name] = { mu, muStar: mean(values.map(Math.abs)), sigma };
+    });
+  }
+
+  return {
+    method: 'morris',
+    trajectories,
+    levels,
+    seed: runSeed,
+    runs: points.length,
+    parameters: names,
+    indices,
+    summary: summarize(outcomes)
+  };
+}
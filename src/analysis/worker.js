@@ -0,0 +1,19 @@
+/**
+ * Analysis worker - Runs scenarios for runBatch() (see montecarlo.js)
+ *
+ * workerData: { scenario } shared runScenario options
+ * message in:  { index, values, seed }
+ * message out: { index, outcome } or { index, error }
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { runScenario } from './montecarlo.js';
+
+parentPort.on('message', async ({ index, values, seed }) => {
+  try {
+    const outcome = await runScenario(values, { ...workerData.scenario, seed });
+    parentPort.postMessage({ index, outcome });
+  } catch (error) {
+    parentPort.postMessage({ index, error: error.message });
+  }
+});
@@ -0,0 +1,201 @@
+/**
+ * V5 calibration - Fit γ, B (and the Lawson normalization) to labelled data
+ *
+ * Model (as in FusionSimulator.calculateStability / calculateV5Barrier):
+ *   x = min(1, n T τ_E / lawsonLimit)    or a given normalized input
+ *   P = 1/(1+e^(-2γ(x-B)))
+ *
+ * Each sample carries an observed outcome in [0, 1] (a 0/1 label or an
+ * observed probability). Methods:
+ * - 'least-squares': minimize Σ (P_i - y_i)², covariance s²(JᵀJ)⁻¹
+ * - 'likelihood':    maximize the Bernoulli likelihood, covariance from
+ *                    the inverse observed information (Hessian of -ln L)
+ *
+ * γ and lawsonLimit are fitted on a log scale (kept positive), so their
+ * confidence intervals are asymmetric. Without saturated samples (x < 1
+ * everywhere) γ, B and lawsonLimit are not jointly identifiable: fit
+ * lawsonLimit with γ or B held fixed.
+ */
+
+import { lawsonFraction } from '../physics/plasma.js';
+import {
+  levenbergMarquardt,
+  numericHessian,
+  invertMatrix,
+  normalQuantile
+} from '../utils/optimize.js';
+
+export const CALIBRATION_METHODS = ['least-squares', 'likelihood'];
+
+// Internal (unconstrained) scale per parameter
+const PARAMETERS = {
+  gamma: { toInternal: Math.log, fromInternal: Math.exp, slope: Math.exp },
+  barrier: { toInternal: v => v, fromInternal: v => v, slope: () => 1 },
+  lawsonLimit: { toInternal: Math.log, fromInternal: Math.exp, slope: Math.exp }
+};
+
+const PROBABILITY_FLOOR = 1e-12;
+
+const read = (sample, key) => (typeof key === 'function' ? key(sample) : sample[key]);
+
+/**
+ * V5 probability for a normalized input
+ */
+export function v5Probability(input, gamma, barrier) {
+  const x = Math.max(0, Math.min(1, input));
+  return 1 / (1 + Math.exp(-2 * gamma * (x - barrier)));
+}
+
+/**
+ * Fit V5 parameters to a labelled time series
+ * @param {Array} samples - records with the outcome and either the input or
+ *   density (m^-3), temperature (K) and confinementTime (s), e.g. FusionSimulator history
+ * @param {Object} options - method, fit (parameter names), initial ({ gamma, barrier, lawsonLimit }),
+ *   outcome and input (key or (sample) => number), confidence, maxIterations
+ * @returns {Object} { method, params, fitted, standardErrors, confidenceIntervals,
+ *   covariance, goodnessOfFit, iterations, converged }
+ */
+export function calibrateV5(samples, options = {}) {
+  const {
+    method = 'least-squares',
+    fit = ['gamma', 'barrier'],
+    outcome = 'observed',
+    input = null,
+    confidence = 0.95,
+    maxIterations = 200
+  } = options;
+  const initial = { gamma: 2.0, barrier: 0.5, lawsonLimit: 3e21, ...options.initial };
+
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Unknown calibration method: ${method}`);
+  }
+  for (const name of fit) {
+    if (!PARAMETERS[name]) {
+      throw new Error(`Unknown V5 parameter: ${name}`);
+    }
+  }
+  if (fit.includes('lawsonLimit') && input !== null) {
+    throw new Error('lawsonLimit cannot be fitted to pre-normalized inputs');
+  }
+  if (!Array.isArray(samples) || samples.length <= fit.length) {
+    throw new Error(`Calibration needs more samples than fitted parameters (${fit.length})`);
+  }
+
+  const observed = samples.map((sample, i) => {
+    const y = read(sample, outcome);
+    if (!(y >= 0 && y <= 1)) {
+      throw new Error(`Sample ${i}: outcome must be in [0, 1], got ${y}`);
+    }
+    return y;
+  });
+
+  // Parameter vector (internal scale) ↔ named natural values
+  const unpack = (theta) => {
+    const params = { ...initial };
+    fit.forEach((name, k) => { params[name] = PARAMETERS[name].fromInternal(theta[k]); });
+    return params;
+  };
+  const inputs = (params) => samples.map(sample => (input !== null
+    ? read(sample, input)
+    : lawsonFraction(sample.density, sample.temperature, sample.confinementTime, params.lawsonLimit)));
+  const predict = (theta) => {
+    const params = unpack(theta);
+    return inputs(params).map(x => v5Probability(x, params.gamma, params.barrier));
+  };
+  const pointLoss = (P, y) => {
+    const p = Math.min(1 - PROBABILITY_FLOOR, Math.max(PROBABILITY_FLOOR, P));
+    return -(y * Math.log(p) + (1 - y) * Math.log(1 - p));
+  };
+  const negativeLogLikelihood = (theta) => predict(theta).reduce((sum, P, i) => sum + pointLoss(P, observed[i]), 0);
+
+  const residuals = method === 'likelihood'
+    ? (theta) => predict(theta).map((P, i) => Math.sqrt(2 * pointLoss(P, observed[i])))   // Σ r² = -2 ln L
+    : (theta) => predict(theta).map((P, i) => P - observed[i]);
+
+  if (inputs(initial).some(x => !Number.isFinite(x))) {
+    throw new Error('Samples need a finite input (or density, temperature and confinementTime)');
+  }
+
+  const theta0 = fit.map(name => PARAMETERS[name].toInternal(initial[name]));
+  const result = levenbergMarquardt(residuals, theta0, { maxIterations });
+  const theta = result.params;
+  const params = unpack(theta);
+
+  // Goodness of fit
+  const n = samples.length;
+  const k = fit.length;
+  const predicted = predict(theta);
+  const sse = predicted.reduce((sum, P, i) => sum + (P - observed[i]) ** 2, 0);
+  const mean = observed.reduce((sum, y) => sum + y, 0) / n;
+  const sst = observed.reduce((sum, y) => sum + (y - mean) ** 2, 0);
+  const logLikelihood = -negativeLogLikelihood(theta);
+
+  // Covariance on the internal scale
+  let internalCovariance;
+  if (method === 'likelihood') {
+    internalCovariance = invertMatrix(numericHessian(negativeLogLikelihood, theta));
+  } else {
+    const J = result.jacobian;
+    const JtJ = theta.map((_, a) => theta.map((_, b) => J.reduce((sum, row) => sum + row[a] * row[b], 0)));
+    const inverse = invertMatrix(JtJ);
+    const variance = sse / (n - k);
+    internalCovariance = inverse && inverse.map(row => row.map(v => v * variance));
+  }
+  if (internalCovariance && internalCovariance.some((row, a) => !(row[a] >= 0))) {
+    internalCovariance = null;   // not a minimum / not identifiable
+  }
+
+  // Natural scale: delta method for the standard errors, mapped bounds for the intervals
+  const z = normalQuantile(0.5 + confidence / 2);
+  const slopes = fit.map((name, a) => PARAMETERS[name].slope(theta[a]));
+  const standardErrors = {};
+  const confidenceIntervals = {};
+  fit.forEach((name, a) => {
+    const { fromInternal } = PARAMETERS[name];
+    const se = internalCovariance ? Math.sqrt(internalCovariance[a][a]) : NaN;
+    standardErrors[name] = slopes[a] * se;
+    confidenceIntervals[name] = internalCovariance
+      ? [fromInternal(theta[a] - z * se), fromInternal(theta[a] + z * se)]
+      : null;
+  });
+  const covariance = internalCovariance
+    ? internalCovariance.map((row, a) => row.map((v, b) => v * slopes[a] * slopes[b]))
+    : null;
+
+  return {
+    method,
+    params,
+    fitted: [...fit],
+    standardErrors,
+    confidenceIntervals,
+    confidence,
+    covariance,
+    goodnessOfFit: {
+      samples: n,
+      degreesOfFreedom: n - k,
+      sse,
+      rmse: Math.sqrt(sse / n),
+      rSquared: sst > 0 ? 1 - sse / sst : null,
+      logLikelihood,
+      aic: 2 * k - 2 * logLikelihood,
+      bic: k * Math.log(n) - 2 * logLikelihood
+    },
+    iterations: result.iterations,
+    converged: result.converged
+  };
+}
+
+/**
+ * Write the fitted parameters into FusionSimulator / DecisionEngine
+ * instances (each applies the ones it uses, see setV5Params())
+ */
+export function applyCalibration(calibration, ...targets) {
+  const fitted = Object.fromEntries(calibration.fitted.map(name => [name, calibration.params[name]]));
+  for (const target of targets) {
+    if (typeof target?.setV5Params !== 'function') {
+      throw new Error('Calibration target must implement setV5Params()');
+    }
+    target.setV5Params(fitted);
+  }
+  return targets;
+}
@@ -0,0 +1,526 @@
+/**
+ * twincosmos CLI - Scenarios and traces without writing a script
+ *
+ * Subcommands:
+ * - run      TwinCosmos from a config file; per-step trace (CSV / JSONL)
+ *            or summary JSON
+ * - replay   same, driven by a recorded shot (CSV / JSONL data file)
+ * - sweep    Monte Carlo, Sobol or Morris batch over parameter distributions
+ * - scenario declarative scenario file (see scenario/runner.js);
+ *            pass/fail report JSON, exit code 1 on failure
+ * - inspect  registered models / components, the initial state of a
+ *            config, or the contents of a data file
+ * - serve    live twin over HTTP (REST control + SSE stream, see
+ *            server/server.js) until interrupted
+ *
+ * Output goes to --output (format from the extension or --format) or
+ * stdout; progress and messages go to stderr, so stdout can be piped.
+ */
+
+import { parseArgs } from 'node:util';
+import { promises as fs } from 'node:fs';
+import { TwinCosmos } from '../index.js';
+import { listDevices } from '../simulators/devices.js';
+import { listIntegrators } from '../utils/integrators.js';
+import { listControllers } from '../control/controllers.js';
+import { listScalings } from '../physics/confinement.js';
+import { listSources } from '../sources/source.js';
+import { ReplaySource } from '../sources/replay.js';
+import { DEFAULT_RULES } from '../alarms/manager.js';
+import { monteCarlo, trackOutcomes, TARGETS } from '../analysis/montecarlo.js';
+import { sobolAnalysis, morrisAnalysis } from '../analysis/sensitivity.js';
+import { loadScenario, ScenarioRunner } from '../scenario/runner.js';
+import { listPerturbations } from '../scenario/perturbations.js';
+import { listPlugins } from '../plugins/plugins.js';
+import { TwinServer } from '../server/server.js';
+import { parseYAML } from '../utils/yaml.js';
+import { TRACE_FIELDS, traceRow, resolveFormat, RowWriter, writeJSON } from './output.js';
+
+const COMMON_OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  seed: { type: 'string', short: 's' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const TRACE_OPTIONS = {
+  steps: { type: 'string', short: 'n' },
+  dt: { type: 'string' },
+  fields: { type: 'string' },
+  summary: { type: 'string' }
+};
+
+const DATA_OPTIONS = {
+  columns: { type: 'string' },
+  units: { type: 'string' },
+  interval: { type: 'string' },
+  interpolation: { type: 'string' }
+};
+
+const SWEEP_METHODS = ['montecarlo', 'sobol', 'morris'];
+
+export const USAGE = `Usage: twincosmos <command> [options]
+
+Commands:
+  run                  Run TwinCosmos and write a per-step trace
+  replay <data-file>   Drive TwinCosmos with a recorded shot (CSV / JSONL)
+  sweep                Batch runs over parameter distributions
+  scenario <file>      Run a JSON / YAML scenario and report pass / fail
+  inspect [data-file]  Show models, a config's initial state, or a data file
+  serve                Live twin over HTTP: REST control and SSE stream
+
+Common options:
+  -c, --config <file>  JSON / YAML config (TwinCosmos config; sweep: monteCarlo options)
+  -o, --output <file>  Output file (default: stdout)
+  -f, --format <fmt>   csv | jsonl | json (default: from --output extension)
+  -s, --seed <n>       Master seed for reproducible runs
+  -q, --quiet          No progress on stderr
+
+run / replay:
+  -n, --steps <n>      Steps to run (replay: until the data ends)
+      --dt <s>         Simulated seconds per step
+      --fields <list>  Trace columns, comma-separated
+      --summary <file> Also write the summary JSON to this file
+
+replay / inspect data files:
+      --columns <map>  field=column pairs, e.g. temperature=Te,density=ne
+      --units <map>    field=unit pairs, e.g. temperature=keV,density=1e19 m^-3
+      --interval <s>   Sample spacing for data without a time column
+      --interpolation  linear | hold
+
+sweep:
+      --method <m>     montecarlo | sobol | morris (default: montecarlo)
+      --param <spec>   name=value, name=min:max, name=normal:mean:std or
+                       name=lognormal:median:sigma (repeatable)
+      --samples <n>    Monte Carlo samples / Sobol base samples
+      --trajectories <n>, --levels <n>   Morris design
+      --target <t>     fusion | twin
+      --duration <s>, --dt <s>, --workers <n>
+
+scenario:
+      --trace <file>   Also write the per-step trace (.csv / .jsonl)
+      --fields <list>  Trace columns, comma-separated
+
+serve:
+      --port <n>       Port (default 8080; 0: any free port)
+      --host <addr>    Address to listen on (default 127.0.0.1)
+      --interval <ms>  Wall-clock time per step while running (default 100)
+      --dt <s>         Simulated seconds per step
+      --cors <origin>  Access-Control-Allow-Origin for browser dashboards
+      --start          Start stepping right away
+
+Trace fields: ${Object.keys(TRACE_FIELDS).join(', ')}
+`;
+
+function number(value, name, { integer = false } = {}) {
+  if (value === undefined) return undefined;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || (integer && !Number.isInteger(parsed))) {
+    throw new Error(`--${name} must be ${integer ? 'an integer' : 'a number'}, got ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * 'a=1,b=x' → { a: 1, b: 'x' }
+ */
+function pairs(value, name) {
+  if (!value) return undefined;
+  return Object.fromEntries(value.split(',').map(pair => {
+    const index = pair.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`--${name} expects field=value pairs, got ${pair}`);
+    }
+    const raw = pair.slice(index + 1).trim();
+    const parsed = Number(raw);
+    return [pair.slice(0, index).trim(), raw !== '' && Number.isFinite(parsed) ? parsed : raw];
+  }));
+}
+
+/**
+ * --param spec → parameters.js spec
+ */
+export function parseParameter(text) {
+  const index = text.indexOf('=');
+  if (index <= 0) {
+    throw new Error(`--param expects name=spec, got ${text}`);
+  }
+  const name = text.slice(0, index);
+  const parts = text.slice(index + 1).split(':');
+  const values = parts.map(Number);
+  const numeric = (from) => {
+    if (values.slice(from).some(v => !Number.isFinite(v))) {
+      throw new Error(`--param ${name}: invalid spec ${parts.join(':')}`);
+    }
+    return values.slice(from);
+  };
+
+  if (parts[0] === 'normal' || parts[0] === 'lognormal') {
+    const [a, b] = numeric(1);
+    if (parts.length !== 3) throw new Error(`--param ${name}: ${parts[0]} needs two values`);
+    return [name, parts[0] === 'normal'
+      ? { distribution: 'normal', mean: a, std: b }
+      : { distribution: 'lognormal', median: a, sigma: b }];
+  }
+  if (parts.length === 1) return [name, numeric(0)[0]];
+  if (parts.length === 2) return [name, numeric(0)];
+  throw new Error(`--param ${name}: invalid spec ${parts.join(':')}`);
+}
+
+export async function loadConfig(file) {
+  if (!file) return {};
+  const text = await fs.readFile(file, 'utf8');
+  try {
+    return /\.ya?ml$/i.test(file) ? parseYAML(text) ?? {} : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Config ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Logger plugins listed in a config write to stderr (stdout carries the output)
+ */
+function withLogOutput(config) {
+  if (!Array.isArray(config.plugins)) return config;
+  const log = (line) => process.stderr.write(`${line}\n`);
+  const plugins = config.plugins.map(spec => {
+    if (spec === 'logger') return { type: 'logger', log };
+    if (spec?.type === 'logger' && !spec.log) return { ...spec, log };
+    return spec;
+  });
+  return { ...config, plugins };
+}
+
+function progress(options) {
+  if (options.quiet || !process.stderr.isTTY) return null;
+  return (done, total) => {
+    process.stderr.write(`\r  ${done}/${total} runs`);
+    if (done === total) process.stderr.write('\n');
+  };
+}
+
+/**
+ * Run a TwinCosmos, streaming the trace; resolves to the summary
+ */
+async function traceTwin(config, options, { command, steps }) {
+  const format = resolveFormat(options.format, options.output, 'csv');
+  const fields = options.fields ? options.fields.split(',').map(field => field.trim()) : undefined;
+  const toRow = traceRow(fields);
+
+  const twin = new TwinCosmos({ ...withLogOutput(config), verbose: false });
+  await twin.initialize();
+  const dt = twin.config.dt;
+  const outcomes = trackOutcomes(dt);
+  const writer = format === 'json' ? null : new RowWriter({ format, output: options.output });
+
+  let last = null;
+  let count = 0;
+  await twin.run(steps, (result) => {
+    if (!result.fusion) return;   // replay exhausted
+    outcomes.observe(result.fusion);
+    last = result;
+    count++;
+    writer?.write(toRow(result));
+  });
+  await writer?.close();
+
+  const state = twin.getState();
+  const summary = {
+    command,
+    source: twin.components.source?.describe() || null,
+    seed: config.seed ?? null,
+    dt,
+    steps: count,
+    time: last?.time ?? 0,
+    outcome: outcomes.result(),
+    final: last && traceRow()(last),
+    alarms: twin.components.alarms?.getLog().length ?? 0,
+    decisions: state.decisions.length
+  };
+
+  if (format === 'json') await writeJSON(summary, options.output);
+  if (options.summary) await writeJSON(summary, options.summary);
+  if (!options.quiet) {
+    process.stderr.write(`${command}: ${summary.steps} steps, t=${summary.time.toFixed(1)}s` +
+      `${options.output && options.output !== '-' ? ` → ${options.output}` : ''}\n`);
+  }
+  return summary;
+}
+
+async function run(options) {
+  const file = await loadConfig(options.config);
+  const seed = number(options.seed, 'seed', { integer: true });
+  const config = {
+    ...file,
+    ...(seed !== undefined && { seed }),
+    ...(options.dt !== undefined && { dt: number(options.dt, 'dt') })
+  };
+  const steps = number(options.steps, 'steps', { integer: true }) ?? file.steps ?? 100;
+  return traceTwin(config, options, { command: 'run', steps });
+}
+
+function replaySourceOptions(dataFile, options, base = {}) {
+  return {
+    ...base,
+    type: 'replay',
+    path: dataFile,
+    ...(options.columns && { columns: pairs(options.columns, 'columns') }),
+    ...(options.units && { units: pairs(options.units, 'units') }),
+    ...(options.interval !== undefined && { interval: number(options.interval, 'interval') }),
+    ...(options.interpolation && { interpolation: options.interpolation })
+  };
+}
+
+async function replay(options, [dataFile]) {
+  const file = await loadConfig(options.config);
+  if (!dataFile && !file.source?.path) {
+    throw new Error('replay needs a data file');
+  }
+  const seed = number(options.seed, 'seed', { integer: true });
+  const config = {
+    ...file,
+    source: replaySourceOptions(dataFile || file.source.path, options, file.source),
+    ...(seed !== undefined && { seed }),
+    ...(options.dt !== undefined && { dt: number(options.dt, 'dt') })
+  };
+  const steps = number(options.steps, 'steps', { integer: true }) ?? Infinity;
+  return traceTwin(config, options, { command: 'replay', steps });
+}
+
+async function sweep(options) {
+  const file = await loadConfig(options.config);
+  const method = options.method || file.method || 'montecarlo';
+  if (!SWEEP_METHODS.includes(method)) {
+    throw new Error(`Unknown sweep method: ${method} (use ${SWEEP_METHODS.join(', ')})`);
+  }
+  const target = options.target || file.target || 'fusion';
+  if (!TARGETS.includes(target)) {
+    throw new Error(`Unknown sweep target: ${target} (use ${TARGETS.join(', ')})`);
+  }
+
+  const analysis = {
+    ...file,
+    target,
+    parameters: { ...file.parameters, ...Object.fromEntries((options.param || []).map(parseParameter)) },
+    onProgress: progress(options)
+  };
+  delete analysis.method;
+  for (const [key, name, integer] of [
+    ['seed', 'seed', true], ['samples', 'samples', true], ['trajectories', 'trajectories', true],
+    ['levels', 'levels', true], ['workers', 'workers', true], ['duration', 'duration'], ['dt', 'dt']
+  ]) {
+    const value = number(options[name], name, { integer });
+    if (value !== undefined) analysis[key] = value;
+  }
+  if (Object.keys(analysis.parameters).length === 0) {
+    throw new Error('sweep needs parameters (--param or "parameters" in the config)');
+  }
+
+  const format = resolveFormat(options.format, options.output, 'json');
+  if (method === 'montecarlo') {
+    const result = await monteCarlo(analysis);
+    if (format === 'json') {
+      await writeJSON({ method, target, samples: result.samples, parameters: result.parameters, summary: result.summary }, options.output);
+    } else {
+      const writer = new RowWriter({ format, output: options.output });
+      result.runs.forEach((run, i) => writer.write({ run: i, seed: run.seed ?? null, ...run.values, ...run.outcome }));
+      await writer.close();
+    }
+    return result;
+  }
+
+  const result = method === 'sobol' ? await sobolAnalysis(analysis) : await morrisAnalysis(analysis);
+  if (format === 'json') {
+    await writeJSON({ target, ...result }, options.output);
+  } else {
+    // One row per (outcome, parameter) index
+    const writer = new RowWriter({ format, output: options.output });
+    for (const [outcome, byParameter] of Object.entries(result.indices)) {
+      for (const [parameter, index] of Object.entries(byParameter)) {
+        writer.write({ outcome, parameter, ...index });
+      }
+    }
+    await writer.close();
+  }
+  return result;
+}
+
+async function scenario(options, [file]) {
+  if (!file) {
+    throw new Error('scenario needs a scenario file');
+  }
+  const loaded = await loadScenario(file);
+  const seed = number(options.seed, 'seed', { integer: true });
+  if (seed !== undefined) loaded.seed = seed;
+  loaded.twin = withLogOutput(loaded.twin);
+
+  const fields = options.fields ? options.fields.split(',').map(field => field.trim()) : undefined;
+  const toRow = traceRow(fields);
+  const writer = options.trace
+    ? new RowWriter({ format: resolveFormat(null, options.trace, 'csv'), output: options.trace })
+    : null;
+
+  const report = await new ScenarioRunner(loaded, {
+    onStep: (result) => writer?.write(toRow(result))
+  }).run();
+  await writer?.close();
+  await writeJSON(report, options.output);
+
+  if (!options.quiet) {
+    process.stderr.write(`${report.passed ? '✓' : '✗'} ${report.name}: ${report.steps} steps, t=${report.time}s\n`);
+    for (const assertion of report.assertions) {
+      process.stderr.write(`  ${assertion.passed ? '✓' : '✗'} ${assertion.name} — ${assertion.message}\n`);
+    }
+  }
+  if (!report.passed) process.exitCode = 1;
+  return report;
+}
+
+async function inspect(options, [dataFile]) {
+  if (dataFile) {
+    const source = await new ReplaySource(replaySourceOptions(dataFile, options)).load();
+    const { samples } = source;
+    const fields = [...new Set(samples.flatMap(sample => Object.keys(sample)))].filter(field => field !== 'sourceTime');
+    const report = {
+      path: dataFile,
+      format: source.config.format,
+      records: samples.length,
+      fields,
+      start: samples[0].sourceTime,
+      end: samples[samples.length - 1].sourceTime,
+      duration: samples[samples.length - 1].sourceTime - samples[0].sourceTime
+    };
+    await writeJSON(report, options.output);
+    return report;
+  }
+
+  const report = {
+    devices: listDevices(),
+    integrators: listIntegrators(),
+    scalings: listScalings(),
+    controllers: listControllers(),
+    sources: listSources(),
+    alarmRules: DEFAULT_RULES.map(rule => rule.id),
+    perturbations: listPerturbations(),
+    plugins: listPlugins(),
+    traceFields: Object.keys(TRACE_FIELDS)
+  };
+
+  if (options.config) {
+    const seed = number(options.seed, 'seed', { integer: true });
+    const config = { ...await loadConfig(options.config), ...(seed !== undefined && { seed }), verbose: false };
+    const twin = await new TwinCosmos(config).initialize();
+    const { profiles, ...state } = twin.components.source?.getState() || {};
+    report.twin = {
+      components: Object.keys(twin.components),
+      source: twin.components.source?.describe() || null,
+      fusion: twin.components.fusion?.config || null,
+      state: twin.components.source ? state : null
+    };
+  }
+
+  await writeJSON(report, options.output);
+  return report;
+}
+
+async function serve(options) {
+  const file = await loadConfig(options.config);
+  const seed = number(options.seed, 'seed', { integer: true });
+  const twin = {
+    ...withLogOutput(file),
+    ...(seed !== undefined && { seed }),
+    ...(options.dt !== undefined && { dt: number(options.dt, 'dt') })
+  };
+  const server = await new TwinServer({
+    twin,
+    ...(options.port !== undefined && { port: number(options.port, 'port', { integer: true }) }),
+    ...(options.interval !== undefined && { interval: number(options.interval, 'interval') }),
+    ...(options.host && { host: options.host }),
+    ...(options.cors && { cors: options.cors })
+  }).listen();
+  if (options.start) server.start();
+  if (!options.quiet) {
+    process.stderr.write(`twincosmos: serving ${server.twin.components.source?.describe() || 'twin'} at ${server.url} (Ctrl-C to stop)\n`);
+  }
+
+  await new Promise(resolve => {
+    const stop = () => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      resolve();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+  await server.close();
+  return server.status();
+}
+
+const COMMANDS = {
+  run: { handler: run, options: TRACE_OPTIONS },
+  replay: { handler: replay, options: { ...TRACE_OPTIONS, ...DATA_OPTIONS } },
+  sweep: {
+    handler: sweep,
+    options: {
+      method: { type: 'string' },
+      param: { type: 'string', multiple: true },
+      samples: { type: 'string' },
+      trajectories: { type: 'string' },
+      levels: { type: 'string' },
+      target: { type: 'string' },
+      duration: { type: 'string' },
+      dt: { type: 'string' },
+      workers: { type: 'string' }
+    }
+  },
+  scenario: {
+    handler: scenario,
+    options: {
+      trace: { type: 'string' },
+      fields: { type: 'string' }
+    }
+  },
+  inspect: { handler: inspect, options: DATA_OPTIONS },
+  serve: {
+    handler: serve,
+    options: {
+      port: { type: 'string' },
+      host: { type: 'string' },
+      interval: { type: 'string' },
+      dt: { type: 'string' },
+      cors: { type: 'string' },
+      start: { type: 'boolean' }
+    }
+  }
+};
+
+/**
+ * Entry point of bin/twincosmos.js
+ * @param {string[]} argv - arguments after the executable and script
+ */
+export async function main(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv;
+  if (!name || name === '-h' || name === '--help' || name === 'help') {
+    process.stdout.write(USAGE);
+    return null;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command: ${name} (use ${Object.keys(COMMANDS).join(', ')})`);
+  }
+
+  const { values, positionals } = parseArgs({
+    args: rest,
+    options: { ...COMMON_OPTIONS, ...command.options },
+    allowPositionals: true
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return null;
+  }
+  return command.handler(values, positionals);
+}
+
+export default main;
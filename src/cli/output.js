@@ -0,0 +1,120 @@
+/**
+ * CLI output - Step traces and tables as CSV, JSONL or JSON
+ *
+ * TRACE_FIELDS flattens a TwinCosmos step result into one row. Traces and
+ * tables are streamed as CSV or JSONL to a file or stdout, so long runs
+ * are not held in memory; 'json' is the summary document of a command.
+ */
+
+import { createWriteStream, promises as fs } from 'node:fs';
+import path from 'node:path';
+
+export const FORMATS = ['csv', 'jsonl', 'json'];
+
+// Column → value of a TwinCosmos.step() result
+export const TRACE_FIELDS = {
+  time: r => r.time,
+  step: r => r.step,
+  phase: r => r.fusion.phase,
+  temperature: r => r.fusion.temperature,
+  density: r => r.fusion.density,
+  confinementTime: r => r.fusion.confinementTime,
+  fusionPower: r => r.fusion.fusionPower,
+  alphaPower: r => r.fusion.alphaPower,
+  radiationPower: r => r.fusion.radiationPower,
+  Q: r => r.fusion.Q,
+  stability: r => r.fusion.stability,
+  heatingPower: r => r.fusion.heatingPower,
+  fuelingRate: r => r.fusion.fuelingRate,
+  magneticField: r => r.fusion.magneticField,
+  confinementMode: r => r.fusion.confinementMode,
+  disruptionRisk: r => r.fusion.disruptionRisk,
+  disrupted: r => Boolean(r.fusion.disruption),
+  heliumFraction: r => r.fusion.heliumFraction,
+  heating: r => r.decision?.actions.heating,
+  fueling: r => r.decision?.actions.fueling,
+  magnetic: r => r.decision?.actions.magnetic,
+  confidence: r => r.decision?.confidence,
+  alarms: r => r.alarms?.active.map(alarm => alarm.id).join(';')
+};
+
+/**
+ * Row extractor for the selected trace fields
+ */
+export function traceRow(fields = Object.keys(TRACE_FIELDS)) {
+  for (const field of fields) {
+    if (!TRACE_FIELDS[field]) {
+      throw new Error(`Unknown trace field: ${field} (available: ${Object.keys(TRACE_FIELDS).join(', ')})`);
+    }
+  }
+  return (result) => Object.fromEntries(fields.map(field => [field, TRACE_FIELDS[field](result) ?? null]));
+}
+
+/**
+ * Output format from an explicit choice, the file extension, or a fallback
+ */
+export function resolveFormat(format, output, fallback) {
+  const resolved = format || (output && path.extname(output).slice(1).toLowerCase()) || fallback;
+  if (!FORMATS.includes(resolved)) {
+    throw new Error(`Unknown output format: ${resolved} (use ${FORMATS.join(', ')})`);
+  }
+  return resolved;
+}
+
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream of rows to a file (or stdout when output is null / '-'):
+ * CSV with the header from the first row (or `columns`), or JSONL
+ */
+export class RowWriter {
+  constructor({ format = 'csv', output = null, columns = null } = {}) {
+    if (!['csv', 'jsonl'].includes(format)) {
+      throw new Error(`Rows are written as csv or jsonl, not ${format}`);
+    }
+    this.format = format;
+    this.columns = columns;
+    this.count = 0;
+    this.toStdout = !output || output === '-';
+    this.stream = this.toStdout ? process.stdout : createWriteStream(output);
+  }
+
+  write(row) {
+    this.count++;
+    if (this.format === 'jsonl') {
+      this.stream.write(`${JSON.stringify(row)}\n`);
+    } else {
+      if (!this.columns) {
+        this.columns = Object.keys(row);
+        this.stream.write(`${this.columns.map(csvCell).join(',')}\n`);
+      }
+      this.stream.write(`${this.columns.map(column => csvCell(row[column])).join(',')}\n`);
+    }
+  }
+
+  async close() {
+    if (!this.toStdout) {
+      await new Promise((resolve, reject) => {
+        this.stream.on('error', reject);
+        this.stream.end(resolve);
+      });
+    }
+    return this.count;
+  }
+}
+
+/**
+ * One JSON document to a file or stdout
+ */
+export async function writeJSON(data, output = null) {
+  const text = `${JSON.stringify(data, null, 2)}\n`;
+  if (!output || output === '-') {
+    process.stdout.write(text);
+  } else {
+    await fs.writeFile(output, text);
+  }
+}
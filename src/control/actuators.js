@@ -0,0 +1,115 @@
+/**
+ * ActuatorLayer - Turns DecisionEngine strategies into reactor commands
+ *
+ * Every algorithm name in DecisionEngine.algorithms is backed by a
+ * controller from the registry (see controllers.js) that maps the
+ * current fusion state to a concrete setpoint:
+ * - heating  → heatingPower (W)
+ * - fueling  → fuelingRate (particles/m³/s)
+ * - magnetic → magneticField (T)
+ *
+ * The resulting command is fed to FusionSimulator.applyControl(),
+ * closing the loop between decision and physics.
+ */
+
+import { CHANNEL_OUTPUTS, createController, hasController } from './controllers.js';
+
+export class ActuatorLayer {
+  constructor(config = {}) {
+    this.config = {
+      targetTemperature: config.targetTemperature || 1.5e8,  // K
+      targetDensity: config.targetDensity || 1e20,           // m^-3
+      targetStability: config.targetStability || 0.8,
+      baseHeating: config.baseHeating || 50e6,               // W
+      maxHeating: config.maxHeating || 100e6,                // W
+      baseFueling: config.baseFueling || 1e18,               // particles/m³/s
+      maxFueling: config.maxFueling || 1e20,                 // particles/m³/s
+      exhaustRate: config.exhaustRate || 0.001,              // 1/s
+      nominalField: config.nominalField || 5.0,              // Tesla
+      minField: config.minField || 1.0,                      // Tesla
+      maxField: config.maxField || 12.0,                     // Tesla
+      model: config.model || {},                             // FusionSimulator config for predictive rollouts
+      controllers: config.controllers || {},                 // per-strategy overrides, keyed 'channel:name'
+      ...config
+    };
+
+    // Live controller instances, keyed 'channel:name' (keep their internal state)
+    this.controllers = new Map();
+  }
+
+  /**
+   * Default options handed to every controller of a channel
+   */
+  channelOptions(channel) {
+    const c = this.config;
+    switch (channel) {
+      case 'heating':
+        return { setpoint: c.targetTemperature, bias: c.baseHeating, min: 0, max: c.maxHeating, model: c.model };
+      case 'fueling':
+        return { setpoint: c.targetDensity, bias: c.baseFueling, min: 0, max: c.maxFueling, exhaustRate: c.exhaustRate, model: c.model };
+      case 'magnetic':
+        return { setpoint: c.targetStability, bias: c.nominalField, min: c.minField, max: c.maxField, model: c.model };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Get (or lazily create) the controller behind a strategy name
+   */
+  getController(channel, algorithm) {
+    if (!algorithm || !hasController(channel, algorithm)) return null;
+
+    const key = `${channel}:${algorithm}`;
+    if (!this.controllers.has(key)) {
+      const options = {
+        ...this.channelOptions(channel),
+        ...this.config.controllers[key]
+      };
+      this.controllers.set(key, createController(channel, algorithm, options));
+    }
+    return this.controllers.get(key);
+  }
+
+  /**
+   * Build actuator command from a decision and the current fusion state
+   */
+  command(decision, state, dt = 1.0) {
+    const actions = decision.actions || {};
+    const command = {};
+
+    for (const [channel, output] of Object.entries(CHANNEL_OUTPUTS)) {
+      const controller = this.getController(channel, actions[channel]);
+      if (controller) {
+        command[output] = controller.compute(state, dt);
+      }
+    }
+
+    return command;
+  }
+
+  reset() {
+    for (const controller of this.controllers.values()) {
+      controller.reset();
+    }
+  }
+
+  snapshot() {
+    const controllers = [];
+    for (const [key, controller] of this.controllers) {
+      controllers.push([key, controller.getState()]);
+    }
+    return { controllers };
+  }
+
+  restore(snapshot) {
+    this.controllers.clear();
+    for (const [key, state] of snapshot.controllers) {
+      const [channel, ...name] = key.split(':');
+      this.getController(channel, name.join(':'))?.setState(state);
+    }
+    return this;
+  }
+}
+
+export default ActuatorLayer;
@@ -0,0 +1,469 @@
+/**
+ * Controllers - Stateful strategies behind DecisionEngine algorithm names
+ *
+ * Every strategy is an object with a common interface:
+ *   compute(state, dt) → actuator value
+ *   reset()            → clear integrators / memory
+ *   getState()/setState() → snapshot of the internal state
+ *
+ * Strategies live in a registry keyed by control channel and name, so
+ * custom controllers can be added with registerController() and picked
+ * by the DecisionEngine without touching engine.js.
+ */
+
+import { FusionSimulator } from '../simulators/fusion.js';
+
+// Control channel → FusionSimulator.applyControl() key
+export const CHANNEL_OUTPUTS = {
+  heating: 'heatingPower',
+  fueling: 'fuelingRate',
+  magnetic: 'magneticField'
+};
+
+/**
+ * Base controller
+ */
+export class Controller {
+  constructor(config = {}) {
+    this.config = {
+      min: -Infinity,
+      max: Infinity,
+      ...config
+    };
+  }
+
+  compute(state, dt) {
+    throw new Error(`${this.constructor.name}.compute() not implemented`);
+  }
+
+  reset() {}
+
+  /**
+   * Internal controller state (integrators, weights, ...) without config
+   */
+  getState() {
+    const { config, ...state } = this;
+    return structuredClone(state);
+  }
+
+  setState(state) {
+    Object.assign(this, structuredClone(state));
+  }
+
+  setSetpoint(setpoint) {
+    this.config.setpoint = setpoint;
+  }
+
+  clamp(value) {
+    return Math.max(this.config.min, Math.min(this.config.max, value));
+  }
+
+  /**
+   * Normalized tracking error: (setpoint - measured) / scale
+   */
+  error(state) {
+    const { setpoint, measure } = this.config;
+    const scale = this.config.scale || Math.abs(setpoint) || 1;
+    return (setpoint - (state[measure] ?? 0)) / scale;
+  }
+}
+
+/**
+ * Constant output
+ */
+export class ConstantController extends Controller {
+  compute() {
+    return this.clamp(this.config.value);
+  }
+}
+
+/**
+ * PID controller with conditional-integration anti-windup
+ * Gains are in output units per unit of normalized error.
+ */
+export class PIDController extends Controller {
+  constructor(config = {}) {
+    super({
+      kp: 1,
+      ki: 0,
+      kd: 0,
+      bias: 0,
+      feedforward: null,
+      ...config
+    });
+    this.reset();
+  }
+
+  reset() {
+    this.integral = 0;
+    this.prevError = null;
+  }
+
+  compute(state, dt) {
+    const error = this.error(state);
+    const { kp, ki, kd } = this.gains(state, error);
+    const derivative = this.prevError === null || dt <= 0 ? 0 : (error - this.prevError) / dt;
+    const integral = this.integral + error * dt;
+
+    const bias = this.config.bias + (this.config.feedforward ? this.config.feedforward(state) : 0);
+    const raw = bias + kp * error + ki * integral + kd * derivative;
+    const output = this.clamp(raw);
+
+    // Only integrate while unsaturated, or when the error unwinds saturation
+    if (output === raw || Math.sign(error) !== Math.sign(raw - output)) {
+      this.integral = integral;
+    }
+    this.prevError = error;
+
+    return output;
+  }
+
+  gains() {
+    const { kp, ki, kd } = this.config;
+    return { kp, ki, kd };
+  }
+}
+
+/**
+ * Self-tuning PID ("ML-PID")
+ * Raises kp while the error magnitude is not shrinking, relaxes it
+ * back towards the nominal gain once the error converges.
+ */
+export class SelfTuningPIDController extends PIDController {
+  constructor(config = {}) {
+    super({
+      learningRate: 0.05,
+      kpMin: (config.kp ?? 1) * 0.2,
+      kpMax: (config.kp ?? 1) * 5,
+      ...config
+    });
+  }
+
+  reset() {
+    super.reset();
+    this.kp = this.config.kp;
+  }
+
+  gains(state, error) {
+    const { learningRate, kpMin, kpMax, ki, kd } = this.config;
+    if (this.prevError !== null) {
+      const growing = Math.abs(error) >= Math.abs(this.prevError);
+      const factor = growing ? 1 + learningRate : 1 - learningRate / 2;
+      this.kp = Math.max(kpMin, Math.min(kpMax, this.kp * factor));
+    }
+    return { kp: this.kp, ki, kd };
+  }
+}
+
+/**
+ * Gain-scheduled PID ("Adaptive")
+ * Gains are linearly interpolated from a schedule on one state variable.
+ */
+export class GainScheduledController extends PIDController {
+  constructor(config = {}) {
+    super({
+      scheduleOn: 'stability',
+      schedule: [],    // [{ at, kp, ki, kd }], sorted by `at`
+      ...config
+    });
+  }
+
+  gains(state) {
+    const schedule = this.config.schedule;
+    if (!schedule.length) return super.gains();
+
+    const x = state[this.config.scheduleOn] ?? 0;
+    if (x <= schedule[0].at) return schedule[0];
+    const last = schedule[schedule.length - 1];
+    if (x >= last.at) return last;
+
+    for (let i = 1; i < schedule.length; i++) {
+      const hi = schedule[i];
+      if (x <= hi.at) {
+        const lo = schedule[i - 1];
+        const w = (x - lo.at) / (hi.at - lo.at);
+        return {
+          kp: lo.kp + w * (hi.kp - lo.kp),
+          ki: lo.ki + w * (hi.ki - lo.ki),
+          kd: lo.kd + w * (hi.kd - lo.kd)
+        };
+      }
+    }
+    return last;
+  }
+}
+
+/**
+ * Single-neuron adaptive PID ("Neural", "AI")
+ * Incremental PID whose three weights are updated with a supervised
+ * Hebb rule: Δw_i = η_i · e · u · x_i
+ */
+export class NeuronPIDController extends Controller {
+  constructor(config = {}) {
+    super({
+      gain: 0.02,                    // neuron gain K (normalized output per step)
+      rates: [0.4, 0.35, 0.4],       // η_I, η_P, η_D
+      weights: [0.3, 0.3, 0.3],
+      initial: null,
+      ...config
+    });
+    this.reset();
+  }
+
+  reset() {
+    this.weights = [...this.config.weights];
+    this.errors = [0, 0];
+    this.u = null;
+  }
+
+  compute(state, dt) {
+    const { min, max, gain, rates } = this.config;
+    const bounded = Number.isFinite(max - min);
+    const span = bounded ? max - min : 1;
+    if (this.u === null) {
+      this.u = this.config.initial ?? (bounded ? (min + max) / 2 : 0);
+    }
+
+    const e = this.error(state);
+    const [e1, e2] = this.errors;
+    const x = [e, e - e1, e - 2 * e1 + e2];
+
+    const norm = this.weights.reduce((sum, w) => sum + Math.abs(w), 0) || 1;
+    const delta = gain * this.weights.reduce((sum, w, i) => sum + (w / norm) * x[i], 0);
+    this.u = this.clamp(this.u + delta * span);
+
+    const uNorm = bounded ? (this.u - min) / span : this.u;
+    this.weights = this.weights.map((w, i) => w + rates[i] * e * uNorm * x[i]);
+    this.errors = [e, e1];
+
+    return this.u;
+  }
+}
+
+/**
+ * Pulsed output: `high` for duty·period seconds, then `low`
+ */
+export class PulsedController extends Controller {
+  constructor(config = {}) {
+    super({
+      period: 2.0,
+      duty: 0.5,
+      high: 1,
+      low: 0,
+      ...config
+    });
+    this.reset();
+  }
+
+  reset() {
+    this.elapsed = 0;
+  }
+
+  compute(state, dt) {
+    const { period, duty, high, low } = this.config;
+    const on = (this.elapsed % period) < duty * period;
+    this.elapsed += dt;
+    return this.clamp(on ? high : low);
+  }
+}
+
+/**
+ * Model-predictive controller ("Predictive", "Optimized")
+ * Rolls a FusionSimulator copy forward for each candidate input and
+ * picks the one with the lowest tracking + effort cost. The rollout
+ * model is built once; every rollout restores it from a snapshot of the
+ * measured state.
+ */
+export class PredictiveController extends Controller {
+  constructor(config = {}) {
+    super({
+      output: 'heatingPower',
+      candidates: 9,            // evenly spaced inputs over [min, max]
+      horizon: 5,               // rollout steps
+      stepSize: null,           // defaults to the caller's dt
+      effortWeight: 0.05,
+      model: {},                // FusionSimulator config used for rollouts
+      ...config
+    });
+    this.reset();
+  }
+
+  reset() {
+    this.lastOutput = null;
+    this.lastPlan = null;
+  }
+
+  /**
+   * Internal state without the rollout model
+   */
+  getState() {
+    const { config, sim, pristine, ...state } = this;
+    return structuredClone(state);
+  }
+
+  /**
+   * Snapshot of the rollout model set to the measured state
+   */
+  prepare(state) {
+    if (!this.sim) {
+      this.sim = new FusionSimulator(this.config.model);
+      this.pristine = this.sim.snapshot();
+    }
+    const sim = this.sim.restore(this.pristine);
+    sim.state = { ...sim.state, ...state, history: [] };
+    if (state.phase) sim.pulse.setState({ ...sim.pulse.getState(), phase: state.phase });
+    return sim.snapshot();
+  }
+
+  candidateInputs() {
+    const { candidates, min, max } = this.config;
+    if (Array.isArray(candidates)) return candidates.map(u => this.clamp(u));
+    if (candidates < 2) return [this.clamp(min)];
+    return Array.from({ length: candidates }, (_, i) => min + (max - min) * i / (candidates - 1));
+  }
+
+  /**
+   * Mean squared tracking error over the horizon, from a prepare() snapshot
+   */
+  rollout(start, input, dt) {
+    const { output, horizon, measure, setpoint } = this.config;
+    const scale = this.config.scale || Math.abs(setpoint) || 1;
+
+    const sim = this.sim.restore(start);
+    sim.applyControl({ [output]: input });
+
+    let cost = 0;
+    for (let i = 0; i < horizon; i++) {
+      const next = sim.step(dt);
+      cost += Math.pow((setpoint - next[measure]) / scale, 2);
+    }
+    return cost / horizon;
+  }
+
+  compute(state, dt) {
+    const { min, max, effortWeight } = this.config;
+    const stepSize = this.config.stepSize || dt || 1.0;
+    const span = Number.isFinite(max - min) && max > min ? max - min : 1;
+
+    const start = this.prepare(state);
+    let best = null;
+    const plan = [];
+    for (const input of this.candidateInputs()) {
+      const change = this.lastOutput === null ? 0 : (input - this.lastOutput) / span;
+      const cost = this.rollout(start, input, stepSize) + effortWeight * change * change;
+      plan.push({ input, cost });
+      if (!best || cost < best.cost) best = { input, cost };
+    }
+
+    this.lastPlan = plan;
+    this.lastOutput = best.input;
+    return best.input;
+  }
+}
+
+// ─── Registry ─────────────────────────────────────────────
+
+const registry = new Map();
+
+const registryKey = (channel, name) => `${channel}:${name}`;
+
+/**
+ * Register a controller factory: (options) => Controller
+ */
+export function registerController(channel, name, factory) {
+  if (!CHANNEL_OUTPUTS[channel]) {
+    throw new Error(`Unknown control channel: ${channel}`);
+  }
+  if (typeof factory !== 'function') {
+    throw new Error(`Controller factory for ${registryKey(channel, name)} must be a function`);
+  }
+  registry.set(registryKey(channel, name), { channel, name, factory });
+}
+
+export function hasController(channel, name) {
+  return registry.has(registryKey(channel, name));
+}
+
+export function createController(channel, name, options = {}) {
+  const entry = registry.get(registryKey(channel, name));
+  if (!entry) {
+    throw new Error(`No controller registered for ${registryKey(channel, name)}`);
+  }
+  return entry.factory(options);
+}
+
+/**
+ * Registered strategy names grouped by channel
+ */
+export function listControllers() {
+  const result = {};
+  for (const channel of Object.keys(CHANNEL_OUTPUTS)) {
+    result[channel] = [];
+  }
+  for (const { channel, name } of registry.values()) {
+    result[channel].push(name);
+  }
+  return result;
+}
+
+// Heating: track core temperature with auxiliary power
+registerController('heating', 'PID', (options) => new PIDController({
+  measure: 'temperature', kp: 60e6, ki: 10e6, kd: 0, ...options
+}));
+registerController('heating', 'ML-PID', (options) => new SelfTuningPIDController({
+  measure: 'temperature', kp: 40e6, ki: 8e6, kd: 0, ...options
+}));
+registerController('heating', 'Adaptive', (options) => new GainScheduledController({
+  measure: 'temperature',
+  scheduleOn: 'stability',
+  schedule: [
+    { at: 0.2, kp: 80e6, ki: 15e6, kd: 0 },
+    { at: 0.8, kp: 30e6, ki: 5e6, kd: 0 }
+  ],
+  ...options
+}));
+registerController('heating', 'Neural', (options) => new NeuronPIDController({
+  measure: 'temperature', initial: options.bias, ...options
+}));
+
+// Fueling: track density with the particle source
+registerController('fueling', 'Constant', (options) => new ConstantController({
+  value: options.bias, ...options
+}));
+registerController('fueling', 'Pulsed', (options) => new PulsedController({
+  high: 3 * options.bias, low: 0, period: 2.0, duty: 0.5, ...options
+}));
+registerController('fueling', 'Feedback', (options) => new PIDController({
+  measure: 'density',
+  kp: 5e18,
+  ki: 1e18,
+  kd: 0,
+  feedforward: (state) => state.density * (options.exhaustRate ?? 0.001),
+  ...options,
+  bias: 0
+}));
+registerController('fueling', 'Predictive', (options) => new PredictiveController({
+  measure: 'density', output: 'fuelingRate', ...options
+}));
+
+// Magnetic: trade field strength against stability
+registerController('magnetic', 'Fixed', (options) => new ConstantController({
+  value: options.bias, ...options
+}));
+registerController('magnetic', 'Adaptive', (options) => new GainScheduledController({
+  measure: 'stability',
+  scheduleOn: 'stability',
+  schedule: [
+    { at: 0.2, kp: 2.0, ki: 0.2, kd: 0 },
+    { at: 0.8, kp: 0.5, ki: 0.05, kd: 0 }
+  ],
+  ...options
+}));
+registerController('magnetic', 'Optimized', (options) => new PredictiveController({
+  measure: 'stability', output: 'magneticField', ...options
+}));
+registerController('magnetic', 'AI', (options) => new NeuronPIDController({
+  measure: 'stability', initial: options.bias, ...options
+}));
+
+export default Controller;
@@ -13,27 +13,93 @@
  * - P→1 = 顺 (conditioned reflex)
  */
 
+import { listControllers } from '../control/controllers.js';
+import { SeededRandom } from '../utils/random.js';
+
+const SELECTION_MODES = ['rules', 'v5', 'epsilon-greedy', 'ucb'];
+
+const rule = (algorithm, reason) => () => ({ algorithm, reason });
+
+/**
+ * Per-phase rules, checked before the state-based rules.
+ * A rule is (state) => { algorithm, reason } or null to fall through.
+ */
+const PHASE_RULES = {
+  'pre-fill': {
+    heating: rule('PID', 'Pre-fill, heating interlocked'),
+    fueling: rule('Pulsed', 'Pre-fill, gas puffing'),
+    magnetic: rule('Fixed', 'Pre-fill, hold vacuum field')
+  },
+  breakdown: {
+    heating: rule('PID', 'Breakdown, heat to burn-through'),
+    fueling: rule('Constant', 'Breakdown, hold fill pressure'),
+    magnetic: rule('Fixed', 'Breakdown, hold vacuum field')
+  },
+  'ramp-up': {
+    fueling: (state) => state.limits?.fractions.greenwald > 0.8
+      ? { algorithm: 'Constant', reason: 'Ramp-up, density near Greenwald limit' }
+      : null
+  },
+  'ramp-down': {
+    heating: rule('PID', 'Ramp-down, heating follows current'),
+    fueling: rule('Constant', 'Ramp-down, fueling interlocked'),
+    magnetic: rule('Fixed', 'Ramp-down, hold field')
+  },
+  termination: {
+    heating: rule('PID', 'Termination, heating interlocked'),
+    fueling: rule('Constant', 'Termination, pumping out'),
+    magnetic: rule('Fixed', 'Termination, hold field')
+  },
+  disruption: {
+    heating: rule('PID', 'Disruption, actuators interlocked'),
+    fueling: rule('Constant', 'Disruption, actuators interlocked'),
+    magnetic: rule('Fixed', 'Disruption, hold field through current quench')
+  }
+};
+
 export class DecisionEngine {
   constructor(config = {}) {
     this.config = {
       memory: config.memory || null,
       decisionThreshold: config.decisionThreshold || 0.7,
-      explorationRate: config.explorationRate || 0.1,
-      ...config
+      explorationRate: config.explorationRate ?? 0.1,
+      selectionMode: config.selectionMode || 'rules',  // rules, v5, epsilon-greedy, ucb
+      seed: config.seed,
+      clock: config.clock || null,                 // SimulationClock for decision timestamps (null: none)
+      creditDelay: config.creditDelay || 5,        // steps between decision and its evaluation
+      learningRate: config.learningRate || 0.1,    // Hebbian γ/B update rate
+      minEvaluations: config.minEvaluations || 3,  // evaluations before a strategy can become best
+      recallK: config.recallK || 0,                // similar past decisions attached to each decision (0 = off)
+      gammaRange: { min: 0.5, max: 10 },
+      barrierRange: { min: 0.1, max: 0.9 },
+      rewardWeights: { stability: 1.0, power: 0.5, violation: 0.5, ash: 0.5, tritium: 0 },
+      channelRewardWeights: {                      // per-channel credit, merged over rewardWeights
+        heating: { stability: 0.5, power: 1.0, ash: 0, tritium: 0 },   // heating → T → fusion power
+        fueling: {},                                                  // power, stability and fuel economy
+        magnetic: { stability: 1.0, power: 0, ash: 0, tritium: 0 }    // field → stability
+      },
+      limits: { maxTemperature: 5e8, maxDensity: 2e20 },
+      powerScale: 1e6,                             // W, floor for relative power change
+      tritiumScale: 1,                             // g of tritium consumed that costs one reward unit
+      ...config,
+      phaseRules: { ...PHASE_RULES, ...config.phaseRules }  // per-phase overrides, keyed by phase
     };
     
+    if (!SELECTION_MODES.includes(this.config.selectionMode)) {
+      throw new Error(`Unknown selection mode: ${this.config.selectionMode}`);
+    }
+    
+    // Seedable RNG for exploration, so runs are reproducible
+    this.random = new SeededRandom(this.config.seed);
+    
     // V5 parameters
     this.v5Params = {
       barrier: config.barrier || 0.5,
       gamma: config.gamma || 1.5
     };
     
-    // Available algorithms for fusion control
-    this.algorithms = {
-      heating: [' PID', 'ML-PID', 'Adaptive', 'Neural'],
-      fueling: ['Constant', 'Pulsed', 'Feedback', 'Predictive'],
-      magnetic: ['Fixed', 'Adaptive', 'Optimized', 'AI']
-    };
+    // Available algorithms for fusion control (controller registry)
+    this.algorithms = config.algorithms || listControllers();
     
     // Performance history
     this.history = [];
@@ -41,6 +107,12 @@ export class DecisionEngine {
     // Learned patterns
     this.patterns = new Map();
     
+    // Per-strategy V5 parameters and reward statistics, keyed 'channel:name'
+    this.strategies = new Map();
+    
+    // Decisions waiting for their outcome to be observed
+    this.pending = [];
+    
     // Current best algorithms
     this.currentBest = {
       heating: 'PID',
@@ -119,31 +191,41 @@ export class DecisionEngine {
    */
   decide(fusionState) {
     const decision = {
-      timestamp: Date.now(),
+      timestamp: this.config.clock?.now() ?? null,   // no wall-clock fallback: runs stay reproducible
       state: {
         temperature: fusionState.temperature,
         density: fusionState.density,
         stability: fusionState.stability,
+        fusionPower: fusionState.fusionPower,
         phase: fusionState.phase
       },
       actions: {},
-      rationale: []
+      rationale: [],
+      selection: {}
     };
     
     // Decide on heating strategy
-    const heatingDecision = this.decideHeating(fusionState);
+    const heatingDecision = this.select('heating', this.decideHeating(fusionState));
     decision.actions.heating = heatingDecision.algorithm;
     decision.rationale.push(heatingDecision.reason);
+    decision.selection.heating = heatingDecision.selection;
     
     // Decide on fueling strategy
-    const fuelingDecision = this.decideFuel(fusionState);
+    const fuelingDecision = this.select('fueling', this.decideFuel(fusionState));
     decision.actions.fueling = fuelingDecision.algorithm;
     decision.rationale.push(fuelingDecision.reason);
+    decision.selection.fueling = fuelingDecision.selection;
     
     // Decide on magnetic control
-    const magneticDecision = this.decideMagnetic(fusionState);
+    const magneticDecision = this.select('magnetic', this.decideMagnetic(fusionState));
     decision.actions.magnetic = magneticDecision.algorithm;
     decision.rationale.push(magneticDecision.reason);
+    decision.selection.magnetic = magneticDecision.selection;
+    
+    // What did we do last time the plasma looked like this?
+    if (this.config.recallK > 0) {
+      decision.precedents = this.recall(fusionState, this.config.recallK);
+    }
     
     // Calculate overall confidence
     const v5Result = this.calculateDecision(fusionState);
@@ -159,7 +241,41 @@ export class DecisionEngine {
     return decision;
   }
 
+  /**
+   * Top-k most similar past decisions from memory (state similarity,
+   * optionally combined with a text query such as a phase or strategy)
+   */
+  recall(state, k = 5, text = null) {
+    const memory = this.config.memory;
+    if (!memory || typeof memory.search !== 'function') return [];
+    
+    return memory.search({
+      state,
+      text,
+      k,
+      filter: (entry) => entry.meta?.type === 'decision'
+    }).map(result => ({
+      key: result.key,
+      score: result.score,
+      similarity: result.scores.state,
+      actions: result.value?.actions || null,
+      state: result.value?.state || null,
+      tier: result.tier
+    }));
+  }
+
+  /**
+   * Rule for the current pulse phase, or null to use the state-based rules
+   */
+  phaseRule(channel, state) {
+    const rule = this.config.phaseRules[state.phase]?.[channel];
+    return rule ? rule(state) : null;
+  }
+
   decideHeating(state) {
+    const phaseDecision = this.phaseRule('heating', state);
+    if (phaseDecision) return phaseDecision;
+    
     if (state.temperature < 5e7) {
       return { algorithm: 'PID', reason: 'Temperature too low, use aggressive PID' };
     } else if (state.stability < 0.3) {
@@ -172,6 +288,9 @@ export class DecisionEngine {
   }
 
   decideFuel(state) {
+    const phaseDecision = this.phaseRule('fueling', state);
+    if (phaseDecision) return phaseDecision;
+    
     if (state.density < 5e19) {
       return { algorithm: 'Pulsed', reason: 'Low density, pulsed fueling' };
     } else if (state.stability < 0.4) {
@@ -184,6 +303,9 @@ export class DecisionEngine {
   }
 
   decideMagnetic(state) {
+    const phaseDecision = this.phaseRule('magnetic', state);
+    if (phaseDecision) return phaseDecision;
+    
     if (state.stability < 0.3) {
       return { algorithm: 'AI', reason: 'Critical stability, use AI control' };
     } else if (state.phase === 'burn') {
@@ -193,8 +315,142 @@ export class DecisionEngine {
     }
   }
 
+  /**
+   * Strategy selection on top of the rule-based choice
+   * - rules:          keep the hand-written rule
+   * - v5:            sample ∝ V5 selection probability, mixed with a
+   *                  uniform share of explorationRate
+   * - epsilon-greedy: random strategy with probability explorationRate,
+   *                  otherwise the best mean reward (rule until evaluated)
+   * - ucb:            UCB1 with exploration constant c = 10·explorationRate
+   */
+  select(channel, ruleDecision) {
+    const mode = this.config.selectionMode;
+    const candidates = this.algorithms[channel] || [];
+    const rule = ruleDecision.algorithm;
+    
+    if (mode === 'rules' || candidates.length === 0) {
+      return { ...ruleDecision, selection: { mode, rule, explored: false } };
+    }
+    
+    const epsilon = this.config.explorationRate;
+    let algorithm;
+    let reason;
+    
+    if (mode === 'v5') {
+      const probabilities = candidates.map(name => this.selectionProbability(channel, name));
+      const total = probabilities.reduce((sum, p) => sum + p, 0);
+      const weights = probabilities.map(p => (1 - epsilon) * p / total + epsilon / candidates.length);
+      algorithm = candidates[this.random.weightedIndex(weights)];
+      reason = `V5 sampling (P=${(probabilities[candidates.indexOf(algorithm)] * 100).toFixed(1)}%)`;
+    } else if (mode === 'epsilon-greedy') {
+      if (this.random.next() < epsilon) {
+        algorithm = this.random.choice(candidates);
+        reason = 'Exploring (epsilon-greedy)';
+      } else {
+        algorithm = this.greedyStrategy(channel, candidates) || rule;
+        reason = algorithm === rule ? ruleDecision.reason : 'Exploiting best mean reward';
+      }
+    } else {
+      algorithm = this.ucbStrategy(channel, candidates, 10 * epsilon);
+      reason = 'UCB1 bandit selection';
+    }
+    
+    return {
+      algorithm,
+      reason,
+      selection: { mode, rule, explored: algorithm !== rule }
+    };
+  }
+
+  greedyStrategy(channel, candidates) {
+    let best = null;
+    for (const name of candidates) {
+      const strategy = this.strategies.get(`${channel}:${name}`);
+      if (!strategy || strategy.evaluations === 0) continue;
+      const mean = strategy.totalReward / strategy.evaluations;
+      if (!best || mean > best.mean) best = { name, mean };
+    }
+    return best?.name || null;
+  }
+
+  ucbStrategy(channel, candidates, c) {
+    const stats = candidates.map(name => this.strategies.get(`${channel}:${name}`));
+    
+    // Every strategy is tried once before confidence bounds apply
+    const untried = candidates.filter((_, i) => !stats[i] || stats[i].selections === 0);
+    if (untried.length) return untried[0];
+    
+    const total = stats.reduce((sum, s) => sum + s.selections, 0);
+    let best = null;
+    candidates.forEach((name, i) => {
+      const s = stats[i];
+      const mean = s.evaluations > 0 ? s.totalReward / s.evaluations : 0;
+      const score = mean + c * Math.sqrt(Math.log(total) / s.selections);
+      if (!best || score > best.score) best = { name, score };
+    });
+    return best.name;
+  }
+
+  /**
+   * V5 equation: P = 1/(1+e^(-2γ(Input-B)))
+   */
+  v5Probability(input, gamma, barrier) {
+    return 1 / (1 + Math.exp(-2 * gamma * (input - barrier)));
+  }
+
+  /**
+   * Per-strategy V5 parameters (created on first use)
+   */
+  getStrategy(channel, name) {
+    const key = `${channel}:${name}`;
+    if (!this.strategies.has(key)) {
+      this.strategies.set(key, {
+        channel,
+        name,
+        gamma: this.v5Params.gamma,
+        barrier: this.v5Params.barrier,
+        selections: 0,
+        evaluations: 0,
+        totalReward: 0,
+        totalSquaredReward: 0,
+        lastReward: null
+      });
+    }
+    return this.strategies.get(key);
+  }
+
+  /**
+   * Set the V5 decision parameters (e.g. from calibration/v5.js); learned
+   * per-strategy γ/B are kept
+   */
+  setV5Params({ gamma, barrier } = {}) {
+    if (gamma !== undefined) {
+      this.v5Params.gamma = gamma;
+      this.config.gamma = gamma;
+    }
+    if (barrier !== undefined) {
+      this.v5Params.barrier = barrier;
+      this.config.barrier = barrier;
+    }
+  }
+
+  /**
+   * Selection probability of a strategy
+   * Input = mean outcome mapped to [0, 1], γ/B learned per strategy
+   */
+  selectionProbability(channel, name) {
+    const strategy = this.getStrategy(channel, name);
+    const input = strategy.evaluations > 0
+      ? (strategy.totalReward / strategy.evaluations + 1) / 2
+      : 0.5;
+    return this.v5Probability(input, strategy.gamma, strategy.barrier);
+  }
+
   /**
    * Learn from decision outcomes (Hebb: cells that fire together, wire together)
+   * Each decision is scored creditDelay steps later, against the state
+   * its actions actually produced.
    */
   learn(state, decision) {
     const patternKey = this.hashState(state);
@@ -206,22 +462,142 @@ export class DecisionEngine {
         stability: state.stability,
         fusionPower: state.fusionPower,
         count: 0,
-        totalScore: 0
+        evaluations: 0,
+        totalScore: 0,
+        totalReward: 0,
+        strategies: {}
       });
     }
     
     const pattern = this.patterns.get(patternKey);
     pattern.count++;
     
-    // Calculate success score based on stability improvement
-    const successScore = state.stability > 0.5 ? 1 : 0;
-    pattern.totalScore += successScore;
+    for (const [channel, name] of Object.entries(decision.actions)) {
+      this.getStrategy(channel, name).selections++;
+      const local = pattern.strategies[`${channel}:${name}`] ||= { selections: 0, evaluations: 0, totalReward: 0 };
+      local.selections++;
+    }
     
-    // Update best algorithms if performance improved
-    if (successScore > 0.8) {
-      this.currentBest.heating = decision.actions.heating;
-      this.currentBest.fueling = decision.actions.fueling;
-      this.currentBest.magnetic = decision.actions.magnetic;
+    // Credit earlier decisions whose outcome is now observable
+    for (const entry of this.pending) {
+      entry.age++;
+    }
+    while (this.pending.length && this.pending[0].age >= this.config.creditDelay) {
+      this.reinforce(this.pending.shift(), state);
+    }
+    
+    this.pending.push({
+      patternKey,
+      actions: { ...decision.actions },
+      state: {
+        temperature: state.temperature,
+        density: state.density,
+        stability: state.stability,
+        fusionPower: state.fusionPower || 0,
+        disrupted: Boolean(state.disruption),
+        tritiumInventory: state.fuelCycle?.tritiumInventory ?? null
+      },
+      age: 0
+    });
+  }
+
+  /**
+   * Reward in [-1, 1]: stability change, fusion power change,
+   * minus a penalty for every operating limit violated afterwards, for
+   * helium dilution and (optionally) for tritium drawn from the inventory.
+   * A disruption that started in between is the worst outcome.
+   */
+  evaluateOutcome(before, after, weights = this.config.rewardWeights) {
+    
+    if (after.disruption && !before.disrupted) return -1;
+    
+    const stabilityGain = (after.stability - before.stability) / 0.1;
+    const powerGain = ((after.fusionPower || 0) - before.fusionPower) /
+      Math.max(before.fusionPower, this.config.powerScale);
+    
+    const inventory = after.fuelCycle?.tritiumInventory;
+    const tritiumUsed = Number.isFinite(before.tritiumInventory) && Number.isFinite(inventory)
+      ? Math.max(0, before.tritiumInventory - inventory) / this.config.tritiumScale
+      : 0;
+    
+    const reward = Math.tanh(
+      weights.stability * stabilityGain + weights.power * powerGain - (weights.tritium || 0) * tritiumUsed
+    ) - weights.violation * this.countViolations(after) - (weights.ash || 0) * (after.heliumFraction || 0);
+    
+    return Math.max(-1, Math.min(1, reward));
+  }
+
+  countViolations(state) {
+    const { maxTemperature, maxDensity } = this.config.limits;
+    let violations = Array.isArray(state.violations) ? state.violations.length : 0;
+    if (state.temperature > maxTemperature) violations++;
+    if (state.density > maxDensity) violations++;
+    return violations;
+  }
+
+  /**
+   * Reward weights of a channel: rewardWeights with its channelRewardWeights
+   */
+  channelWeights(channel) {
+    return { ...this.config.rewardWeights, ...this.config.channelRewardWeights?.[channel] };
+  }
+
+  /**
+   * Hebbian update: good outcomes raise γ and lower B for the strategies
+   * that produced them, bad outcomes do the opposite. Each channel's
+   * strategy is credited with the outcome on its own metrics
+   * (channelWeights); the pattern is scored on the overall reward.
+   * @param {Object} after - state creditDelay steps after the decision
+   */
+  reinforce(entry, after) {
+    const { learningRate, gammaRange, barrierRange } = this.config;
+    const clamp = (value, range) => Math.max(range.min, Math.min(range.max, value));
+    const reward = this.evaluateOutcome(entry.state, after);
+    
+    const pattern = this.patterns.get(entry.patternKey);
+    if (pattern) {
+      pattern.evaluations++;
+      pattern.totalScore += (reward + 1) / 2;
+      pattern.totalReward += reward;
+    }
+    
+    for (const [channel, name] of Object.entries(entry.actions)) {
+      const credit = this.evaluateOutcome(entry.state, after, this.channelWeights(channel));
+      const strategy = this.getStrategy(channel, name);
+      strategy.evaluations++;
+      strategy.totalReward += credit;
+      strategy.totalSquaredReward += credit * credit;
+      strategy.lastReward = credit;
+      strategy.gamma = clamp(strategy.gamma * (1 + learningRate * credit), gammaRange);
+      strategy.barrier = clamp(strategy.barrier - learningRate * credit * 0.1, barrierRange);
+      
+      const local = pattern?.strategies[`${channel}:${name}`];
+      if (local) {
+        local.evaluations++;
+        local.totalReward += credit;
+      }
+    }
+    
+    this.updateBest();
+  }
+
+  /**
+   * Best strategy per channel = highest selection probability
+   * among strategies with enough evaluations
+   */
+  updateBest() {
+    for (const channel of Object.keys(this.currentBest)) {
+      let best = null;
+      for (const strategy of this.strategies.values()) {
+        if (strategy.channel !== channel || strategy.evaluations < this.config.minEvaluations) continue;
+        const probability = this.selectionProbability(channel, strategy.name);
+        if (!best || probability > best.probability) {
+          best = { name: strategy.name, probability };
+        }
+      }
+      if (best) {
+        this.currentBest[channel] = best.name;
+      }
     }
   }
 
@@ -237,13 +613,117 @@ export class DecisionEngine {
     return [...this.history];
   }
 
+  /**
+   * Serializable learned state (patterns, per-strategy V5 parameters,
+   * best strategies and recent history)
+   */
+  exportState({ historyLimit = 1000 } = {}) {
+    return structuredClone({
+      v5Params: this.v5Params,
+      currentBest: this.currentBest,
+      patterns: [...this.patterns.entries()],
+      strategies: [...this.strategies.entries()],
+      pending: this.pending,
+      history: this.history.slice(-historyLimit)
+    });
+  }
+
+  importState(state) {
+    const data = structuredClone(state);
+    this.v5Params = { ...this.v5Params, ...data.v5Params };
+    this.currentBest = { ...this.currentBest, ...data.currentBest };
+    this.patterns = new Map(data.patterns || []);
+    this.strategies = new Map(data.strategies || []);
+    this.pending = data.pending || [];
+    this.history = data.history || [];
+  }
+
+  /**
+   * Full serializable copy: config (without the memory component and
+   * phase rule functions), learned state, complete history and RNG position
+   */
+  snapshot() {
+    const { memory, clock, phaseRules, ...config } = this.config;
+    return structuredClone({
+      config,
+      learned: this.exportState({ historyLimit: Infinity }),
+      random: this.random.getState()
+    });
+  }
+
+  restore(snapshot) {
+    const data = structuredClone(snapshot);
+    this.config = {
+      ...data.config,
+      memory: this.config.memory,
+      clock: this.config.clock,
+      phaseRules: this.config.phaseRules
+    };
+    this.algorithms = this.config.algorithms || listControllers();
+    this.importState(data.learned);
+    this.random.setState(data.random);
+    return this;
+  }
+
+  /**
+   * Independent copy, optionally bound to another memory component
+   */
+  fork(memory = this.config.memory, clock = this.config.clock) {
+    const snapshot = this.snapshot();
+    return new DecisionEngine({ ...snapshot.config, memory, clock, phaseRules: this.config.phaseRules }).restore(snapshot);
+  }
+
+  /**
+   * Strategy statistics with current V5 selection probability
+   */
+  getStrategies() {
+    const result = [];
+    for (const [key, strategy] of this.strategies) {
+      result.push(this.describeStrategy(key, strategy));
+    }
+    return result.sort((a, b) => b.probability - a.probability);
+  }
+
+  describeStrategy(key, strategy) {
+    const n = strategy.evaluations;
+    const meanReward = n > 0 ? strategy.totalReward / n : 0;
+    const variance = n > 1 ? Math.max(0, (strategy.totalSquaredReward - n * meanReward * meanReward) / (n - 1)) : 0;
+    return {
+      key,
+      channel: strategy.channel,
+      name: strategy.name,
+      gamma: strategy.gamma,
+      barrier: strategy.barrier,
+      selections: strategy.selections,
+      evaluations: n,
+      meanReward,
+      rewardStd: Math.sqrt(variance),
+      lastReward: strategy.lastReward,
+      probability: this.selectionProbability(strategy.channel, strategy.name)
+    };
+  }
+
   getPatterns() {
     const result = [];
     for (const [key, value] of this.patterns) {
+      const strategies = Object.entries(value.strategies).map(([strategyKey, local]) => {
+        const global = this.describeStrategy(strategyKey, this.strategies.get(strategyKey));
+        return {
+          key: strategyKey,
+          gamma: global.gamma,
+          barrier: global.barrier,
+          probability: global.probability,
+          selections: local.selections,
+          evaluations: local.evaluations,
+          meanReward: local.evaluations > 0 ? local.totalReward / local.evaluations : 0
+        };
+      });
       result.push({
         key,
         ...value,
-        avgScore: value.count > 0 ? value.totalScore / value.count : 0
+        strategies,
+        avgScore: value.evaluations > 0 ? value.totalScore / value.evaluations : 0,
+        avgReward: value.evaluations > 0 ? value.totalReward / value.evaluations : 0
       });
     }
     return result.sort((a, b) => b.avgScore - a.avgScore);
@@ -9,22 +9,78 @@
  * 3. 算法决策 (V5-based decision engine)
  */
 
+import { EventEmitter } from 'node:events';
 import { FusionSimulator } from './simulators/fusion.js';
 import { DecisionEngine } from './decision/engine.js';
+import { ActuatorLayer } from './control/actuators.js';
+import { CHANNEL_OUTPUTS } from './control/controllers.js';
+import { MemoryStore } from './memory/store.js';
+import { AlarmManager } from './alarms/manager.js';
+import { DataSource, SimulatorSource, createSource } from './sources/source.js';
+import './sources/replay.js';
+import { FileAdapter } from './memory/adapters.js';
+import { SimulationClock } from './utils/clock.js';
+import { deriveSeed } from './utils/random.js';
+import { installPlugin, resolvePlugin } from './plugins/plugins.js';
 
-export class TwinCosmos {
+export { StorageAdapter, InMemoryAdapter, FileAdapter } from './memory/adapters.js';
+export { AlarmManager, DEFAULT_RULES as DEFAULT_ALARM_RULES, FORECAST_RULES as FORECAST_ALARM_RULES } from './alarms/manager.js';
+export {
+  Controller,
+  registerController,
+  listControllers
+} from './control/controllers.js';
+export {
+  DeviceModel,
+  registerDevice,
+  listDevices
+} from './simulators/devices.js';
+export { integrate, registerIntegrator, listIntegrators } from './utils/integrators.js';
+export { calibrateV5, applyCalibration } from './calibration/v5.js';
+export { DataSource, SimulatorSource, registerSource, listSources } from './sources/source.js';
+export { ReplaySource } from './sources/replay.js';
+export { monteCarlo, runBatch } from './analysis/montecarlo.js';
+export { sobolAnalysis, morrisAnalysis } from './analysis/sensitivity.js';
+export { SensorFaultSource } from './sources/faults.js';
+export { ScenarioRunner, loadScenario, parseScenario } from './scenario/runner.js';
+export { registerPerturbation, listPerturbations } from './scenario/perturbations.js';
+export { parseYAML } from './utils/yaml.js';
+export { LIFECYCLE_EVENTS, registerPlugin, listPlugins } from './plugins/plugins.js';
+export { TwinServer } from './server/server.js';
+
+/**
+ * Lifecycle events (see plugins/plugins.js): beforeStep, afterPhysics,
+ * phaseChange, alarm, decision, afterStep
+ */
+export class TwinCosmos extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.config = {
       memoryEnabled: config.memoryEnabled ?? true,
       fusionEnabled: config.fusionEnabled ?? true,
       decisionEnabled: config.decisionEnabled ?? true,
-      ...config
+      controlEnabled: config.controlEnabled ?? true,
+      alarmsEnabled: config.alarmsEnabled ?? true,
+      persistence: config.persistence || null,  // { path } or { adapter }, optional { restore }
+      verbose: config.verbose ?? true,
+      seed: config.seed,                        // master seed → per-component PRNG seeds
+      source: config.source || null,            // DataSource or { type, ...options }; default: live FusionSimulator
+      dt: config.dt || 0.1,                     // s of simulated time per run() step
+      ...config,
+      plugins: config.plugins || []             // installed at the end of initialize()
     };
     
+    // Single simulated clock shared by every component (no wall-clock time)
+    this.clock = new SimulationClock({ epoch: this.config.epoch });
+    
     this.components = {};
+    this.customComponents = new Set();   // added by plugins (registerComponent)
+    this.plugins = [];
     this.state = {
       initialized: false,
       time: 0,
+      step: 0,
+      phase: null,      // pulse phase of the last state (for phaseChange)
       memory: null,
       fusion: null,
       decisions: []
@@ -32,51 +88,92 @@ export class TwinCosmos {
   }
 
   async initialize() {
-    console.log('🌌 Initializing TwinCosmos...');
+    this.log('🌌 Initializing TwinCosmos...');
+    
+    if (this.config.persistence) {
+      const { adapter, path } = this.config.persistence;
+      this.components.storage = adapter || new FileAdapter({ path });
+    }
     
-    // Note: V5 Memory integration - using in-memory storage for now
+    // Note: V5 Memory integration - using the local tiered store for now
     // Full v5-memory integration requires fixing platform_adapters exports
     if (this.config.memoryEnabled) {
-      this.components.memory = {
-        store: async (key, value, meta) => {
-          if (!this.components.memory.data) this.components.memory.data = new Map();
-          this.components.memory.data.set(key, { value, meta, timestamp: Date.now() });
-          return true;
-        },
-        retrieve: async (query) => {
-          const results = [];
-          if (this.components.memory.data) {
-            for (const [key, entry] of this.components.memory.data) {
-              if (key.includes(query) || JSON.stringify(entry.value).includes(query)) {
-                results.push({ key, ...entry });
-              }
-            }
-          }
-          return results;
-        },
-        data: new Map()
-      };
-      console.log('  ✓ V5 Memory System initialized (in-memory)');
+      this.components.memory = new MemoryStore({
+        ...this.config.memory,
+        adapter: this.components.storage || null,
+        clock: this.clock
+      });
+      const loaded = await this.components.memory.load();
+      this.log(`  ✓ V5 Memory System initialized (Hot/Warm/Cold tiers${loaded ? `, ${loaded} entries restored` : ''})`);
     }
     
-    if (this.config.fusionEnabled) {
+    if (this.config.source) {
+      // External data source (e.g. recorded shots); fusion is its simulator, if any
+      const source = this.config.source;
+      this.components.source = source instanceof DataSource ? source : createSource(source.type, source);
+      await this.components.source.load();
+      this.components.fusion = this.components.source.simulator;
+      this.log(`  ✓ Data source: ${this.components.source.describe()}`);
+    } else if (this.config.fusionEnabled) {
       this.components.fusion = new FusionSimulator({
         reactorType: this.config.reactorType || 'tokamak',
         initialTemperature: 1e8,
-        initialDensity: 1e20
+        initialDensity: 1e20,
+        seed: this.seedFor('fusion'),
+        ...this.config.fusion
+      });
+      this.components.source = new SimulatorSource(this.components.fusion);
+      this.log('  ✓ Fusion Simulator initialized');
+    }
+    
+    this.components.fusion?.pulse.on('transition', (event) => {
+      this.log(`  ⇢ t=${event.time.toFixed(1)}s ${event.from} → ${event.to} (${event.reason})`);
+    });
+    
+    if (this.config.alarmsEnabled && this.components.source) {
+      this.components.alarms = new AlarmManager({ ...this.config.alarms });
+      this.log(`  ✓ Alarm Manager initialized (${this.components.alarms.rules.length} rules)`);
+      this.components.alarms.on('raised', (alarm) => {
+        this.log(`  ⚠ t=${alarm.raisedAt.toFixed(1)}s [${alarm.severity}] ${alarm.id}: ${alarm.message}`);
       });
-      console.log('  ✓ Fusion Simulator initialized');
     }
     
     if (this.config.decisionEnabled) {
       this.components.decision = new DecisionEngine({
-        memory: this.components.memory
+        memory: this.components.memory,
+        clock: this.clock,
+        seed: this.seedFor('decision'),
+        ...this.config.decision
+      });
+      this.log('  ✓ Decision Engine initialized');
+    }
+    
+    if (this.config.controlEnabled && this.components.source && this.components.decision) {
+      this.components.actuators = new ActuatorLayer({
+        nominalField: this.components.fusion?.config.magneticField,
+        model: this.components.fusion?.config,
+        ...this.config.control
       });
-      console.log('  ✓ Decision Engine initialized');
+      this.log('  ✓ Actuator Layer initialized (closed loop)');
+    }
+    
+    if (this.components.storage && this.config.persistence.restore !== false) {
+      const saved = await this.components.storage.readState();
+      if (saved) {
+        this.restoreLearnedState(saved);
+        this.log(`  ✓ Learned state restored (t=${saved.time}s)`);
+      }
+    }
+    
+    this.state.phase = this.components.source?.getState()?.phase ?? null;
+    
+    for (const spec of this.config.plugins) {
+      this.use(resolvePlugin(spec));
+      this.log(`  ✓ Plugin: ${this.plugins[this.plugins.length - 1].name}`);
     }
     
     this.state.initialized = true;
-    console.log('🌌 TwinCosmos ready!\n');
+    this.log('🌌 TwinCosmos ready!\n');
     return this;
   }
 
@@ -85,18 +182,56 @@ export class TwinCosmos {
       throw new Error('TwinCosmos not initialized');
     }
     
-    this.state.time += deltaTime;
+    await this.emitAsync('beforeStep', { time: this.state.time, deltaTime });
+    
+    this.clock.advance(deltaTime);
+    this.state.time = this.clock.time;
+    this.state.step = this.clock.step;
     
     const results = {
       time: this.state.time,
+      step: this.state.step,
       fusion: null,
+      alarms: null,
       decision: null,
+      control: null,
+      vetoes: [],
       memory: null
     };
     
-    // Run fusion simulation step
-    if (this.components.fusion) {
-      results.fusion = this.components.fusion.step(deltaTime);
+    // Reactor state from the simulator (or recorded data); null once a replay has ended
+    if (this.components.source) {
+      results.fusion = this.components.source.step(deltaTime);
+    }
+    
+    // Plugins may correct / filter the state before anything acts on it
+    if (results.fusion) {
+      const physics = { time: results.time, step: results.step, state: results.fusion };
+      await this.emitAsync('afterPhysics', physics);
+      results.fusion = physics.state;
+      
+      const from = this.state.phase;
+      this.state.phase = results.fusion.phase;
+      if (from && results.fusion.phase !== from) {
+        await this.emitAsync('phaseChange', {
+          time: results.time,
+          from,
+          to: results.fusion.phase,
+          reason: results.fusion.transition?.reason ?? null,
+          state: results.fusion
+        });
+      }
+    }
+    
+    // Early warnings, incl. look-ahead on a fork of the reactor
+    if (this.components.alarms && results.fusion) {
+      results.alarms = this.components.alarms.evaluate(results.fusion, {
+        simulator: this.components.fusion,
+        time: this.state.time
+      });
+      for (const entry of results.alarms.events) {
+        await this.emitAsync('alarm', entry);
+      }
     }
     
     // Make decisions based on fusion state
@@ -104,36 +239,256 @@ export class TwinCosmos {
       results.decision = this.components.decision.decide(results.fusion);
     }
     
+    // Strategies → actuator commands; plugins may edit or veto them
+    if (this.components.actuators && results.decision) {
+      results.control = this.components.actuators.command(results.decision, results.fusion, deltaTime);
+    }
+    if (results.decision) {
+      const context = {
+        time: results.time,
+        step: results.step,
+        state: results.fusion,
+        decision: results.decision,
+        control: results.control,
+        veto: (reason, channel = null) => {
+          if (channel && !CHANNEL_OUTPUTS[channel]) {
+            throw new Error(`Unknown control channel: ${channel}`);
+          }
+          results.vetoes.push({ channel, reason });
+        }
+      };
+      await this.emitAsync('decision', context);
+      results.control = this.applyVetoes(context.control, results.vetoes);
+      results.decision.control = results.control;
+      if (results.vetoes.length) {
+        results.decision.vetoes = results.vetoes;
+      }
+    }
+    
+    // Apply decided strategies to the reactor before the next physics step
+    if (results.control && this.components.source) {
+      this.components.source.applyControl(results.control);
+    }
+    
     // Learn from decisions (store in memory)
     if (this.components.memory && results.decision) {
       await this.components.memory.store(
-        `step_${this.state.time}`,
+        `step_${this.state.step}`,
         results.decision,
-        { timestamp: Date.now(), type: 'decision' }
+        { timestamp: this.clock.now(), type: 'decision', importance: results.decision.confidence }
       );
+      results.memory = this.components.memory.getTierStats();
     }
     
+    await this.emitAsync('afterStep', results);
     return results;
   }
 
+  /**
+   * Command left after vetoes: a veto without channel drops the command
+   */
+  applyVetoes(control, vetoes) {
+    if (!control) return null;
+    if (vetoes.some(veto => !veto.channel)) return null;
+    
+    const remaining = { ...control };
+    for (const veto of vetoes) {
+      delete remaining[CHANNEL_OUTPUTS[veto.channel]];
+    }
+    return Object.keys(remaining).length ? remaining : null;
+  }
+
+  /**
+   * Dispatch a lifecycle event, awaiting async listeners in order
+   */
+  async emitAsync(event, context) {
+    for (const listener of this.rawListeners(event)) {
+      await listener.call(this, context);
+    }
+    return context;
+  }
+
+  /**
+   * Install a plugin: a function (twin, options) or
+   * { name, install(twin, options), <lifecycle event>(context), ... }
+   */
+  use(plugin, options = {}) {
+    this.plugins.push(installPlugin(this, plugin, options));
+    return this;
+  }
+
+  removePlugin(name) {
+    const index = this.plugins.findIndex(plugin => plugin.name === name);
+    if (index < 0) return false;
+    
+    const [plugin] = this.plugins.splice(index, 1);
+    plugin.listeners.forEach(([event, listener]) => this.off(event, listener));
+    return true;
+  }
+
+  /**
+   * Add a component (snapshotted with the twin if it has snapshot() / restore())
+   */
+  registerComponent(name, component) {
+    if (this.components[name]) {
+      throw new Error(`Component ${name} already registered`);
+    }
+    this.components[name] = component;
+    this.customComponents.add(name);
+    return component;
+  }
+
   async run(steps = 100, onStep = null) {
-    console.log(`🚀 Running TwinCosmos for ${steps} steps...\n`);
+    this.log(`🚀 Running TwinCosmos for ${steps} steps...\n`);
     
     for (let i = 0; i < steps; i++) {
-      const result = await this.step(0.1);
+      const result = await this.step(this.config.dt);
       if (onStep) {
         onStep(result, i);
       }
+      if (this.components.source?.done) {
+        this.log(`⏹ Data source exhausted after ${i + 1} steps`);
+        break;
+      }
     }
     
-    console.log('✅ Simulation complete!');
+    if (this.components.storage) {
+      await this.save();
+    }
+    
+    this.log('✅ Simulation complete!');
     return this.state;
   }
 
+  /**
+   * Persist memory (compacted) and learned decision state
+   */
+  async save() {
+    if (!this.components.storage) {
+      throw new Error('TwinCosmos persistence not configured');
+    }
+    
+    await this.components.memory?.compact();
+    await this.components.storage.writeState({
+      version: 1,
+      savedAt: this.clock.now(),   // simulated, like every other twin timestamp
+      time: this.state.time,
+      step: this.state.step,
+      decision: this.components.decision?.exportState() || null
+    });
+  }
+
+  restoreLearnedState(saved) {
+    // Continue the twin clock so memory keys don't collide with earlier runs
+    this.setClock({ time: saved.time, step: saved.step });
+    if (saved.decision && this.components.decision) {
+      this.components.decision.importState(saved.decision);
+    }
+  }
+
+  /**
+   * Operator acknowledgement of an alarm (see AlarmManager)
+   */
+  acknowledgeAlarm(id) {
+    return this.components.alarms?.acknowledge(id, this.state.time) || null;
+  }
+
+  /**
+   * Start a new TwinCosmos from a previously saved learned state
+   */
+  static async load(path, config = {}) {
+    const cosmos = new TwinCosmos({
+      ...config,
+      persistence: { ...config.persistence, path, restore: true }
+    });
+    return cosmos.initialize();
+  }
+
+  /**
+   * Per-component PRNG seed derived from the master seed (undefined if unseeded)
+   */
+  seedFor(label) {
+    return this.config.seed === undefined ? undefined : deriveSeed(this.config.seed, label);
+  }
+
+  setClock(state) {
+    this.clock.setState(state);
+    this.state.time = this.clock.time;
+    this.state.step = this.clock.step;
+  }
+
+  log(...args) {
+    if (this.config.verbose) {
+      console.log(...args);
+    }
+  }
+
+  /**
+   * Serializable deep copy of the whole twin: clock, plasma state,
+   * learned decision state, memory and controller internals
+   */
+  snapshot() {
+    if (!this.state.initialized) {
+      throw new Error('TwinCosmos not initialized');
+    }
+    
+    return structuredClone({
+      version: 1,
+      clock: this.clock.getState(),
+      fusion: this.components.fusion?.snapshot() || null,
+      decision: this.components.decision?.snapshot() || null,
+      memory: this.components.memory?.snapshot() || null,
+      actuators: this.components.actuators?.snapshot() || null,
+      alarms: this.components.alarms?.snapshot() || null,
+      source: this.components.source?.snapshot() || null,
+      components: Object.fromEntries([...this.customComponents]
+        .filter(name => typeof this.components[name].snapshot === 'function')
+        .map(name => [name, this.components[name].snapshot()]))
+    });
+  }
+
+  async restore(snapshot) {
+    if (!this.state.initialized) {
+      await this.initialize();
+    }
+    
+    this.setClock(snapshot.clock);
+    if (snapshot.fusion) this.components.fusion?.restore(snapshot.fusion);
+    if (snapshot.decision) this.components.decision?.restore(snapshot.decision);
+    if (snapshot.memory) this.components.memory?.restore(snapshot.memory);
+    if (snapshot.actuators) this.components.actuators?.restore(snapshot.actuators);
+    if (snapshot.alarms) this.components.alarms?.restore(snapshot.alarms);
+    if (snapshot.source) this.components.source?.restore(snapshot.source);
+    for (const [name, data] of Object.entries(snapshot.components || {})) {
+      this.components[name]?.restore?.(data);
+    }
+    this.state.phase = this.components.source?.getState()?.phase ?? null;
+    return this;
+  }
+
+  /**
+   * Branch an independent twin from the current state for "what-if" runs
+   * (forks never write to this twin's persistent storage, and never share
+   * its DataSource instance: a configured instance is cloned)
+   */
+  async fork(config = {}) {
+    const twin = new TwinCosmos({
+      ...this.config,
+      // Plugins by type get fresh instances; plugin objects stay with this twin
+      plugins: this.config.plugins.filter(spec => typeof spec === 'string' || (typeof spec?.type === 'string' && !spec.install)),
+      source: this.config.source instanceof DataSource ? this.config.source.clone() : this.config.source,
+      persistence: null,
+      verbose: false,
+      ...config
+    });
+    return twin.restore(this.snapshot());
+  }
+
   getState() {
     return {
       ...this.state,
-      fusion: this.components.fusion?.getState() || null,
+      fusion: this.components.source?.getState() || null,
+      alarms: this.components.alarms?.getActive() || [],
       decisions: this.components.decision?.getHistory() || []
     };
   }
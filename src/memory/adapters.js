@@ -0,0 +1,160 @@
+/**
+ * Storage adapters for MemoryStore and learned TwinCosmos state
+ *
+ * Interface:
+ * - readRecords()       → memory log records, oldest first
+ * - append(records)     → add records to the log
+ * - compact(records)    → replace the log with a minimal record set
+ * - readState()         → last saved learned state (or null)
+ * - writeState(state)   → save learned state
+ * - pending             → records appended since the last compaction
+ *
+ * Records: { op: 'set', key, entry } | { op: 'delete', key } | { op: 'meta', ... }
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+export class StorageAdapter {
+  constructor() {
+    this.pending = 0;
+  }
+
+  async readRecords() {
+    throw new Error(`${this.constructor.name}.readRecords() not implemented`);
+  }
+
+  async append(records) {
+    throw new Error(`${this.constructor.name}.append() not implemented`);
+  }
+
+  async compact(records) {
+    throw new Error(`${this.constructor.name}.compact() not implemented`);
+  }
+
+  async readState() {
+    throw new Error(`${this.constructor.name}.readState() not implemented`);
+  }
+
+  async writeState(state) {
+    throw new Error(`${this.constructor.name}.writeState() not implemented`);
+  }
+}
+
+/**
+ * Process-local adapter (no persistence, same interface)
+ */
+export class InMemoryAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.records = [];
+    this.state = null;
+  }
+
+  async readRecords() {
+    return structuredClone(this.records);
+  }
+
+  async append(records) {
+    this.records.push(...structuredClone(records));
+    this.pending += records.length;
+  }
+
+  async compact(records) {
+    this.records = structuredClone(records);
+    this.pending = 0;
+  }
+
+  async readState() {
+    return this.state ? structuredClone(this.state) : null;
+  }
+
+  async writeState(state) {
+    this.state = structuredClone(state);
+  }
+}
+
+/**
+ * File-backed adapter
+ * - <dir>/memory.jsonl: append-only memory log, rewritten on compaction
+ * - <dir>/state.json:   learned decision state
+ */
+export class FileAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super();
+    if (!config.path) {
+      throw new Error('FileAdapter requires a path');
+    }
+    this.config = {
+      memoryFile: 'memory.jsonl',
+      stateFile: 'state.json',
+      ...config
+    };
+    this.memoryPath = path.join(this.config.path, this.config.memoryFile);
+    this.statePath = path.join(this.config.path, this.config.stateFile);
+  }
+
+  async ensureDir() {
+    await fs.mkdir(this.config.path, { recursive: true });
+  }
+
+  async readRecords() {
+    let text;
+    try {
+      text = await fs.readFile(this.memoryPath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const records = [];
+    const lines = text.split('\n').filter(line => line.trim());
+    lines.forEach((line, i) => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        // A torn final line from an interrupted append is dropped
+        if (i !== lines.length - 1) throw err;
+      }
+    });
+    this.pending = records.length;
+    return records;
+  }
+
+  async append(records) {
+    if (!records.length) return;
+    await this.ensureDir();
+    const text = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    await fs.appendFile(this.memoryPath, text, 'utf8');
+    this.pending += records.length;
+  }
+
+  async compact(records) {
+    await this.ensureDir();
+    const text = records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+    await this.writeAtomic(this.memoryPath, text);
+    this.pending = 0;
+  }
+
+  async readState() {
+    try {
+      return JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async writeState(state) {
+    await this.ensureDir();
+    await this.writeAtomic(this.statePath, JSON.stringify(state, null, 2));
+  }
+
+  async writeAtomic(target, text) {
+    const tmp = `${target}.tmp`;
+    await fs.writeFile(tmp, text, 'utf8');
+    await fs.rename(tmp, target);
+  }
+}
+
+export default StorageAdapter;
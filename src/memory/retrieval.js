@@ -0,0 +1,205 @@
+/**
+ * Retrieval - Ranked search over memory entries
+ *
+ * - BM25Index:   text ranking over rationale strings, phases, actions
+ * - VectorIndex: nearest neighbours over numeric fusion state vectors
+ *                (log-scaled, z-normalized per feature)
+ *
+ * MemoryStore combines both with the V5 activation probability as a prior.
+ */
+
+export const STATE_FEATURES = ['temperature', 'density', 'stability', 'fusionPower'];
+
+// Features spanning several decades are compared on a log scale
+const LOG_FEATURES = new Set(['temperature', 'density', 'fusionPower']);
+
+export function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9一-鿿]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Collect every string (and object key/value pair like heating=PID)
+ * from a memory value
+ */
+export function extractText(value, parts = []) {
+  if (value === null || value === undefined) return parts;
+  if (typeof value === 'string') {
+    parts.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => extractText(item, parts));
+  } else if (typeof value === 'object') {
+    for (const [key, field] of Object.entries(value)) {
+      if (typeof field === 'string') {
+        parts.push(`${key} ${field}`);
+      } else {
+        extractText(field, parts);
+      }
+    }
+  }
+  return parts;
+}
+
+/**
+ * Numeric state vector from a memory value ({ state } or a bare state)
+ */
+export function extractVector(value) {
+  const state = value?.state && typeof value.state === 'object' ? value.state : value;
+  if (!state || typeof state !== 'object') return null;
+
+  const vector = STATE_FEATURES.map(feature => {
+    const x = state[feature];
+    if (typeof x !== 'number' || !Number.isFinite(x)) return null;
+    return LOG_FEATURES.has(feature) ? Math.log10(Math.max(x, 0) + 1) : x;
+  });
+  return vector.some(x => x !== null) ? vector : null;
+}
+
+/**
+ * Okapi BM25 inverted index
+ */
+export class BM25Index {
+  constructor(config = {}) {
+    this.config = {
+      k1: config.k1 ?? 1.2,
+      b: config.b ?? 0.75
+    };
+    this.docs = new Map();      // id → { terms: Map(term → tf), length }
+    this.postings = new Map();  // term → Set(id)
+    this.totalLength = 0;
+  }
+
+  add(id, text) {
+    this.remove(id);
+
+    const terms = new Map();
+    const tokens = tokenize(text);
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + 1);
+    }
+    this.docs.set(id, { terms, length: tokens.length });
+    this.totalLength += tokens.length;
+
+    for (const term of terms.keys()) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(id);
+    }
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (!posting.size) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+  }
+
+  /**
+   * @returns {Map<id, number>} raw BM25 scores of matching documents
+   */
+  score(query) {
+    const { k1, b } = this.config;
+    const N = this.docs.size;
+    const avgLength = N > 0 ? this.totalLength / N : 0;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (N - posting.size + 0.5) / (posting.size + 0.5));
+      for (const id of posting) {
+        const doc = this.docs.get(id);
+        const tf = doc.terms.get(term);
+        const norm = tf * (k1 + 1) / (tf + k1 * (1 - b + b * doc.length / (avgLength || 1)));
+        scores.set(id, (scores.get(id) || 0) + idf * norm);
+      }
+    }
+    return scores;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+}
+
+/**
+ * Brute-force nearest-neighbour index over state vectors
+ */
+export class VectorIndex {
+  constructor() {
+    this.vectors = new Map();  // id → number[] (null for missing features)
+  }
+
+  add(id, vector) {
+    if (vector) {
+      this.vectors.set(id, vector);
+    } else {
+      this.vectors.delete(id);
+    }
+  }
+
+  remove(id) {
+    this.vectors.delete(id);
+  }
+
+  /**
+   * Per-feature mean / std over the indexed vectors
+   */
+  statistics() {
+    const dims = STATE_FEATURES.length;
+    const sum = new Array(dims).fill(0);
+    const sumSq = new Array(dims).fill(0);
+    const count = new Array(dims).fill(0);
+
+    for (const vector of this.vectors.values()) {
+      vector.forEach((x, i) => {
+        if (x === null) return;
+        sum[i] += x;
+        sumSq[i] += x * x;
+        count[i]++;
+      });
+    }
+
+    return sum.map((s, i) => {
+      const mean = count[i] ? s / count[i] : 0;
+      const variance = count[i] ? sumSq[i] / count[i] - mean * mean : 0;
+      return { mean, std: Math.sqrt(Math.max(variance, 0)) || 1 };
+    });
+  }
+
+  /**
+   * @returns {Map<id, number>} similarity in (0, 1] = exp(-d²/2) on z-scores
+   */
+  score(queryVector) {
+    const scores = new Map();
+    if (!queryVector) return scores;
+
+    const stats = this.statistics();
+    for (const [id, vector] of this.vectors) {
+      let distance = 0;
+      let used = 0;
+      vector.forEach((x, i) => {
+        const q = queryVector[i];
+        if (x === null || q === null) return;
+        const d = (x - q) / stats[i].std;
+        distance += d * d;
+        used++;
+      });
+      if (used > 0) {
+        scores.set(id, Math.exp(-distance / (2 * used)));
+      }
+    }
+    return scores;
+  }
+
+  get size() {
+    return this.vectors.size;
+  }
+}
@@ -0,0 +1,391 @@
+/**
+ * MemoryStore - Tiered Hot/Warm/Cold memory with V5 activation scoring
+ *
+ * V5 Scorer: every entry gets an activation probability
+ *   P = 1/(1+e^(-2γ(Input-B)))
+ * where Input blends access frequency (with recency decay),
+ * query relevance and importance.
+ *
+ * Meta Engine rules:
+ * - Hot:  P ≥ 0.8
+ * - Warm: 0.3 ≤ P < 0.8
+ * - Cold: P < 0.3 → compressed, first to be evicted over budget
+ *
+ * Retrieval is ranked: BM25 over the text of an entry plus
+ * nearest-neighbour similarity over its fusion state vector, with the
+ * activation probability as a prior (see retrieval.js).
+ *
+ * With a storage adapter (see adapters.js) every change is appended to
+ * the adapter's log and the log is compacted every `compactEvery` records.
+ */
+
+import { BM25Index, VectorIndex, extractText, extractVector } from './retrieval.js';
+
+const TIERS = ['hot', 'warm', 'cold'];
+
+/**
+ * Default compressor: keep primitives and flat objects of primitives,
+ * drop arrays and deeper structure
+ */
+function compressValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === null || typeof field !== 'object') {
+      result[key] = field;
+    } else if (!Array.isArray(field)) {
+      const flat = {};
+      for (const [k, v] of Object.entries(field)) {
+        if (v === null || typeof v !== 'object') flat[k] = v;
+      }
+      result[key] = flat;
+    }
+  }
+  return result;
+}
+
+export class MemoryStore {
+  constructor(config = {}) {
+    this.config = {
+      gamma: config.gamma || 2.0,
+      barrier: config.barrier || 0.5,
+      hotThreshold: config.hotThreshold || 0.8,
+      coldThreshold: config.coldThreshold || 0.3,
+      maxEntries: config.maxEntries || 1000,      // size budget across all tiers
+      frequencyScale: config.frequencyScale || 3, // accesses for ~63% frequency score
+      recencyHalfLife: config.recencyHalfLife || 50, // ticks
+      compactEvery: config.compactEvery || 2000,   // appended records between compactions
+      weights: { frequency: 0.4, relevance: 0.3, importance: 0.3 },
+      rankWeights: { text: 0.5, state: 0.5, activation: 0.2 },
+      compress: compressValue,
+      adapter: null,
+      clock: null,                                 // SimulationClock for entry timestamps (null: none)
+      ...config
+    };
+
+    this.adapter = this.config.adapter;
+
+    this.entries = new Map();
+    this.textIndex = new BM25Index();
+    this.vectorIndex = new VectorIndex();
+    this.tick = 0;  // logical clock: one tick per store/retrieve
+    this.stats = {
+      stores: 0,
+      retrievals: 0,
+      promotions: 0,
+      demotions: 0,
+      compressions: 0,
+      evictions: 0
+    };
+  }
+
+  /**
+   * V5 activation probability of an entry
+   */
+  score(entry) {
+    const { gamma, barrier, weights, frequencyScale, recencyHalfLife } = this.config;
+
+    const age = this.tick - entry.lastAccess;
+    const recency = Math.pow(0.5, age / recencyHalfLife);
+    const frequency = 1 - Math.exp(-entry.accessCount / frequencyScale);
+
+    const input = weights.frequency * frequency * recency +
+      weights.relevance * entry.relevance * recency +
+      weights.importance * entry.importance;
+
+    return 1 / (1 + Math.exp(-2 * gamma * (input - barrier)));
+  }
+
+  classify(probability) {
+    if (probability >= this.config.hotThreshold) return 'hot';
+    if (probability >= this.config.coldThreshold) return 'warm';
+    return 'cold';
+  }
+
+  /**
+   * Re-score an entry and move it between tiers
+   */
+  update(entry) {
+    entry.probability = this.score(entry);
+    const tier = this.classify(entry.probability);
+
+    if (tier !== entry.tier) {
+      if (entry.tier) {
+        const up = TIERS.indexOf(tier) < TIERS.indexOf(entry.tier);
+        this.stats[up ? 'promotions' : 'demotions']++;
+      }
+      entry.tier = tier;
+    }
+
+    if (tier === 'cold' && !entry.compressed && this.config.compress) {
+      entry.value = this.config.compress(entry.value);
+      entry.compressed = true;
+      this.stats.compressions++;
+    }
+
+    return entry;
+  }
+
+  async store(key, value, meta = {}) {
+    this.tick++;
+    this.stats.stores++;
+
+    const existing = this.entries.get(key);
+    const entry = {
+      key,
+      value,
+      meta,
+      timestamp: meta.timestamp ?? this.config.clock?.now() ?? null,
+      importance: Math.max(0, Math.min(1, meta.importance ?? 0.5)),
+      relevance: 1,
+      accessCount: existing ? existing.accessCount + 1 : 1,
+      lastAccess: this.tick,
+      tier: existing?.tier || null,
+      probability: 0,
+      compressed: false
+    };
+
+    this.entries.set(key, entry);
+    this.index(entry);
+    const evicted = this.rebalance();
+
+    await this.persist([
+      { op: 'set', key, entry },
+      ...evicted.map(victim => ({ op: 'delete', key: victim }))
+    ]);
+    return true;
+  }
+
+  /**
+   * Ranked text retrieval; every hit counts as an access
+   */
+  async retrieve(query, options = {}) {
+    return this.search({ ...options, text: query });
+  }
+
+  /**
+   * Ranked search
+   * @param {Object} query
+   * @param {string} [query.text]   - BM25 query
+   * @param {Object} [query.state]  - fusion state for nearest-neighbour search
+   * @param {number} [query.k]      - max results (default 10)
+   * @param {Function} [query.filter] - (entry) => boolean
+   * @param {Object} [query.weights]  - { text, state, activation }
+   * @returns {Array} results sorted by combined score
+   */
+  search({ text, state, k = 10, filter = null, weights = {} } = {}) {
+    const w = { ...this.config.rankWeights, ...weights };
+    this.tick++;
+    this.stats.retrievals++;
+
+    // Text scores normalized to [0, 1] by the best hit
+    const textScores = text ? this.textIndex.score(text) : new Map();
+    const maxText = Math.max(0, ...textScores.values()) || 1;
+    const stateScores = state ? this.vectorIndex.score(extractVector(state)) : new Map();
+
+    const candidates = new Set([...textScores.keys(), ...stateScores.keys()]);
+    const ranked = [];
+    for (const key of candidates) {
+      const entry = this.entries.get(key);
+      if (!entry || (filter && !filter(entry))) continue;
+
+      const scores = {
+        text: (textScores.get(key) || 0) / maxText,
+        state: stateScores.get(key) || 0,
+        activation: entry.probability
+      };
+      const used = (text ? w.text : 0) + (state ? w.state : 0);
+      const match = (text ? w.text * scores.text : 0) + (state ? w.state * scores.state : 0);
+      const score = (match / (used || 1)) * (1 - w.activation) + w.activation * scores.activation;
+      ranked.push({ entry, score, scores });
+    }
+
+    ranked.sort((a, b) => b.score - a.score);
+    return ranked.slice(0, k).map(({ entry, score, scores }) => {
+      this.touch(entry, score);
+      return { ...this.describe(entry), score, scores };
+    });
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.tick++;
+    this.touch(entry, 1);
+    return this.describe(entry);
+  }
+
+  touch(entry, relevance) {
+    entry.accessCount++;
+    entry.lastAccess = this.tick;
+    entry.relevance = relevance;
+    this.update(entry);
+  }
+
+  index(entry) {
+    const text = [entry.key, entry.meta?.type || '', ...extractText(entry.value)].join(' ');
+    this.textIndex.add(entry.key, text);
+    this.vectorIndex.add(entry.key, extractVector(entry.value));
+  }
+
+  unindex(key) {
+    this.textIndex.remove(key);
+    this.vectorIndex.remove(key);
+  }
+
+  async delete(key) {
+    this.unindex(key);
+    const deleted = this.entries.delete(key);
+    if (deleted) {
+      await this.persist([{ op: 'delete', key }]);
+    }
+    return deleted;
+  }
+
+  /**
+   * Re-score everything, then evict lowest-P entries (Cold first)
+   * until the store fits its size budget
+   * @returns {string[]} evicted keys
+   */
+  rebalance() {
+    for (const entry of this.entries.values()) {
+      this.update(entry);
+    }
+
+    const overflow = this.entries.size - this.config.maxEntries;
+    if (overflow <= 0) return [];
+
+    const victims = [...this.entries.values()]
+      .sort((a, b) => TIERS.indexOf(b.tier) - TIERS.indexOf(a.tier) || a.probability - b.probability)
+      .slice(0, overflow);
+
+    for (const entry of victims) {
+      this.entries.delete(entry.key);
+      this.unindex(entry.key);
+      this.stats.evictions++;
+    }
+    return victims.map(entry => entry.key);
+  }
+
+  // ─── Persistence ──────────────────────────────────────────
+
+  async persist(records) {
+    if (!this.adapter) return;
+    await this.adapter.append(records);
+    if (this.adapter.pending >= this.config.compactEvery) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the adapter log as one record per live entry
+   */
+  async compact() {
+    if (!this.adapter) return;
+    const records = [{ op: 'meta', tick: this.tick, stats: this.stats }];
+    for (const [key, entry] of this.entries) {
+      records.push({ op: 'set', key, entry });
+    }
+    await this.adapter.compact(records);
+  }
+
+  /**
+   * Replay the adapter log into memory
+   * @returns {number} number of entries loaded
+   */
+  async load() {
+    if (!this.adapter) return 0;
+
+    this.entries.clear();
+    this.textIndex = new BM25Index();
+    this.vectorIndex = new VectorIndex();
+    for (const record of await this.adapter.readRecords()) {
+      if (record.op === 'set') {
+        this.entries.set(record.key, record.entry);
+        this.index(record.entry);
+        this.tick = Math.max(this.tick, record.entry.lastAccess);
+      } else if (record.op === 'delete') {
+        this.entries.delete(record.key);
+        this.unindex(record.key);
+      } else if (record.op === 'meta') {
+        this.tick = Math.max(this.tick, record.tick);
+        Object.assign(this.stats, record.stats);
+      }
+    }
+    this.rebalance();
+    return this.entries.size;
+  }
+
+  /**
+   * Serializable copy of entries, logical clock and statistics
+   */
+  snapshot() {
+    return structuredClone({
+      tick: this.tick,
+      stats: this.stats,
+      entries: [...this.entries.values()]
+    });
+  }
+
+  restore(snapshot) {
+    const data = structuredClone(snapshot);
+    this.tick = data.tick;
+    this.stats = data.stats;
+    this.entries.clear();
+    this.textIndex = new BM25Index();
+    this.vectorIndex = new VectorIndex();
+    for (const entry of data.entries) {
+      this.entries.set(entry.key, entry);
+      this.index(entry);
+    }
+    return this;
+  }
+
+  describe(entry) {
+    return {
+      key: entry.key,
+      value: entry.value,
+      meta: entry.meta,
+      timestamp: entry.timestamp,
+      tier: entry.tier,
+      probability: entry.probability,
+      accessCount: entry.accessCount,
+      compressed: entry.compressed
+    };
+  }
+
+  getTier(tier) {
+    const result = [];
+    for (const entry of this.entries.values()) {
+      if (entry.tier === tier) result.push(this.describe(entry));
+    }
+    return result.sort((a, b) => b.probability - a.probability);
+  }
+
+  getTierStats() {
+    const tiers = {};
+    for (const tier of TIERS) {
+      tiers[tier] = { count: 0, avgProbability: 0 };
+    }
+    for (const entry of this.entries.values()) {
+      tiers[entry.tier].count++;
+      tiers[entry.tier].avgProbability += entry.probability;
+    }
+    for (const tier of TIERS) {
+      if (tiers[tier].count > 0) tiers[tier].avgProbability /= tiers[tier].count;
+    }
+    return {
+      size: this.entries.size,
+      capacity: this.config.maxEntries,
+      tiers,
+      ...this.stats
+    };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,77 @@
+/**
+ * Confinement - Empirical energy confinement time scalings
+ *
+ * Each scaling maps device + plasma parameters to τ_E (s):
+ *   I  plasma current (MA)        B  toroidal field (T)
+ *   P  loss power (MW)            n19 line-averaged density (1e19 m^-3)
+ *   M  isotope mass (amu)         R  major radius (m)
+ *   a  minor radius (m)           κ  elongation
+ *   ι  rotational transform at r = 2a/3 (stellarators)
+ *
+ * L-H transition: Martin 2008 threshold
+ *   P_LH = 0.0488 n20^0.717 B^0.803 S^0.941 · (2/M)   (MW)
+ */
+
+const scalings = new Map();
+
+/**
+ * Register a confinement scaling: (params) => τ_E in seconds
+ */
+export function registerScaling(name, scaling) {
+  if (typeof scaling !== 'function') {
+    throw new Error(`Confinement scaling ${name} must be a function`);
+  }
+  scalings.set(name, scaling);
+}
+
+export function getScaling(name) {
+  const scaling = scalings.get(name);
+  if (!scaling) {
+    throw new Error(`Unknown confinement scaling: ${name}`);
+  }
+  return scaling;
+}
+
+export function listScalings() {
+  return [...scalings.keys()];
+}
+
+/**
+ * Plasma surface area 4π²Ra·√((1+κ²)/2) (m²)
+ */
+export function surfaceArea(majorRadius, minorRadius, elongation = 1) {
+  return 4 * Math.PI * Math.PI * majorRadius * minorRadius * Math.sqrt((1 + elongation * elongation) / 2);
+}
+
+/**
+ * L-H power threshold (MW), Martin 2008 with isotope correction
+ */
+export function lhThreshold({ n19, B, R, a, kappa, M }) {
+  const n20 = n19 / 10;
+  const S = surfaceArea(R, a, kappa);
+  return 0.0488 * Math.pow(n20, 0.717) * Math.pow(B, 0.803) * Math.pow(S, 0.941) * (2 / M);
+}
+
+// H-mode, ITER Physics Basis 1999
+registerScaling('IPB98(y,2)', ({ I, B, P, n19, M, R, a, kappa }) =>
+  0.0562 * Math.pow(I, 0.93) * Math.pow(B, 0.15) * Math.pow(P, -0.69) * Math.pow(n19, 0.41) *
+  Math.pow(M, 0.19) * Math.pow(R, 1.97) * Math.pow(a / R, 0.58) * Math.pow(kappa, 0.78)
+);
+
+// L-mode, ITER89-P
+registerScaling('ITER89-P', ({ I, B, P, n19, M, R, a, kappa }) =>
+  0.048 * Math.pow(I, 0.85) * Math.pow(R, 1.2) * Math.pow(a, 0.3) * Math.pow(kappa, 0.5) *
+  Math.pow(n19 / 10, 0.1) * Math.pow(B, 0.2) * Math.pow(M, 0.5) * Math.pow(P, -0.5)
+);
+
+// L-mode, ITER97-L
+registerScaling('ITER97-L', ({ I, B, P, n19, M, R, a, kappa }) =>
+  0.023 * Math.pow(I, 0.96) * Math.pow(B, 0.03) * Math.pow(P, -0.73) * Math.pow(n19, 0.40) *
+  Math.pow(M, 0.20) * Math.pow(R, 1.83) * Math.pow(a / R, -0.06) * Math.pow(kappa, 0.64)
+);
+
+// Stellarator, International Stellarator Scaling 2004
+registerScaling('ISS04', ({ B, P, n19, R, a, iota }) =>
+  0.134 * Math.pow(a, 2.28) * Math.pow(R, 0.64) * Math.pow(P, -0.61) * Math.pow(n19, 0.54) *
+  Math.pow(B, 0.84) * Math.pow(iota, 0.41)
+);
@@ -0,0 +1,81 @@
+/**
+ * Fuel - D/T/He ion species and tritium accounting
+ *
+ * Species are volume-averaged ion densities (m^-3):
+ *   n_e   = n_D + n_T + 2 n_He          (quasi-neutrality)
+ *   Z_eff = Z_imp + 2 n_He / n_e         (helium on top of impurities)
+ *
+ * Per unit volume and time, with reaction rate R = n_D n_T <σv>:
+ *   dn_D/dt  = (1-f_T) Γ - R - n_D / τ_p
+ *   dn_T/dt  = f_T Γ     - R - n_T / τ_p
+ *   dn_He/dt = R - n_He / τ_He,    τ_He = ρ* · τ_E
+ * Burn-up conserves n_e: two fuel ions become one He²⁺.
+ */
+
+export const AVOGADRO = 6.02214076e23;
+export const TRITIUM_MOLAR_MASS = 3.01605;   // g/mol
+
+/**
+ * Atoms → grams of tritium
+ */
+export function tritiumGrams(atoms) {
+  return atoms * TRITIUM_MOLAR_MASS / AVOGADRO;
+}
+
+/**
+ * Fresh fuel at electron density n_e with tritium fraction f_T
+ */
+export function fuelMix(electronDensity, tritiumFraction = 0.5) {
+  return {
+    deuterium: (1 - tritiumFraction) * electronDensity,
+    tritium: tritiumFraction * electronDensity,
+    helium: 0
+  };
+}
+
+export function electronDensity(species) {
+  return species.deuterium + species.tritium + 2 * species.helium;
+}
+
+export function effectiveCharge(species, impurityCharge = 1) {
+  const ne = electronDensity(species);
+  return ne > 0 ? impurityCharge + 2 * species.helium / ne : impurityCharge;
+}
+
+/**
+ * Scale all species to a new electron density (composition unchanged)
+ */
+export function scaleSpecies(species, density) {
+  const ne = electronDensity(species);
+  const scale = ne > 0 ? density / ne : 0;
+  return {
+    deuterium: species.deuterium * scale,
+    tritium: species.tritium * scale,
+    helium: species.helium * scale
+  };
+}
+
+/**
+ * Advance species by dt
+ * @param {Object} rates - reactionRate (m^-3/s), deuteriumFueling and
+ *   tritiumFueling (m^-3/s), exhaustRate (1/s), heliumConfinementTime (s)
+ * @returns {Object} { species, burned, exhausted } burned / exhausted tritium in m^-3
+ */
+export function advanceSpecies(species, rates, dt) {
+  const { reactionRate, deuteriumFueling, tritiumFueling, exhaustRate, heliumConfinementTime } = rates;
+
+  // Burn-up cannot take more fuel than is there
+  const burned = Math.min(reactionRate * dt, species.deuterium, species.tritium);
+  const exhausted = species.tritium * exhaustRate * dt;
+  const heliumLoss = heliumConfinementTime > 0 ? species.helium * dt / heliumConfinementTime : 0;
+
+  return {
+    species: {
+      deuterium: Math.max(0, species.deuterium + deuteriumFueling * dt - burned - species.deuterium * exhaustRate * dt),
+      tritium: Math.max(0, species.tritium + tritiumFueling * dt - burned - exhausted),
+      helium: Math.max(0, species.helium + burned - Math.min(species.helium, heliumLoss))
+    },
+    burned,
+    exhausted
+  };
+}
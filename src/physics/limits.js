@@ -0,0 +1,132 @@
+/**
+ * Operational limits - Greenwald density, Troyon beta, edge safety factor
+ *
+ * Each limit is reported as a fraction of its boundary (≥ 1 = violated):
+ * - Greenwald: n / n_G,          n_G = I / (π a²)  [1e20 m^-3, MA, m]
+ * - Troyon:    β / β_max,        β_max = g · I / (a B)  [%]
+ * - q95:       q_limit / q95,    q95 from the ITER shaping formula
+ * Stellarators (no plasma current) use the Sudo density limit
+ *   n_c = 0.25 √(P B / (a² R))  [1e20 m^-3, MW, T, m]
+ * and a fixed beta limit instead.
+ *
+ * Disruption hazard uses the V5 barrier on the closest limit:
+ *   P = 1/(1+e^(-2γ(x-B))),  rate = maxRate · P,  p_step = 1 - e^(-rate·dt)
+ */
+
+import { BOLTZMANN } from './plasma.js';
+
+const MU_0 = 4e-7 * Math.PI;
+
+/**
+ * Greenwald density limit (m^-3)
+ */
+export function greenwaldDensity(plasmaCurrent, minorRadius) {
+  return plasmaCurrent / (Math.PI * minorRadius * minorRadius) * 1e20;
+}
+
+/**
+ * Toroidal beta (%) with T_e = T_i, n_e = n_i
+ */
+export function toroidalBeta(density, temperature, magneticField) {
+  const pressure = 2 * density * BOLTZMANN * temperature;
+  return 100 * 2 * MU_0 * pressure / (magneticField * magneticField);
+}
+
+/**
+ * Troyon beta limit (%)
+ */
+export function troyonLimit(plasmaCurrent, minorRadius, magneticField, g = 2.8) {
+  return g * plasmaCurrent / (minorRadius * magneticField);
+}
+
+/**
+ * Edge safety factor q95 (ITER Physics Basis shaping formula)
+ */
+export function safetyFactor95({ plasmaCurrent, magneticField, majorRadius, minorRadius, elongation = 1, triangularity = 0 }) {
+  if (!(plasmaCurrent > 0)) return Infinity;
+  const epsilon = minorRadius / majorRadius;
+  const shaping = (1 + elongation * elongation * (1 + 2 * triangularity * triangularity - 1.2 * Math.pow(triangularity, 3))) / 2;
+  const toroidal = (1.17 - 0.65 * epsilon) / Math.pow(1 - epsilon * epsilon, 2);
+  return 5 * minorRadius * minorRadius * magneticField / (majorRadius * plasmaCurrent) * shaping * toroidal;
+}
+
+/**
+ * Sudo density limit for stellarators (m^-3)
+ * @param {number} power - heating power absorbed by the plasma (MW)
+ */
+export function sudoDensityLimit(power, magneticField, minorRadius, majorRadius) {
+  return 0.25 * Math.sqrt(Math.max(power, 0) * magneticField / (minorRadius * minorRadius * majorRadius)) * 1e20;
+}
+
+/**
+ * Summarize limit fractions: closest limit and violations
+ */
+export function summarizeLimits(values, fractions) {
+  let closest = null;
+  for (const [name, fraction] of Object.entries(fractions)) {
+    if (!closest || fraction > fractions[closest]) closest = name;
+  }
+  return {
+    ...values,
+    fractions,
+    closest,
+    proximity: fractions[closest],
+    violations: Object.keys(fractions).filter(name => fractions[name] >= 1)
+  };
+}
+
+/**
+ * Evaluate all limits for a plasma state
+ * @returns {Object} values, limit fractions, closest limit and violations
+ */
+export function evaluateLimits(state, device, options = {}) {
+  const { troyonG = 2.8, qLimit = 2.0, greenwaldFactor = 1.0 } = options;
+
+  const nG = greenwaldFactor * greenwaldDensity(state.plasmaCurrent, device.minorRadius);
+  const beta = toroidalBeta(state.density, state.temperature, state.magneticField);
+  const betaLimit = troyonLimit(state.plasmaCurrent, device.minorRadius, state.magneticField, troyonG);
+  const q95 = safetyFactor95({
+    plasmaCurrent: state.plasmaCurrent,
+    magneticField: state.magneticField,
+    majorRadius: device.majorRadius,
+    minorRadius: device.minorRadius,
+    elongation: device.elongation,
+    triangularity: device.triangularity
+  });
+
+  const fractions = {
+    greenwald: nG > 0 ? state.density / nG : Infinity,
+    beta: betaLimit > 0 ? beta / betaLimit : Infinity,
+    q95: qLimit / q95
+  };
+
+  return summarizeLimits({ greenwaldDensity: nG, beta, betaLimit, q95, qLimit }, fractions);
+}
+
+/**
+ * Evaluate stellarator limits: Sudo density and a fixed beta limit (%)
+ */
+export function evaluateStellaratorLimits(state, device, options = {}) {
+  const { betaLimit = 5.0 } = options;
+
+  // Absorbed power: heating + alpha (lossPower has radiation subtracted)
+  const absorbed = (state.lossPower + state.radiationPower) / 1e6;
+  const nc = sudoDensityLimit(absorbed, state.magneticField, device.minorRadius, device.majorRadius);
+  const beta = toroidalBeta(state.density, state.temperature, state.magneticField);
+
+  return summarizeLimits({ sudoDensity: nc, beta, betaLimit }, {
+    sudo: nc > 0 ? state.density / nc : Infinity,
+    beta: beta / betaLimit
+  });
+}
+
+/**
+ * Probability of a disruption within dt (V5 barrier on limit proximity)
+ */
+export function disruptionProbability(proximity, dt, { gamma = 25, barrier = 1.0, maxRate = 1.0 } = {}) {
+  const risk = 1 / (1 + Math.exp(-2 * gamma * (proximity - barrier)));
+  return {
+    risk,
+    probability: 1 - Math.exp(-maxRate * risk * dt)
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Plasma physics - 0D energy balance building blocks (SI units)
+ *
+ * dW/dt = P_aux + P_alpha - P_brems - W/τ_E
+ * - W        = 3 n k_B T V      (T_e = T_i, n_e = n_i)
+ * - P_alpha  = 20% of D-T fusion power (3.5 of 17.6 MeV)
+ * - P_brems  = 5.35e-37 Z_eff n_e² √T_keV · V
+ */
+
+export const BOLTZMANN = 1.380649e-23;      // J/K
+export const KELVIN_PER_KEV = 1.160452e7;   // K per keV
+export const MEV = 1.602176634e-13;         // J
+export const DT_ENERGY = 17.6 * MEV;        // J per D-T reaction
+export const ALPHA_FRACTION = 3.5 / 17.6;   // share of fusion energy carried by the alpha
+export const BREMSSTRAHLUNG_COEFF = 5.35e-37; // W·m³·keV^-1/2
+
+/**
+ * Torus volume 2π²Ra²κ (m³)
+ */
+export function plasmaVolume(majorRadius, minorRadius, elongation = 1) {
+  return 2 * Math.PI * Math.PI * majorRadius * minorRadius * minorRadius * elongation;
+}
+
+/**
+ * D-T reactivity <σv> (m³/s), Bosch-Hale parametrization (valid 0.2-100 keV)
+ */
+export function dtReactivity(T_keV) {
+  if (!(T_keV > 0)) return 0;
+  const T = Math.min(T_keV, 100);
+
+  const BG = 34.3827;
+  const mrc2 = 1124656;
+  const C = [1.17302e-9, 1.51361e-2, 7.51886e-2, 4.60643e-3, 1.35e-2, -1.0675e-4, 1.366e-5];
+
+  const theta = T / (1 - (T * (C[1] + T * (C[3] + T * C[5]))) / (1 + T * (C[2] + T * (C[4] + T * C[6]))));
+  const xi = Math.cbrt(BG * BG / (4 * theta));
+  const sigmaV = C[0] * theta * Math.sqrt(xi / (mrc2 * T * T * T)) * Math.exp(-3 * xi);
+
+  return sigmaV * 1e-6; // cm³/s → m³/s
+}
+
+/**
+ * D-T fusion power density (W/m³) from deuteron and triton densities
+ */
+export function fusionPowerDensity(nD, nT, T_keV) {
+  return nD * nT * dtReactivity(T_keV) * DT_ENERGY;
+}
+
+/**
+ * Bremsstrahlung radiation power density (W/m³)
+ */
+export function bremsstrahlungPowerDensity(ne, T_keV, zEff = 1) {
+  return BREMSSTRAHLUNG_COEFF * zEff * ne * ne * Math.sqrt(Math.max(T_keV, 0));
+}
+
+/**
+ * Stored thermal energy W = 3 n k_B T V (J)
+ */
+export function storedEnergy(density, temperature, volume) {
+  return 3 * density * BOLTZMANN * temperature * volume;
+}
+
+/**
+ * Temperature (K) from stored energy
+ */
+export function temperatureFromEnergy(energy, density, volume) {
+  return energy / (3 * density * BOLTZMANN * volume);
+}
+
+/**
+ * Lawson triple product n·T·τ_E (keV·s/m³) as a fraction of the ignition
+ * value, capped at 1: the input of the V5 stability probability
+ */
+export function lawsonFraction(density, temperature, confinementTime, lawsonLimit) {
+  const tripleProduct = density * (temperature / KELVIN_PER_KEV) * confinementTime;
+  return Math.min(1, tripleProduct / lawsonLimit);
+}
+
+/**
+ * Fusion gain Q = P_fusion / P_aux; without auxiliary heating Q is ∞ for
+ * a burning (ignited) plasma and 0 when there is no fusion power either
+ */
+export function fusionGain(fusionPower, heatingPower) {
+  if (heatingPower > 0) return fusionPower / heatingPower;
+  return fusionPower > 0 ? Infinity : 0;
+}
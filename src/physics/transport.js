@@ -0,0 +1,234 @@
+/**
+ * Transport - 1D radial heat and particle diffusion
+ *
+ * On a grid ρ = r/a ∈ [0, 1] (cylindrical, elongated cross-section):
+ *   ∂n/∂t      = (1/r) ∂/∂r (r D ∂n/∂r) + S_n
+ *   ∂(3nkT)/∂t = (1/r) ∂/∂r (r 3nkχ ∂T/∂r) + p_aux + p_α - p_brems
+ *
+ * Finite volumes, backward Euler (unconditionally stable), symmetry at
+ * the axis. At the edge the temperature is held at (or below) the edge
+ * temperature; density is either held at a fraction of the average or
+ * has a zero-flux edge.
+ */
+
+import {
+  BOLTZMANN,
+  KELVIN_PER_KEV,
+  ALPHA_FRACTION,
+  fusionPowerDensity,
+  bremsstrahlungPowerDensity
+} from './plasma.js';
+
+// τ_E ≈ a² / (j0² χ), j0 = 2.405 the first zero of J0
+export const DIFFUSION_EIGENVALUE = 2.405 * 2.405;
+
+/**
+ * Radial grid with control-volume volumes (m³) and face areas (m²)
+ */
+export function radialGrid(points, { majorRadius, minorRadius, elongation = 1 }) {
+  if (!(points >= 3)) {
+    throw new Error('Radial grid needs at least 3 points');
+  }
+
+  const dr = minorRadius / (points - 1);
+  const rho = Array.from({ length: points }, (_, i) => i / (points - 1));
+  const face = (i) => Math.min(minorRadius, Math.max(0, (i + 0.5) * dr));   // r at face i+1/2
+  const shell = 2 * Math.PI * Math.PI * majorRadius * elongation;           // V(r) = shell · r²
+
+  const volumes = rho.map((_, i) => shell * (face(i) ** 2 - face(i - 1) ** 2));
+  const areas = rho.slice(0, -1).map((_, i) => 2 * shell * face(i));
+
+  return { points, rho, dr, volumes, areas, volume: shell * minorRadius * minorRadius };
+}
+
+/**
+ * Normalized deposition weights w(ρ): Σ w_i V_i = 1
+ */
+export function depositionProfile(grid, { center = 0, width = 0.3 } = {}) {
+  const shape = grid.rho.map(rho => Math.exp(-0.5 * ((rho - center) / width) ** 2));
+  const total = shape.reduce((sum, s, i) => sum + s * grid.volumes[i], 0);
+  return shape.map(s => s / total);
+}
+
+/**
+ * Volume-averaged density and density-weighted temperature
+ */
+export function volumeAverages(profiles, grid) {
+  let particles = 0;
+  let energy = 0;
+  for (let i = 0; i < grid.points; i++) {
+    particles += profiles.density[i] * grid.volumes[i];
+    energy += profiles.density[i] * profiles.temperature[i] * grid.volumes[i];
+  }
+  return {
+    density: particles / grid.volume,
+    temperature: particles > 0 ? energy / particles : 0,
+    energy: 3 * BOLTZMANN * energy
+  };
+}
+
+/**
+ * Rescale profile shapes to given averages (keeps peaking)
+ */
+export function matchAverages(profiles, grid, temperature, density) {
+  const averages = volumeAverages(profiles, grid);
+  const nScale = averages.density > 0 ? density / averages.density : 1;
+  const tScale = averages.temperature > 0 ? temperature / averages.temperature : 1;
+  return {
+    rho: profiles.rho,
+    density: profiles.density.map(n => n * nScale),
+    temperature: profiles.temperature.map(T => T * tScale)
+  };
+}
+
+/**
+ * Peaked initial profiles (1-ρ²)^α scaled to the given averages
+ */
+export function createProfiles(grid, { temperature, density, peaking = {} }) {
+  const alphaT = peaking.temperature ?? 1.0;
+  const alphaN = peaking.density ?? 0.5;
+  const shape = (alpha) => grid.rho.map(rho => 0.05 + Math.pow(1 - rho * rho, alpha));
+
+  return matchAverages({
+    rho: [...grid.rho],
+    density: shape(alphaN),
+    temperature: shape(alphaT)
+  }, grid, temperature, density);
+}
+
+/**
+ * Thomas algorithm for a tridiagonal system
+ */
+export function solveTridiagonal(lower, diagonal, upper, rhs) {
+  const n = diagonal.length;
+  const c = new Array(n);
+  const d = new Array(n);
+
+  c[0] = upper[0] / diagonal[0];
+  d[0] = rhs[0] / diagonal[0];
+  for (let i = 1; i < n; i++) {
+    const m = diagonal[i] - lower[i] * c[i - 1];
+    c[i] = i < n - 1 ? upper[i] / m : 0;
+    d[i] = (rhs[i] - lower[i] * d[i - 1]) / m;
+  }
+
+  const x = new Array(n);
+  x[n - 1] = d[n - 1];
+  for (let i = n - 2; i >= 0; i--) {
+    x[i] = d[i] - c[i] * x[i + 1];
+  }
+  return x;
+}
+
+/**
+ * One implicit step of ∂(c u)/∂t = ∇·(G ∇u) + s
+ * @param {Object} p - u, cOld, cNew, conductance (per face), source (per m³), edge (null = zero flux)
+ */
+function diffuse(grid, dt, { u, cOld, cNew, conductance, source, edge = null }) {
+  const N = grid.points;
+  const lower = new Array(N).fill(0);
+  const diagonal = new Array(N).fill(0);
+  const upper = new Array(N).fill(0);
+  const rhs = new Array(N).fill(0);
+
+  for (let i = 0; i < N; i++) {
+    const inner = i > 0 ? conductance[i - 1] : 0;
+    const outer = i < N - 1 ? conductance[i] : 0;
+    lower[i] = -inner;
+    upper[i] = -outer;
+    diagonal[i] = cNew[i] * grid.volumes[i] / dt + inner + outer;
+    rhs[i] = (cOld[i] * u[i] / dt + source[i]) * grid.volumes[i];
+  }
+
+  if (edge !== null) {
+    lower[N - 1] = 0;
+    diagonal[N - 1] = 1;
+    rhs[N - 1] = edge;
+  }
+
+  return solveTridiagonal(lower, diagonal, upper, rhs);
+}
+
+/**
+ * Local fusion, alpha and radiation power densities (W/m³) and totals (W)
+ * @param {Object} fuel - deuterium / tritium shares of the electron density
+ */
+export function profilePowers(profiles, grid, zEff = 1, fuel = { deuterium: 0.5, tritium: 0.5 }) {
+  const fusion = [];
+  const radiation = [];
+  let fusionPower = 0;
+  let radiationPower = 0;
+
+  for (let i = 0; i < grid.points; i++) {
+    const n = profiles.density[i];
+    const T_keV = profiles.temperature[i] / KELVIN_PER_KEV;
+    fusion.push(fusionPowerDensity(fuel.deuterium * n, fuel.tritium * n, T_keV));
+    radiation.push(bremsstrahlungPowerDensity(n, T_keV, zEff));
+    fusionPower += fusion[i] * grid.volumes[i];
+    radiationPower += radiation[i] * grid.volumes[i];
+  }
+
+  return {
+    fusion,
+    radiation,
+    fusionPower,
+    alphaPower: ALPHA_FRACTION * fusionPower,
+    radiationPower
+  };
+}
+
+/**
+ * Advance density then temperature profiles by dt
+ * @param {Object} options - heatingPower (W), fuelingRate (m^-3/s, volume average),
+ *   chi and diffusivity (m²/s, constant or one value per grid point),
+ *   heatingProfile / fuelingProfile weights,
+ *   exhaustRate (1/s), edgeTemperature (K), edgeDensityFraction, zEff, minTemperature,
+ *   powers (profilePowers() of the current profiles, if already computed)
+ * @returns {Object} { profiles, powers, transportPower }
+ */
+export function advanceProfiles(profiles, grid, dt, options) {
+  const {
+    heatingPower, fuelingRate, chi, diffusivity,
+    heatingProfile, fuelingProfile,
+    exhaustRate = 0.001, edgeTemperature = 1e6, edgeDensityFraction = null,
+    zEff = 1, minTemperature = 0
+  } = options;
+  const powers = options.powers || profilePowers(profiles, grid, zEff);
+  const N = grid.points;
+  const faceValue = (values, i) => 0.5 * (values[i] + values[i + 1]);
+  const coefficient = (value, i) => Array.isArray(value) ? faceValue(value, i) : value;
+
+  // Particles: fueling deposition minus exhaust
+  const totalFueling = fuelingRate * grid.volume;
+  const nOld = profiles.density;
+  const density = diffuse(grid, dt, {
+    u: nOld,
+    cOld: new Array(N).fill(1),
+    cNew: new Array(N).fill(1),
+    conductance: grid.areas.map((area, i) => area * coefficient(diffusivity, i) / grid.dr),
+    source: nOld.map((n, i) => totalFueling * fuelingProfile[i] - exhaustRate * n),
+    edge: edgeDensityFraction === null ? null : edgeDensityFraction * volumeAverages(profiles, grid).density
+  }).map(n => Math.max(0, n));
+
+  // Energy: auxiliary + alpha heating minus bremsstrahlung (explicit sources)
+  const TOld = profiles.temperature;
+  const conductance = grid.areas.map((area, i) =>
+    area * 3 * BOLTZMANN * faceValue(density, i) * coefficient(chi, i) / grid.dr
+  );
+  const temperature = diffuse(grid, dt, {
+    u: TOld,
+    cOld: nOld.map(n => 3 * BOLTZMANN * n),
+    cNew: density.map(n => 3 * BOLTZMANN * n),
+    conductance,
+    source: TOld.map((_, i) =>
+      heatingPower * heatingProfile[i] + ALPHA_FRACTION * powers.fusion[i] - powers.radiation[i]
+    ),
+    edge: Math.min(edgeTemperature, TOld[N - 1])
+  }).map(T => Math.max(minTemperature, T));
+
+  return {
+    profiles: { rho: profiles.rho, density, temperature },
+    powers,
+    transportPower: Math.max(0, conductance[N - 2] * (temperature[N - 2] - temperature[N - 1]))
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Plugins - Extensions of the TwinCosmos step pipeline
+ *
+ * TwinCosmos is an EventEmitter. Pipeline events are dispatched in
+ * listener order and async listeners are awaited, so a listener can
+ * change what the next stage sees:
+ * - beforeStep    { time, deltaTime }          before the clock advances
+ * - afterPhysics  { time, step, state }        edit or replace `state` before
+ *                                              alarms and the decision engine see it
+ * - phaseChange   { time, from, to, reason, state }
+ * - alarm         alarm log entry { type, time, id, severity, value, message }
+ * - decision      { time, step, state, decision, control, veto(reason, channel) }
+ *                 edit `control`, or veto the whole command / one channel
+ *                 (heating, fueling, magnetic) before it reaches the reactor
+ * - afterStep     step results
+ *
+ * A plugin is a function (twin, options) or an object
+ * { name, install(twin, options), <event>(context), ... } whose
+ * event-named methods become listeners. Plugins add components with
+ * twin.registerComponent(). Built in: 'logger' and 'metrics'; custom
+ * plugin types use registerPlugin() and can be listed by name in
+ * config.plugins.
+ */
+
+export const LIFECYCLE_EVENTS = ['beforeStep', 'afterPhysics', 'phaseChange', 'alarm', 'decision', 'afterStep'];
+
+// Plugin registry: type → (options) => plugin
+const plugins = new Map();
+
+export function registerPlugin(type, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Plugin ${type} must be a factory function`);
+  }
+  plugins.set(type, factory);
+}
+
+export function createPlugin(type, options = {}) {
+  const factory = plugins.get(type);
+  if (!factory) {
+    throw new Error(`Unknown plugin: ${type}`);
+  }
+  return factory(options);
+}
+
+export function listPlugins() {
+  return [...plugins.keys()];
+}
+
+/**
+ * Plugin spec from config.plugins: 'type', { type, ...options }, or a plugin
+ */
+export function resolvePlugin(spec) {
+  if (typeof spec === 'string') return createPlugin(spec);
+  if (spec && typeof spec === 'object' && typeof spec.type === 'string' && !spec.install) {
+    const { type, ...options } = spec;
+    return createPlugin(type, options);
+  }
+  return spec;
+}
+
+/**
+ * Install a plugin on a twin
+ * @returns {Object} { name, listeners: [[event, listener]] } for removal
+ */
+export function installPlugin(twin, plugin, options = {}) {
+  if (typeof plugin === 'function') {
+    const before = new Map(LIFECYCLE_EVENTS.map(event => [event, twin.rawListeners(event)]));
+    plugin(twin, options);
+    // Listeners a function plugin added itself
+    const listeners = LIFECYCLE_EVENTS.flatMap(event =>
+      twin.rawListeners(event).filter(listener => !before.get(event).includes(listener)).map(listener => [event, listener])
+    );
+    return { name: plugin.name || 'anonymous', listeners };
+  }
+
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('Plugin must be a function or an object');
+  }
+  plugin.install?.(twin, options);
+  const listeners = LIFECYCLE_EVENTS
+    .filter(event => typeof plugin[event] === 'function')
+    .map(event => [event, plugin[event].bind(plugin)]);
+  listeners.forEach(([event, listener]) => twin.on(event, listener));
+  return { name: plugin.name || 'anonymous', listeners };
+}
+
+/**
+ * Logger: one line per selected event
+ * @param {Object} options - events (default phase changes, alarms and vetoes),
+ *   decisions (also log every decision), log (line) => void (default: none,
+ *   library code does not write to the console; pass e.g. console.log)
+ */
+export function loggerPlugin(options = {}) {
+  const events = new Set(options.events || ['phaseChange', 'alarm', 'decision']);
+  const log = options.log || (() => {});
+  const stamp = (time) => `[t=${time.toFixed(1)}s]`;
+
+  return {
+    name: 'logger',
+    beforeStep: (c) => events.has('beforeStep') && log(`${stamp(c.time)} beforeStep dt=${c.deltaTime}`),
+    afterPhysics: (c) => events.has('afterPhysics') &&
+      log(`${stamp(c.time)} T=${(c.state.temperature / 1e6).toFixed(1)}MK P=${c.state.stability.toFixed(3)}`),
+    phaseChange: (c) => events.has('phaseChange') && log(`${stamp(c.time)} phase ${c.from} → ${c.to}${c.reason ? ` (${c.reason})` : ''}`),
+    alarm: (entry) => events.has('alarm') && log(`${stamp(entry.time)} alarm ${entry.type} ${entry.id} [${entry.severity}]`),
+    // Decisions are taken every step: logged with options.decisions; vetoes
+    // are logged once the step is done, after every listener had its say
+    decision: (c) => events.has('decision') && options.decisions &&
+      log(`${stamp(c.time)} decision ${JSON.stringify(c.decision.actions)}`),
+    afterStep: (r) => {
+      if (events.has('decision')) {
+        r.vetoes.forEach(veto => log(`${stamp(r.time)} veto ${veto.channel || 'all'}: ${veto.reason}`));
+      }
+      if (events.has('afterStep')) log(`${stamp(r.time)} step ${r.step} done`);
+    }
+  };
+}
+
+/**
+ * Metrics: counters and running aggregates as the 'metrics' component
+ * (twin.components.metrics.get())
+ */
+export function metricsPlugin() {
+  const metrics = {
+    steps: 0,
+    events: Object.fromEntries(LIFECYCLE_EVENTS.map(event => [event, 0])),
+    phaseChanges: [],
+    alarms: {},
+    vetoes: 0,
+    peakFusionPower: 0,
+    stabilitySum: 0
+  };
+  const component = {
+    get() {
+      const { stabilitySum, ...rest } = metrics;
+      const samples = metrics.events.afterPhysics;
+      return structuredClone({ ...rest, meanStability: samples ? stabilitySum / samples : 0 });
+    },
+    snapshot() {
+      return structuredClone(metrics);
+    },
+    restore(snapshot) {
+      Object.assign(metrics, structuredClone(snapshot));
+      return this;
+    }
+  };
+  const count = (event) => metrics.events[event]++;
+
+  return {
+    name: 'metrics',
+    install(twin) {
+      twin.registerComponent('metrics', component);
+    },
+    beforeStep: () => count('beforeStep'),
+    afterPhysics: ({ state }) => {
+      count('afterPhysics');
+      metrics.peakFusionPower = Math.max(metrics.peakFusionPower, state.fusionPower);
+      metrics.stabilitySum += state.stability;
+    },
+    phaseChange: ({ time, from, to }) => {
+      count('phaseChange');
+      metrics.phaseChanges.push({ time, from, to });
+    },
+    alarm: (entry) => {
+      count('alarm');
+      if (entry.type === 'raised') metrics.alarms[entry.severity] = (metrics.alarms[entry.severity] || 0) + 1;
+    },
+    decision: () => count('decision'),
+    afterStep: (r) => {
+      count('afterStep');
+      metrics.steps++;
+      metrics.vetoes += r.vetoes.length;
+    }
+  };
+}
+
+registerPlugin('logger', loggerPlugin);
+registerPlugin('metrics', metricsPlugin);
@@ -0,0 +1,72 @@
+/**
+ * Perturbations - Events injected into a running scenario
+ *
+ * A perturbation is a function (context, event) → undo | null, where
+ * context is { twin, simulator, sensors, time }; the undo function (if
+ * any) is called when an event with a `duration` ends.
+ *
+ * Built in:
+ * - impurity      { zEff } or { deltaZEff }: impurity influx raising Z_eff
+ *                 (more bremsstrahlung, the plasma cools)
+ * - sensor-fault  { field, mode, value }: see SensorFaultSource
+ * - disruption    { cause }: forced disruption
+ * - pulse         { command }: 'ramp-down' or 'start'
+ *
+ * Custom perturbations use registerPerturbation().
+ */
+
+const perturbations = new Map();
+
+export function registerPerturbation(type, apply) {
+  if (typeof apply !== 'function') {
+    throw new Error(`Perturbation ${type} must be a function`);
+  }
+  perturbations.set(type, apply);
+}
+
+export function getPerturbation(type) {
+  const apply = perturbations.get(type);
+  if (!apply) {
+    throw new Error(`Unknown perturbation: ${type}`);
+  }
+  return apply;
+}
+
+export function listPerturbations() {
+  return [...perturbations.keys()];
+}
+
+function requireSimulator(context, type) {
+  if (!context.simulator) {
+    throw new Error(`Perturbation ${type} needs a live simulator`);
+  }
+  return context.simulator;
+}
+
+registerPerturbation('impurity', (context, event) => {
+  const simulator = requireSimulator(context, 'impurity');
+  const previous = simulator.config.zEff;
+  const zEff = event.zEff ?? previous + (event.deltaZEff ?? 0);
+  if (!(zEff >= 1)) {
+    throw new Error(`Impurity event needs zEff ≥ 1 (or deltaZEff), got ${zEff}`);
+  }
+  simulator.config.zEff = zEff;
+  return () => {
+    simulator.config.zEff = previous;
+  };
+});
+
+registerPerturbation('sensor-fault', (context, event) => {
+  const id = context.sensors.addFault(event);
+  return () => context.sensors.removeFault(id);
+});
+
+registerPerturbation('disruption', (context, event) => {
+  requireSimulator(context, 'disruption').triggerDisruption(event.cause || 'injected');
+  return null;
+});
+
+registerPerturbation('pulse', (context, event) => {
+  requireSimulator(context, 'pulse').requestPulse(event.command);
+  return null;
+});
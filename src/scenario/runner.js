@@ -0,0 +1,375 @@
+/**
+ * Scenario runner - Declarative experiments against TwinCosmos
+ *
+ * A scenario (JSON or YAML) declares:
+ * - name, description, seed, duration (s), dt (s)
+ * - reactor      FusionSimulator config
+ * - decision     DecisionEngine config
+ * - twin         any other TwinCosmos config (control, alarms, source, ...)
+ * - actuators    timed programs, applied through applyControl():
+ *                  { channel, points: [[t, value], ...], interpolation: linear | step, until }
+ *                    waveform, held after the last point (until `until`); it
+ *                    overrides the closed-loop command on its channel
+ *                  { at, control: { fueling: 0.05 } }   one-off command (e.g. gas puff)
+ * - events       injected perturbations: { at, type, duration, ...options },
+ *                see perturbations.js
+ * - assertions   { name, field, check, min, max, equals, contains, from, to, at }
+ *                check: final (default) | at | always | ever | never, over
+ *                the [from, to] window; field is a path into the true plasma
+ *                state, plus time, disrupted, alarms (active ids) and decision
+ *
+ * Events and programs due at time t are applied before the step that
+ * starts at t. run() resolves to a pass/fail report.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { TwinCosmos } from '../index.js';
+import { SensorFaultSource } from '../sources/faults.js';
+import { trackOutcomes } from '../analysis/montecarlo.js';
+import { parseYAML } from '../utils/yaml.js';
+import { getPerturbation } from './perturbations.js';
+
+export const CONTROL_CHANNELS = ['heatingPower', 'fuelingRate', 'fueling', 'tritiumFraction', 'magneticField', 'plasmaCurrent'];
+
+export const CHECKS = ['final', 'at', 'always', 'ever', 'never'];
+
+const EPSILON = 1e-9;
+
+/**
+ * Scenario file (.json, .yaml, .yml) → normalized scenario
+ */
+export async function loadScenario(file) {
+  const text = await fs.readFile(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  let data;
+  try {
+    data = extension === '.yaml' || extension === '.yml' ? parseYAML(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Scenario ${file}: ${error.message}`);
+  }
+  return parseScenario(data, { name: path.basename(file, extension) });
+}
+
+function requireNumber(value, name) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Scenario ${name} must be a number, got ${value}`);
+  }
+  return value;
+}
+
+function normalizeProgram(program, i) {
+  const label = `actuators[${i}]`;
+  if (program.control) {
+    for (const channel of Object.keys(program.control)) {
+      if (!CONTROL_CHANNELS.includes(channel)) {
+        throw new Error(`Scenario ${label}: unknown control channel ${channel}`);
+      }
+    }
+    return { at: requireNumber(program.at ?? 0, `${label}.at`), control: { ...program.control } };
+  }
+
+  if (!CONTROL_CHANNELS.includes(program.channel)) {
+    throw new Error(`Scenario ${label}: unknown control channel ${program.channel}`);
+  }
+  const points = program.points || [];
+  if (points.length === 0 || points.some(point => !Array.isArray(point) || point.length !== 2)) {
+    throw new Error(`Scenario ${label}: points must be [[time, value], ...]`);
+  }
+  points.forEach(([time, value], k) => {
+    requireNumber(time, `${label}.points[${k}] time`);
+    requireNumber(value, `${label}.points[${k}] value`);
+    if (k > 0 && time < points[k - 1][0]) {
+      throw new Error(`Scenario ${label}: points must be in time order`);
+    }
+  });
+  const interpolation = program.interpolation || 'linear';
+  if (!['linear', 'step'].includes(interpolation)) {
+    throw new Error(`Scenario ${label}: unknown interpolation ${interpolation}`);
+  }
+  return { channel: program.channel, points, interpolation, until: program.until ?? null };
+}
+
+function describeAssertion(assertion) {
+  const conditions = [];
+  if (assertion.min !== undefined) conditions.push(`≥ ${assertion.min}`);
+  if (assertion.max !== undefined) conditions.push(`≤ ${assertion.max}`);
+  if (assertion.equals !== undefined) conditions.push(`= ${assertion.equals}`);
+  if (assertion.contains !== undefined) conditions.push(`contains ${assertion.contains}`);
+  let when = assertion.check === 'at' ? `at ${assertion.at}s` : assertion.check;
+  if (['always', 'ever', 'never'].includes(assertion.check) && (assertion.from !== undefined || assertion.to !== undefined)) {
+    when += ` ${assertion.from ?? 0}–${assertion.to ?? 'end'} s`;
+  }
+  return `${assertion.field} ${conditions.join(', ')} (${when})`;
+}
+
+function normalizeAssertion(assertion, i) {
+  const label = `assertions[${i}]`;
+  if (!assertion.field) {
+    throw new Error(`Scenario ${label}: field is required`);
+  }
+  const check = assertion.check || 'final';
+  if (!CHECKS.includes(check)) {
+    throw new Error(`Scenario ${label}: unknown check ${check} (use ${CHECKS.join(', ')})`);
+  }
+  if (check === 'at') requireNumber(assertion.at, `${label}.at`);
+  if (['min', 'max', 'equals', 'contains'].every(key => assertion[key] === undefined)) {
+    throw new Error(`Scenario ${label}: needs min, max, equals or contains`);
+  }
+  const normalized = { ...assertion, check };
+  normalized.name = assertion.name || describeAssertion(normalized);
+  return normalized;
+}
+
+/**
+ * Validate a scenario object and fill defaults
+ */
+export function parseScenario(data, defaults = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Scenario must be an object');
+  }
+
+  const scenario = {
+    name: data.name || defaults.name || 'scenario',
+    description: data.description || '',
+    seed: data.seed,
+    duration: requireNumber(data.duration ?? 60, 'duration'),
+    dt: requireNumber(data.dt ?? 0.5, 'dt'),
+    reactor: data.reactor || {},
+    decision: data.decision || {},
+    twin: data.twin || {},
+    actuators: (data.actuators || []).map(normalizeProgram),
+    events: (data.events || []).map((event, i) => {
+      getPerturbation(event.type);
+      requireNumber(event.at, `events[${i}].at`);
+      if (event.duration !== undefined) requireNumber(event.duration, `events[${i}].duration`);
+      return { ...event };
+    }),
+    assertions: (data.assertions || []).map(normalizeAssertion)
+  };
+  if (scenario.duration <= 0 || scenario.dt <= 0) {
+    throw new Error('Scenario duration and dt must be positive');
+  }
+  return scenario;
+}
+
+/**
+ * Waveform value at time t (null before the first point or after `until`)
+ */
+export function waveformValue(program, time) {
+  const { points, interpolation, until } = program;
+  if (time < points[0][0] - EPSILON || (until !== null && time >= until - EPSILON)) return null;
+
+  let k = points.length - 1;
+  while (k > 0 && points[k][0] > time + EPSILON) k--;
+  const [t0, v0] = points[k];
+  const next = points[k + 1];
+  if (interpolation === 'step' || !next || next[0] === t0) return v0;
+  return v0 + (next[1] - v0) * (time - t0) / (next[0] - t0);
+}
+
+function getPath(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function satisfies(assertion, value) {
+  if (value === undefined) return false;
+  if (assertion.min !== undefined && !(value >= assertion.min)) return false;
+  if (assertion.max !== undefined && !(value <= assertion.max)) return false;
+  if (assertion.equals !== undefined && value !== assertion.equals) return false;
+  if (assertion.contains !== undefined && !(value?.includes?.(assertion.contains))) return false;
+  return true;
+}
+
+/**
+ * Evaluate one assertion over the recorded observations
+ */
+export function evaluateAssertion(assertion, observations) {
+  const { field, check } = assertion;
+  const result = (passed, observation, message) => ({
+    name: assertion.name,
+    field,
+    check,
+    passed,
+    time: observation?.time ?? null,
+    value: observation ? getPath(observation, field) ?? null : null,
+    message
+  });
+  const show = (observation) => `${field} = ${JSON.stringify(getPath(observation, field))} at t=${observation.time}s`;
+
+  if (observations.length === 0) return result(false, null, 'no steps were run');
+
+  if (check === 'final' || check === 'at') {
+    const observation = check === 'final'
+      ? observations[observations.length - 1]
+      : observations.find(o => o.time >= assertion.at - EPSILON);
+    if (!observation) return result(false, null, `run ended before t=${assertion.at}s`);
+    const passed = satisfies(assertion, getPath(observation, field));
+    return result(passed, observation, passed ? show(observation) : `${show(observation)}, expected ${assertion.name}`);
+  }
+
+  const from = assertion.from ?? -Infinity;
+  const to = assertion.to ?? Infinity;
+  const window = observations.filter(o => o.time >= from - EPSILON && o.time <= to + EPSILON);
+  if (window.length === 0) return result(false, null, `no steps in [${assertion.from ?? 0}, ${assertion.to ?? 'end'}] s`);
+
+  if (check === 'always') {
+    const failure = window.find(o => !satisfies(assertion, getPath(o, field)));
+    return failure
+      ? result(false, failure, `${show(failure)}, expected ${assertion.name}`)
+      : result(true, window[window.length - 1], `held for ${window.length} steps`);
+  }
+
+  const hit = window.find(o => satisfies(assertion, getPath(o, field)));
+  if (check === 'ever') {
+    return hit ? result(true, hit, show(hit)) : result(false, window[window.length - 1], `never reached in ${window.length} steps`);
+  }
+  return hit
+    ? result(false, hit, `${show(hit)}, expected never`)
+    : result(true, window[window.length - 1], `not seen in ${window.length} steps`);
+}
+
+export class ScenarioRunner {
+  /**
+   * @param {Object} scenario - scenario object (normalized with parseScenario)
+   * @param {Object} options - verbose, onStep(result, observation)
+   */
+  constructor(scenario, options = {}) {
+    this.scenario = parseScenario(scenario);
+    this.options = {
+      verbose: options.verbose ?? false,
+      onStep: options.onStep || null,
+      ...options
+    };
+    this.twin = null;
+    this.sensors = null;
+    this.log = [];            // applied events / programs
+    this.observations = [];
+  }
+
+  twinConfig() {
+    const s = this.scenario;
+    return {
+      ...s.twin,
+      seed: s.seed ?? s.twin.seed,
+      dt: s.dt,
+      fusion: { ...s.twin.fusion, ...s.reactor },
+      decision: { ...s.twin.decision, ...s.decision },
+      verbose: this.options.verbose,
+      persistence: null
+    };
+  }
+
+  /**
+   * One-off actions in time order: programs, events and event ends
+   */
+  timeline() {
+    const items = [];
+    for (const program of this.scenario.actuators) {
+      if (program.control) {
+        items.push({ time: program.at, run: () => this.command(program.control, 'control') });
+      }
+    }
+    for (const event of this.scenario.events) {
+      items.push({
+        time: event.at,
+        run: (context) => {
+          const undo = getPerturbation(event.type)(context, event);
+          this.record({ type: event.type, action: 'applied', event });
+          if (event.duration !== undefined) {
+            items.push({
+              time: event.at + event.duration,
+              run: () => {
+                undo?.();
+                this.record({ type: event.type, action: 'ended', event });
+              }
+            });
+            items.sort((a, b) => a.time - b.time);
+          }
+        }
+      });
+    }
+    return items.sort((a, b) => a.time - b.time);
+  }
+
+  command(control, action) {
+    this.twin.components.source.applyControl(control);
+    this.record({ type: 'control', action, control });
+  }
+
+  record(entry) {
+    this.log.push({ time: this.twin.state.time, ...entry });
+  }
+
+  observe(state, result) {
+    const observation = {
+      ...state,
+      time: result.time,
+      disrupted: Boolean(state.disruption),
+      alarms: result.alarms?.active.map(alarm => alarm.id) || [],
+      decision: result.decision && { actions: result.decision.actions, confidence: result.decision.confidence }
+    };
+    const fields = new Set(['time', ...this.scenario.assertions.map(a => a.field.split('.')[0])]);
+    this.observations.push(Object.fromEntries([...fields].map(field => [field, observation[field]])));
+    return observation;
+  }
+
+  async run() {
+    const s = this.scenario;
+    this.twin = new TwinCosmos(this.twinConfig());
+    await this.twin.initialize();
+
+    // Measurements pass through the fault layer; physics stays untouched
+    this.sensors = new SensorFaultSource(this.twin.components.source, { seed: this.twin.seedFor('sensors') });
+    this.twin.components.source = this.sensors;
+
+    const pending = this.timeline();
+    const outcomes = trackOutcomes(s.dt);
+    const steps = Math.round(s.duration / s.dt);
+    let stopped = null;
+
+    for (let i = 0; i < steps; i++) {
+      const time = this.twin.state.time;
+      const context = { twin: this.twin, simulator: this.twin.components.fusion, sensors: this.sensors, time };
+      while (pending.length && pending[0].time <= time + EPSILON) {
+        pending.shift().run(context);
+      }
+
+      const waveforms = {};
+      for (const program of s.actuators) {
+        const value = program.control ? null : waveformValue(program, time);
+        if (value !== null) waveforms[program.channel] = value;
+      }
+      if (Object.keys(waveforms).length) this.twin.components.source.applyControl(waveforms);
+
+      const result = await this.twin.step(s.dt);
+      if (!result.fusion) {
+        stopped = 'source exhausted';
+        break;
+      }
+      outcomes.observe(this.sensors.truth);
+      const observation = this.observe(this.sensors.truth, result);
+      this.options.onStep?.(result, observation);
+    }
+
+    const assertions = s.assertions.map(assertion => evaluateAssertion(assertion, this.observations));
+    const last = this.observations[this.observations.length - 1];
+    return {
+      name: s.name,
+      description: s.description,
+      passed: assertions.every(a => a.passed),
+      seed: s.seed ?? null,
+      duration: s.duration,
+      dt: s.dt,
+      steps: this.observations.length,
+      time: last?.time ?? 0,
+      stopped,
+      assertions,
+      events: this.log,
+      outcome: outcomes.result(),
+      alarms: this.twin.components.alarms?.getLog().filter(entry => entry.type === 'raised').length ?? 0
+    };
+  }
+}
+
+export default ScenarioRunner;
@@ -0,0 +1,431 @@
+/**
+ * TwinServer - A live TwinCosmos over HTTP (node:http, no dependencies)
+ *
+ * Runs one twin in real time (one step of config.dt every `interval` ms
+ * while started) so dashboards and tools on the same host can watch and
+ * steer it.
+ *
+ * REST, JSON in and out:
+ * - GET    /status              running, time, step, phase, connected clients
+ * - GET    /state               twin.getState() without the decision history
+ * - GET    /history?limit=N     last N plasma states and decisions
+ * - GET    /patterns            learned decision patterns, memory tiers
+ * - POST   /start, /pause       real-time loop
+ * - POST   /step    { steps }   step by hand (while paused), at most maxSteps
+ * - POST   /reset               back to the state right after initialize()
+ * - POST   /control { heatingPower, fuelingRate, ... }
+ *                               actuator command; closed-loop outputs
+ *                               (heatingPower, fuelingRate, magneticField)
+ *                               are held against the decision engine
+ * - DELETE /control             release held outputs to closed-loop control
+ *
+ * SSE: GET /events streams `step` (see stepMessage), `phaseChange`,
+ * `alarm` and `status` events, fed from the twin's lifecycle events, so
+ * steps taken by any client reach every listener.
+ *
+ * Listens on 127.0.0.1 unless configured otherwise; `cors` sets
+ * Access-Control-Allow-Origin for dashboards served from another origin.
+ */
+
+import http from 'node:http';
+import { TwinCosmos } from '../index.js';
+import { CHANNEL_OUTPUTS } from '../control/controllers.js';
+import { CONTROL_CHANNELS } from '../scenario/runner.js';
+
+const HELD_OUTPUTS = Object.values(CHANNEL_OUTPUTS);
+
+const MAX_BODY = 1 << 20;   // bytes
+
+const ROUTES = {
+  'GET /status': 'getStatus',
+  'GET /state': 'getState',
+  'GET /history': 'getHistory',
+  'GET /patterns': 'getPatterns',
+  'GET /events': 'subscribe',
+  'POST /start': 'start',
+  'POST /pause': 'pause',
+  'POST /step': 'postStep',
+  'POST /reset': 'reset',
+  'POST /control': 'command',
+  'DELETE /control': 'release'
+};
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Step result as streamed to clients
+ */
+export function stepMessage(result) {
+  return {
+    time: result.time,
+    step: result.step,
+    fusion: result.fusion,
+    decision: result.decision && { actions: result.decision.actions, confidence: result.decision.confidence },
+    control: result.control,
+    vetoes: result.vetoes,
+    alarms: result.alarms?.active.map(alarm => alarm.id) || []
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(httpError(400, 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+}
+
+export class TwinServer {
+  constructor(config = {}) {
+    this.config = {
+      port: config.port ?? 8080,                // 0: any free port (see url)
+      host: config.host || '127.0.0.1',
+      interval: config.interval ?? 100,         // ms of wall-clock time per step while started
+      cors: config.cors || null,                // Access-Control-Allow-Origin value
+      heartbeat: config.heartbeat || 15000,     // ms between SSE keep-alive comments
+      historyLimit: config.historyLimit || 100, // default /history length
+      maxSteps: config.maxSteps || 1000,        // largest POST /step request
+      twin: config.twin || {},                  // TwinCosmos instance or config
+      ...config
+    };
+
+    this.twin = null;
+    this.server = null;
+    this.clients = new Set();       // SSE responses
+    this.listeners = [];            // [event, listener] on the twin
+    this.running = false;
+    this.timer = null;
+    this.loop = 0;                  // id of the current start(): stale ticks do not reschedule
+    this.queue = Promise.resolve(); // twin access, one operation at a time
+    this.held = {};                 // actuator outputs held against closed-loop control
+    this.initial = null;            // snapshot for /reset
+  }
+
+  get url() {
+    const address = this.server?.address();
+    return address ? `http://${this.config.host}:${address.port}` : null;
+  }
+
+  /**
+   * Initialize the twin (if needed) and start listening
+   */
+  async listen() {
+    const twin = this.config.twin;
+    this.twin = twin instanceof TwinCosmos ? twin : new TwinCosmos({ verbose: false, ...twin });
+    if (!this.twin.state.initialized) {
+      await this.twin.initialize();
+    }
+    this.initial = this.twin.snapshot();
+    this.attach();
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(res => res.write(': keep-alive\n\n'));
+    }, this.config.heartbeat);
+    this.heartbeat.unref();
+    return this;
+  }
+
+  /**
+   * Stop the loop, disconnect clients and detach from the twin
+   */
+  async close() {
+    this.pause();
+    clearInterval(this.heartbeat);
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    this.listeners.forEach(([event, listener]) => this.twin.off(event, listener));
+    this.listeners = [];
+    await this.queue;
+
+    if (this.server) {
+      await new Promise(resolve => {
+        this.server.close(resolve);
+        this.server.closeAllConnections?.();   // Node ≥ 18.2; older versions wait for idle keep-alive sockets
+      });
+      this.server = null;
+    }
+  }
+
+  attach() {
+    this.listeners = [
+      // Held outputs replace the closed-loop command (vetoes still apply)
+      ['decision', (context) => {
+        if (Object.keys(this.held).length) context.control = { ...context.control, ...this.held };
+      }],
+      ['afterStep', (result) => this.broadcast('step', stepMessage(result))],
+      ['phaseChange', ({ state, ...change }) => this.broadcast('phaseChange', change)],
+      ['alarm', (entry) => this.broadcast('alarm', entry)]
+    ];
+    this.listeners.forEach(([event, listener]) => this.twin.on(event, listener));
+  }
+
+  /**
+   * Run fn after every pending twin operation
+   */
+  exclusive(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach(res => res.write(message));
+  }
+
+  status() {
+    const source = this.twin.components.source;
+    return {
+      running: this.running,
+      time: this.twin.state.time,
+      step: this.twin.state.step,
+      phase: this.twin.state.phase,
+      done: source?.done ?? false,
+      dt: this.twin.config.dt,
+      interval: this.config.interval,
+      source: source?.describe() || null,
+      held: { ...this.held },
+      clients: this.clients.size
+    };
+  }
+
+  broadcastStatus() {
+    this.broadcast('status', this.status());
+  }
+
+  // Real-time loop
+
+  start() {
+    if (this.twin.components.source?.done) {
+      throw httpError(409, 'Data source exhausted; reset first');
+    }
+    if (!this.running) {
+      this.running = true;
+      this.schedule(++this.loop);
+      this.broadcastStatus();
+    }
+    return this.status();
+  }
+
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.running) {
+      this.running = false;
+      this.broadcastStatus();
+    }
+    return this.twin ? this.status() : null;
+  }
+
+  schedule(loop) {
+    this.timer = setTimeout(() => this.tick(loop), this.config.interval);
+  }
+
+  /**
+   * One step of loop `loop`; a tick still in flight across pause / start
+   * belongs to an earlier loop and ends there
+   */
+  async tick(loop) {
+    try {
+      await this.step(1);
+    } catch (error) {
+      this.broadcast('error', { message: error.message });
+      if (loop === this.loop) this.pause();
+      return;
+    }
+    if (loop !== this.loop) return;
+    if (this.twin.components.source?.done) {
+      this.pause();
+    } else if (this.running) {
+      this.schedule(loop);
+    }
+  }
+
+  /**
+   * Step the twin (stops early when the data source is exhausted)
+   * @returns {Promise<Array>} step results
+   */
+  step(steps = 1) {
+    return this.exclusive(async () => {
+      const results = [];
+      for (let i = 0; i < steps && !this.twin.components.source?.done; i++) {
+        results.push(await this.twin.step(this.twin.config.dt));
+      }
+      return results;
+    });
+  }
+
+  reset() {
+    this.pause();
+    return this.exclusive(async () => {
+      await this.twin.restore(this.initial);
+      this.held = {};
+      this.broadcastStatus();
+      return this.status();
+    });
+  }
+
+  /**
+   * Apply an actuator command now; closed-loop outputs stay held until release()
+   */
+  command(control) {
+    if (!control || typeof control !== 'object' || Array.isArray(control)) {
+      throw httpError(400, 'Control must be an object of channel: value');
+    }
+    for (const [channel, value] of Object.entries(control)) {
+      if (!CONTROL_CHANNELS.includes(channel)) {
+        throw httpError(400, `Unknown control channel: ${channel} (use ${CONTROL_CHANNELS.join(', ')})`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw httpError(400, `Control ${channel} must be a number`);
+      }
+    }
+
+    return this.exclusive(() => {
+      this.twin.components.source?.applyControl(control);
+      for (const output of HELD_OUTPUTS) {
+        if (output in control) this.held[output] = control[output];
+      }
+      this.broadcastStatus();
+      return { applied: control, held: { ...this.held } };
+    });
+  }
+
+  release() {
+    this.held = {};
+    this.broadcastStatus();
+    return { held: {} };
+  }
+
+  // HTTP
+
+  async handle(req, res) {
+    if (this.config.cors) {
+      res.setHeader('Access-Control-Allow-Origin', this.config.cors);
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      const handler = ROUTES[`${req.method} ${url.pathname}`];
+      if (!handler) {
+        const known = Object.keys(ROUTES).some(route => route.endsWith(` ${url.pathname}`));
+        throw known
+          ? httpError(405, `Method ${req.method} not allowed on ${url.pathname}`)
+          : httpError(404, `Not found: ${url.pathname}`);
+      }
+      const body = req.method === 'POST' ? await readBody(req) : null;
+      const result = await this[handler](body, url.searchParams, req, res);
+      if (result !== undefined) sendJSON(res, 200, result);
+    } catch (error) {
+      if (!res.headersSent) sendJSON(res, error.status || 500, { error: error.message });
+    }
+  }
+
+  getStatus() {
+    return this.status();
+  }
+
+  getState() {
+    const { decisions, ...state } = this.twin.getState();
+    return state;
+  }
+
+  getHistory(body, query) {
+    const limit = query.has('limit') ? Number(query.get('limit')) : this.config.historyLimit;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw httpError(400, `limit must be a positive integer, got ${query.get('limit')}`);
+    }
+    return {
+      fusion: (this.twin.components.source?.getHistory() || []).slice(-limit),
+      decisions: (this.twin.components.decision?.getHistory() || []).slice(-limit)
+    };
+  }
+
+  getPatterns() {
+    const patterns = [...(this.twin.components.decision?.patterns || [])]
+      .map(([key, pattern]) => ({ key, ...pattern }))
+      .sort((a, b) => b.count - a.count);
+    return {
+      patterns,
+      memory: this.twin.components.memory?.getTierStats() || null
+    };
+  }
+
+  postStep(body) {
+    const steps = body.steps ?? 1;
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw httpError(400, `steps must be a positive integer, got ${steps}`);
+    }
+    if (steps > this.config.maxSteps) {
+      throw httpError(400, `steps must be at most ${this.config.maxSteps}, got ${steps}`);
+    }
+    if (this.running) {
+      throw httpError(409, 'Twin is running; pause it before stepping');
+    }
+    return this.step(steps).then(results => ({
+      steps: results.length,
+      results: results.map(stepMessage),
+      status: this.status()
+    }));
+  }
+
+  /**
+   * GET /events: Server-Sent Events stream
+   */
+  subscribe(body, query, req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 2000\n\n');
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+    res.write(`event: status\ndata: ${JSON.stringify(this.status())}\n\n`);
+    return undefined;
+  }
+}
+
+export default TwinServer;
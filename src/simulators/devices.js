@@ -0,0 +1,197 @@
+/**
+ * Device models - What kind of machine FusionSimulator is simulating
+ *
+ * FusionSimulator picks a model by config.reactorType and delegates the
+ * device-specific physics to it:
+ * - defaults():                   geometry and operating defaults
+ * - updateMode(sim, P_loss):      confinement regime (state.confinementMode)
+ * - confinementTime(sim, P_loss, n): τ_E (s) in the current regime; pure, so
+ *                                 integrators can evaluate it at any stage
+ * - evaluateLimits(sim):          operating limits (see physics/limits.js)
+ * - canDisrupt:                   plasma-current disruptions possible
+ * - currentDriven:                confinement relies on a plasma current
+ *
+ * Custom models can be added with registerDevice() and selected by name.
+ */
+
+import { getScaling, lhThreshold } from '../physics/confinement.js';
+import { evaluateLimits, evaluateStellaratorLimits } from '../physics/limits.js';
+
+/**
+ * Base device model: interface and shared helpers
+ */
+export class DeviceModel {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  get canDisrupt() {
+    return false;
+  }
+
+  get currentDriven() {
+    return false;
+  }
+
+  defaults() {
+    return {};
+  }
+
+  /**
+   * Scaling-law parameters in the units of physics/confinement.js
+   */
+  scalingParams(sim, lossPower, density = sim.state.density) {
+    const c = sim.config;
+    return {
+      I: sim.state.plasmaCurrent,
+      B: sim.state.magneticField,
+      P: Math.max(lossPower, 1e5) / 1e6,   // MW, floored to keep P^-α finite
+      n19: density / 1e19,
+      M: c.isotopeMass,
+      R: c.majorRadius,
+      a: c.minorRadius,
+      kappa: c.elongation,
+      iota: c.iota
+    };
+  }
+
+  updateMode(sim, lossPower) {
+    sim.state.confinementMode = sim.config.confinementScaling;
+  }
+
+  confinementTime(sim, lossPower, density) {
+    throw new Error(`${this.constructor.name} must implement confinementTime()`);
+  }
+
+  evaluateLimits(sim) {
+    throw new Error(`${this.constructor.name} must implement evaluateLimits()`);
+  }
+}
+
+/**
+ * Tokamak: inductive plasma current, H-mode above the L-H threshold,
+ * Greenwald / Troyon / q95 limits and current disruptions
+ */
+export class TokamakModel extends DeviceModel {
+  get canDisrupt() {
+    return true;
+  }
+
+  get currentDriven() {
+    return true;
+  }
+
+  defaults() {
+    return {
+      majorRadius: 6.0,
+      minorRadius: 2.0,
+      elongation: 1.7,
+      magneticField: 5.0,
+      plasmaCurrent: 15.0,
+      confinementScaling: 'IPB98(y,2)',
+      lModeScaling: 'ITER89-P',
+      pulse: { burnDuration: 400 }   // s, flat-top limited by the transformer flux swing
+    };
+  }
+
+  /**
+   * L-H transition with hysteresis against the Martin threshold
+   */
+  updateMode(sim, lossPower) {
+    const c = sim.config;
+    const state = sim.state;
+    const params = this.scalingParams(sim, lossPower);
+
+    const threshold = lhThreshold(params);
+    state.lhThreshold = threshold * 1e6;
+
+    if (!c.lhTransition) {
+      state.confinementMode = 'H';
+    } else if (state.confinementMode === 'H') {
+      if (params.P < c.lhHysteresis * threshold) state.confinementMode = 'L';
+    } else if (params.P >= threshold) {
+      state.confinementMode = 'H';
+    }
+  }
+
+  confinementTime(sim, lossPower, density) {
+    const c = sim.config;
+    const params = this.scalingParams(sim, lossPower, density);
+
+    if (sim.state.confinementMode === 'H') {
+      return c.hFactor * getScaling(c.confinementScaling)(params);
+    }
+    return getScaling(c.lModeScaling)(params);
+  }
+
+  evaluateLimits(sim) {
+    const c = sim.config;
+    return evaluateLimits(sim.state, c, {
+      troyonG: c.troyonG,
+      qLimit: c.qLimit,
+      greenwaldFactor: c.greenwaldFactor
+    });
+  }
+}
+
+/**
+ * Stellarator: confinement from external coils (no plasma current, no
+ * current disruptions), steady-state capable, ISS04 confinement and
+ * Sudo density limit
+ */
+export class StellaratorModel extends DeviceModel {
+  defaults() {
+    return {
+      majorRadius: 22.0,             // HELIAS-type reactor
+      minorRadius: 1.8,
+      elongation: 1.0,
+      magneticField: 5.7,
+      plasmaCurrent: 0,
+      breakdownCurrent: 0,
+      iota: 0.9,                     // ι at r = 2a/3
+      betaLimit: 5.0,                // %
+      confinementScaling: 'ISS04',
+      hFactor: 2.0,                  // ISS04 renormalization assumed for a reactor; ~1.5 ignites only transiently
+      lhTransition: false,
+      pulse: { burnDuration: Infinity }
+    };
+  }
+
+  confinementTime(sim, lossPower, density) {
+    const c = sim.config;
+    return c.hFactor * getScaling(c.confinementScaling)(this.scalingParams(sim, lossPower, density));
+  }
+
+  evaluateLimits(sim) {
+    return evaluateStellaratorLimits(sim.state, sim.config, { betaLimit: sim.config.betaLimit });
+  }
+}
+
+// Device registry: reactorType → (config) => DeviceModel
+const devices = new Map();
+
+export function registerDevice(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Device model ${name} must be a factory function`);
+  }
+  devices.set(name, factory);
+}
+
+export function hasDevice(name) {
+  return devices.has(name);
+}
+
+export function createDevice(name, config = {}) {
+  const factory = devices.get(name);
+  if (!factory) {
+    throw new Error(`Unknown reactor type: ${name}`);
+  }
+  return factory(config);
+}
+
+export function listDevices() {
+  return [...devices.keys()];
+}
+
+registerDevice('tokamak', (config) => new TokamakModel(config));
+registerDevice('stellarator', (config) => new StellaratorModel(config));
@@ -7,60 +7,386 @@
  * - Confinement time (s)
  * - Fusion power output
  * 
+ * Energy balance on stored energy W = 3nTV (see physics/plasma.js):
+ * dW/dt = P_aux + P_alpha - P_brems - W/τ_E,  Q = P_fusion / P_aux
+ * 
+ * τ_E from an empirical scaling (physics/confinement.js): H-mode
+ * scaling above the L-H power threshold, L-mode scaling below it.
+ * Device-specific physics (confinement, limits, disruptions) comes from
+ * the device model selected by reactorType (see devices.js).
+ * 
+ * The pulse lifecycle (pre-fill → breakdown → ramp-up → burn →
+ * ramp-down → termination, see pulse.js) drives the plasma current and
+ * gates the actuators.
+ * 
+ * Fuel is tracked as D, T and helium-ash densities (physics/fuel.js);
+ * state.density is the electron density. Tritium is drawn from a plant
+ * inventory, so burn fraction and breeding matter over long runs.
+ * 
+ * transportModel '1d' replaces the point model with radial heat and
+ * particle diffusion (physics/transport.js); state.temperature and
+ * state.density are then volume averages and state.profiles holds ρ, T(ρ), n(ρ).
+ * 
+ * The 0D balance is a state-derivative function (plasmaRates) advanced
+ * by a selectable integrator (utils/integrators.js: euler, rk4, adaptive
+ * rk45). step(dt) splits dt into sub-steps of at most maxStep, so the
+ * output interval does not set the accuracy.
+ * 
+ * Operating limits (physics/limits.js) are checked every step; the
+ * closer the plasma gets to the Greenwald, Troyon or q95 boundary the
+ * likelier a disruption: thermal quench, then current quench.
+ * 
  * V5 equation for stability prediction:
  * P = 1/(1+e^(-2γ(Input-B)))
  */
 
+import { SeededRandom } from '../utils/random.js';
+import { getIntegrator, integrate } from '../utils/integrators.js';
+import {
+  KELVIN_PER_KEV,
+  DT_ENERGY,
+  ALPHA_FRACTION,
+  plasmaVolume,
+  fusionPowerDensity,
+  bremsstrahlungPowerDensity,
+  storedEnergy,
+  temperatureFromEnergy,
+  lawsonFraction,
+  fusionGain
+} from '../physics/plasma.js';
+import { disruptionProbability } from '../physics/limits.js';
+import {
+  DIFFUSION_EIGENVALUE,
+  radialGrid,
+  depositionProfile,
+  createProfiles,
+  matchAverages,
+  volumeAverages,
+  profilePowers,
+  advanceProfiles
+} from '../physics/transport.js';
+import {
+  tritiumGrams,
+  fuelMix,
+  electronDensity,
+  effectiveCharge,
+  scaleSpecies,
+  advanceSpecies
+} from '../physics/fuel.js';
+import { PulseStateMachine } from './pulse.js';
+import { createDevice } from './devices.js';
+
+// Temperature floor (K): below ~1 eV the plasma has recombined
+const MIN_TEMPERATURE = 1e4;
+
+// Residual density (m^-3) left in the vessel after a disruption
+const MIN_DENSITY = 1e16;
+
 export class FusionSimulator {
   constructor(config = {}) {
+    // Device model defaults sit below user config
+    const device = createDevice(config.reactorType || 'tokamak', config);
+    const defaults = device.defaults();
+    config = { ...defaults, ...config, pulse: { ...defaults.pulse, ...config.pulse } };
+    
     this.config = {
       reactorType: config.reactorType || 'tokamak',
       initialTemperature: config.initialTemperature || 1e8,  // 100 million K
       initialDensity: config.initialDensity || 1e20,           // 10^20 m^-3
-      confinementTime: config.confinementTime || 3.0,         // seconds
+      confinementTime: config.confinementTime || 3.0,         // seconds (initial, or fixed)
       majorRadius: config.majorRadius || 6.0,                  // meters
       minorRadius: config.minorRadius || 2.0,                  // meters
+      elongation: config.elongation || 1.7,                    // κ
+      triangularity: config.triangularity ?? 0.33,             // δ
       magneticField: config.magneticField || 5.0,              // Tesla
-      ...config
+      plasmaCurrent: config.plasmaCurrent ?? 15.0,             // MA (0 for currentless devices)
+      isotopeMass: config.isotopeMass || 2.5,                  // amu (D-T)
+      confinementScaling: config.confinementScaling || 'IPB98(y,2)', // H-mode scaling, or 'fixed'
+      lModeScaling: config.lModeScaling || 'ITER89-P',
+      hFactor: config.hFactor || 1.0,                          // H98 enhancement factor
+      lhTransition: config.lhTransition ?? true,               // false: always H-mode
+      lhHysteresis: config.lhHysteresis || 0.8,                // H→L back-transition at 0.8·P_LH
+      heatingPower: config.heatingPower ?? 50e6,               // W auxiliary heating
+      fuelingRate: config.fuelingRate ?? 1e18,                 // particles/m³/s
+      zEff: config.zEff || 1.5,                                // impurity effective charge (helium adds to it)
+      tritiumFraction: config.tritiumFraction ?? 0.5,          // T share of fueling
+      exhaustRate: config.exhaustRate ?? 0.001,                // 1/s fuel ion pump-out
+      heliumConfinementRatio: config.heliumConfinementRatio || 5, // ρ* = τ_He / τ_E
+      tritiumInventory: config.tritiumInventory ?? 1000,       // g in plant storage
+      tritiumBreedingRatio: config.tritiumBreedingRatio ?? 0,  // TBR: tritium bred per tritium burned
+      tritiumRecovery: config.tritiumRecovery ?? 1.0,          // share of exhausted tritium returned to storage
+      lawsonLimit: config.lawsonLimit || 3e21,                 // keV·s/m³ ignition triple product
+      stabilityGamma: config.stabilityGamma || 2.0,            // V5 γ of the stability probability
+      stabilityBarrier: config.stabilityBarrier ?? 0.5,        // V5 B of the stability probability
+      greenwaldFactor: config.greenwaldFactor || 1.0,          // density limit as a multiple of n_G
+      troyonG: config.troyonG || 2.8,                          // Troyon coefficient (%·m·T/MA)
+      qLimit: config.qLimit || 2.0,                            // minimum q95
+      disruptions: config.disruptions ?? true,                 // false: report limits, never disrupt
+      disruptionGamma: config.disruptionGamma || 25,           // V5 γ on limit proximity
+      disruptionBarrier: config.disruptionBarrier || 1.0,      // V5 B: proximity at half the max rate
+      maxDisruptionRate: config.maxDisruptionRate || 1.0,      // 1/s hazard far beyond the limits
+      thermalQuenchTime: config.thermalQuenchTime || 1e-3,     // s
+      currentQuenchTime: config.currentQuenchTime || 0.05,     // s
+      initialPhase: config.initialPhase || 'ramp-up',          // 'pre-fill' for a cold start
+      breakdownCurrent: config.breakdownCurrent ?? 0.5,        // MA at breakdown
+      currentRampRate: config.currentRampRate || 1.0,          // MA/s during ramp-up / ramp-down
+      pumpOutTime: config.pumpOutTime || 2.0,                  // s particle pump-out (termination; ramp-down without current)
+      pulse: config.pulse,                                     // PulseStateMachine options
+      transportModel: config.transportModel || '0d',           // '0d' point model or '1d' radial profiles
+      integrator: config.integrator || 'rk4',                  // 'euler' | 'rk4' | 'rk45' (adaptive), 0D model
+      tolerance: config.tolerance || 1e-6,                     // rk45 relative error per sub-step
+      maxStep: config.maxStep || 0.1,                          // s, longest plasma sub-step
+      seed: config.seed,                                       // PRNG seed for stochastic physics
+      ...config,
+      transport: {
+        gridPoints: 21,
+        chi: 'scaling',                              // m²/s, per-point array, or 'scaling': a²/(5.78 τ_E)
+        diffusivity: 0.5,                            // m²/s particle diffusivity (or per-point array)
+        heatingProfile: { center: 0, width: 0.3 },   // Gaussian deposition in ρ
+        fuelingProfile: { center: 0.9, width: 0.1 }, // edge gas puff
+        edgeTemperature: 1e6,                        // K, edge temperature ceiling (~90 eV)
+        edgeDensityFraction: null,                   // edge n / <n>, null = zero-flux edge
+        peaking: { temperature: 1.0, density: 0.5 }, // initial (1-ρ²)^α profiles
+        ...config.transport
+      }
     };
     
+    if (!['0d', '1d'].includes(this.config.transportModel)) {
+      throw new Error(`Unknown transport model: ${this.config.transportModel}`);
+    }
+    getIntegrator(this.config.integrator);
+    
+    this.random = new SeededRandom(this.config.seed);
+    this.device = device;
+    
+    this.pulse = new PulseStateMachine({
+      initialPhase: this.config.initialPhase,
+      flatTopCurrent: this.config.plasmaCurrent,
+      currentDriven: device.currentDriven,
+      ...this.config.pulse
+    });
+    this.pulse.on('transition', (event) => this.enterPhase(event));
+    
     this.state = {
       temperature: this.config.initialTemperature,
       density: this.config.initialDensity,
       confinementTime: this.config.confinementTime,
       fusionPower: 0,
+      alphaPower: 0,
+      radiationPower: 0,
+      transportPower: 0,
+      storedEnergy: 0,
+      Q: 0,
       stability: 0.5,
-      phase: 'ignition',  // ignition, ramp-up, burn, decline
+      phase: this.pulse.phase,  // see PULSE_PHASES
+      transition: null,         // pulse transition taken in the last step
+      heatingPower: this.config.heatingPower,
+      fuelingRate: this.config.fuelingRate,
+      magneticField: this.config.magneticField,
+      plasmaCurrent: this.config.plasmaCurrent,
+      confinementMode: this.config.lhTransition ? 'L' : 'H',
+      lossPower: 0,
+      lhThreshold: 0,
+      limits: null,
+      violations: [],
+      disruptionRisk: 0,
+      disruption: null,   // { stage, cause, time, elapsed, initialCurrent, initialEnergy }
+      profiles: null,     // 1D mode: { rho, temperature, density }
+      tritiumFraction: this.config.tritiumFraction,
+      species: null,      // { deuterium, tritium, helium } m^-3
+      heliumFraction: 0,  // n_He / n_e
+      fuelCycle: {
+        tritiumInventory: this.config.tritiumInventory,  // g
+        tritiumInjected: 0,                              // g, cumulative incl. the initial plasma load
+        tritiumBurned: 0,
+        tritiumBred: 0,
+        tritiumRecovered: 0,
+        burnFraction: 0                                  // burned / injected
+      },
       time: 0,
       history: []
     };
     
+    // Cold start: empty vessel, no plasma current
+    if (!this.pulse.hasPlasma()) {
+      this.state.temperature = MIN_TEMPERATURE;
+      this.state.density = MIN_DENSITY;
+      this.state.plasmaCurrent = 0;
+    } else if (this.pulse.phase === 'breakdown') {
+      this.state.plasmaCurrent = this.config.breakdownCurrent;
+    }
+    
+    this.state.species = fuelMix(this.state.density, this.config.tritiumFraction);
+    this.state.fuelCycle.tritiumInjected = tritiumGrams(this.state.species.tritium * this.getVolume());
+    
+    this.grid = this.createGrid();
+    if (this.grid) {
+      this.state.profiles = createProfiles(this.grid, {
+        temperature: this.state.temperature,
+        density: this.state.density,
+        peaking: this.config.transport.peaking
+      });
+    }
+    
     // V5 parameters for stability
     this.v5Params = {
-      barrier: 0.5,
-      gamma: 2.0,
+      barrier: this.config.stabilityBarrier,
+      gamma: this.config.stabilityGamma,
       inputRange: { min: 0, max: 1 }
     };
   }
 
   /**
-   * Calculate fusion power output
-   * Simplified fusion power formula: P_fusion = n_i * n_j * <σv> * E
+   * Radial grid and deposition weights for the 1D model (null in 0D)
+   */
+  createGrid() {
+    if (this.config.transportModel !== '1d') return null;
+    const t = this.config.transport;
+    const grid = radialGrid(t.gridPoints, this.config);
+    grid.heating = depositionProfile(grid, t.heatingProfile);
+    grid.fueling = depositionProfile(grid, t.fuelingProfile);
+    return grid;
+  }
+
+  /**
+   * Plasma volume (m³) from device geometry
+   */
+  getVolume() {
+    return plasmaVolume(this.config.majorRadius, this.config.minorRadius, this.config.elongation);
+  }
+
+  /**
+   * Energy confinement time (s) from the device model's scaling law
+   * (tokamaks also update confinementMode against the L-H threshold)
+   * @param {number} lossPower - P_aux + P_alpha - P_rad (W)
+   */
+  calculateConfinementTime(lossPower) {
+    if (this.config.confinementScaling === 'fixed') {
+      this.state.confinementMode = 'fixed';
+    } else {
+      this.device.updateMode(this, lossPower);
+    }
+    return this.scalingTime(lossPower);
+  }
+
+  /**
+   * τ_E (s) in the current confinement regime, without mode changes
+   */
+  scalingTime(lossPower, density = this.state.density) {
+    if (this.config.confinementScaling === 'fixed') {
+      return this.config.confinementTime;
+    }
+    return this.device.confinementTime(this, lossPower, density);
+  }
+
+  /**
+   * Deuterium and tritium shares of the electron density
+   */
+  getFuelFractions() {
+    const species = this.state.species;
+    const ne = electronDensity(species);
+    return {
+      deuterium: ne > 0 ? species.deuterium / ne : 0,
+      tritium: ne > 0 ? species.tritium / ne : 0
+    };
+  }
+
+  getEffectiveCharge() {
+    return effectiveCharge(this.state.species, this.config.zEff);
+  }
+
+  /**
+   * Calculate fusion power output (W)
+   * P_fusion = n_D * n_T * <σv> * E * V
    */
   calculateFusionPower() {
     const n = this.state.density;
-    const T = this.state.temperature;
+    const T_keV = this.state.temperature / KELVIN_PER_KEV;
+    const fuel = this.getFuelFractions();
     
-    // Simplified reactivity model (T in keV)
-    const T_keV = T / 1.16e7;
-    const sigma_v = 1.1e-21 * Math.pow(T_keV, 2) / (1 + (T_keV / 15));
+    return fusionPowerDensity(fuel.deuterium * n, fuel.tritium * n, T_keV) * this.getVolume();
+  }
+
+  /**
+   * Bremsstrahlung radiation loss (W)
+   */
+  calculateRadiationPower() {
+    const T_keV = this.state.temperature / KELVIN_PER_KEV;
+    return bremsstrahlungPowerDensity(this.state.density, T_keV, this.getEffectiveCharge()) * this.getVolume();
+  }
+
+  /**
+   * Keep species consistent with a density changed elsewhere (puffs,
+   * quenches, pump-out, profile solver)
+   */
+  syncSpecies() {
+    if (electronDensity(this.state.species) !== this.state.density) {
+      this.state.species = scaleSpecies(this.state.species, this.state.density);
+    }
+    this.state.heliumFraction = this.state.density > 0 ? this.state.species.helium / this.state.density : 0;
+  }
+
+  /**
+   * D and T fueling rates (m^-3/s) for the next deltaTime, with tritium
+   * injection limited by what is left in storage
+   * @param {number} fuelingRate - fuel ions per m³ per second
+   */
+  fuelingRates(deltaTime, fuelingRate) {
+    const fraction = this.state.tritiumFraction;
+    const available = Math.max(0, this.state.fuelCycle.tritiumInventory) / tritiumGrams(this.getVolume() * deltaTime);
+    return {
+      deuteriumFueling: (1 - fraction) * fuelingRate,
+      tritiumFueling: Math.min(fraction * fuelingRate, available)
+    };
+  }
+
+  /**
+   * Fueling, burn-up, exhaust and helium ash for one step, with the
+   * tritium drawn from (and returned to) the plant inventory
+   * @param {number} fuelingRate - fuel ions per m³ per second
+   * @param {number} confinementTime - τ_E (s), sets the helium confinement
+   */
+  advanceFuel(deltaTime, fusionPower, fuelingRate, confinementTime) {
+    const c = this.config;
+    const volume = this.getVolume();
+    const rates = this.fuelingRates(deltaTime, fuelingRate);
     
-    // Deuterium-Tritium fusion energy per reaction (17.6 MeV)
-    const E_fusion = 17.6 * 1.602e-13; // Joules
+    const result = advanceSpecies(this.state.species, {
+      reactionRate: fusionPower / DT_ENERGY / volume,
+      ...rates,
+      exhaustRate: c.exhaustRate,
+      heliumConfinementTime: c.heliumConfinementRatio * confinementTime
+    }, deltaTime);
+    
+    this.updateFuelCycle(rates.tritiumFueling * deltaTime, result.burned, result.exhausted);
+    this.state.species = result.species;
+    this.state.density = electronDensity(result.species);
+  }
+
+  /**
+   * Plant tritium accounting for tritium injected, burned and exhausted
+   * in one step (all m^-3 of plasma)
+   */
+  updateFuelCycle(injectedDensity, burnedDensity, exhaustedDensity) {
+    const c = this.config;
+    const volume = this.getVolume();
+    const cycle = this.state.fuelCycle;
     
-    const power = n * n * sigma_v * E_fusion;
+    const injected = tritiumGrams(injectedDensity * volume);
+    const burned = tritiumGrams(burnedDensity * volume);
+    const recovered = c.tritiumRecovery * tritiumGrams(exhaustedDensity * volume);
+    const bred = c.tritiumBreedingRatio * burned;
     
-    return power;
+    const tritiumInjected = cycle.tritiumInjected + injected;
+    const tritiumBurned = cycle.tritiumBurned + burned;
+    this.state.fuelCycle = {
+      tritiumInventory: cycle.tritiumInventory - injected + recovered + bred,
+      tritiumInjected,
+      tritiumBurned,
+      tritiumBred: cycle.tritiumBred + bred,
+      tritiumRecovered: cycle.tritiumRecovered + recovered,
+      burnFraction: tritiumInjected > 0 ? tritiumBurned / tritiumInjected : 0
+    };
   }
 
   /**
@@ -86,21 +412,206 @@ export class FusionSimulator {
 
   /**
    * Calculate stability metric (0-1)
-   * Based on triple product: n * T * τ
+   * Based on triple product: n * T * τ (m^-3 · keV · s)
    */
   calculateStability() {
-    const n = this.state.density / 1e20;  // Normalized density
-    const T = this.state.temperature / 1e8; // Normalized temperature
-    const tau = this.state.confinementTime / 3.0; // Normalized confinement
+    // Stability threshold (Lawson ignition criterion)
+    return lawsonFraction(
+      this.state.density,
+      this.state.temperature,
+      this.state.confinementTime,
+      this.config.lawsonLimit
+    );
+  }
+
+  /**
+   * Set the V5 stability parameters (e.g. from calibration/v5.js)
+   * @param {Object} params - gamma, barrier, lawsonLimit (each optional)
+   */
+  setV5Params({ gamma, barrier, lawsonLimit } = {}) {
+    if (gamma !== undefined) {
+      this.v5Params.gamma = gamma;
+      this.config.stabilityGamma = gamma;
+    }
+    if (barrier !== undefined) {
+      this.v5Params.barrier = barrier;
+      this.config.stabilityBarrier = barrier;
+    }
+    if (lawsonLimit !== undefined) {
+      this.config.lawsonLimit = lawsonLimit;
+    }
+  }
+
+  /**
+   * Check operating limits and roll for a disruption
+   */
+  checkLimits(deltaTime) {
+    const c = this.config;
+    const limits = this.device.evaluateLimits(this);
+    this.state.limits = limits;
+    this.state.violations = limits.violations;
+    
+    const { risk, probability } = disruptionProbability(limits.proximity, deltaTime, {
+      gamma: c.disruptionGamma,
+      barrier: c.disruptionBarrier,
+      maxRate: c.maxDisruptionRate
+    });
+    this.state.disruptionRisk = risk;
+    
+    if (c.disruptions && this.device.canDisrupt && this.random.next() < probability) {
+      this.triggerDisruption(limits.closest);
+    }
+    return limits;
+  }
+
+  /**
+   * Start a disruption (thermal quench first); null without a plasma or
+   * on devices without plasma-current disruptions
+   */
+  triggerDisruption(cause = 'external') {
+    if (!this.device.canDisrupt || !this.pulse.hasPlasma()) return null;
+    if (this.state.disruption) return this.state.disruption;
+    
+    this.state.disruption = {
+      stage: 'thermal-quench',
+      cause,
+      time: this.state.time,
+      elapsed: 0,
+      initialCurrent: this.state.plasmaCurrent,
+      initialEnergy: this.state.storedEnergy
+    };
+    this.pulse.transition('disruption', `Disruption (${cause} limit)`);
+    return this.state.disruption;
+  }
+
+  /**
+   * Phase entry actions, called on every pulse transition
+   */
+  enterPhase(event) {
+    this.state.transition = event;
+    this.state.phase = event.to;
+    
+    switch (event.to) {
+      case 'pre-fill':
+        this.state.disruption = null;
+        this.state.temperature = MIN_TEMPERATURE;
+        this.state.plasmaCurrent = 0;
+        this.state.species = fuelMix(this.state.density, this.state.tritiumFraction);
+        break;
+      case 'breakdown':
+        this.state.plasmaCurrent = this.config.breakdownCurrent;
+        break;
+      case 'termination':
+        this.state.temperature = MIN_TEMPERATURE;
+        this.state.plasmaCurrent = 0;
+        break;
+    }
+  }
+
+  /**
+   * Share of the commanded heating / fueling the plant allows per phase
+   * (ramp-down, termination and disruption run without either)
+   */
+  getActuatorEnvelope() {
+    switch (this.pulse.phase) {
+      case 'pre-fill':
+        return { heating: 0, fueling: 1 };
+      case 'breakdown':
+      case 'ramp-up':
+      case 'burn':
+        return { heating: 1, fueling: 1 };
+      default:
+        return { heating: 0, fueling: 0 };
+    }
+  }
+
+  /**
+   * Plasma current follows the pulse phase (MA): ramped towards the
+   * flat-top current in ramp-up and burn, towards zero in ramp-down
+   */
+  rampCurrent(deltaTime) {
+    const phase = this.pulse.phase;
+    if (phase !== 'ramp-up' && phase !== 'burn' && phase !== 'ramp-down') return;
+    
+    const target = phase === 'ramp-down' ? 0 : this.pulse.config.flatTopCurrent;
+    const rate = this.config.currentRampRate * deltaTime;
+    const current = this.state.plasmaCurrent;
+    this.state.plasmaCurrent = current + Math.max(-rate, Math.min(rate, target - current));
+  }
+
+  /**
+   * Density multiplier during ramp-down: pumped down with the current to
+   * keep the Greenwald fraction, or pumped out on currentless devices
+   */
+  rampDownDensityFactor(deltaTime, previousCurrent) {
+    if (!this.device.currentDriven) {
+      return Math.exp(-deltaTime / this.config.pumpOutTime);
+    }
+    return previousCurrent > 0 ? this.state.plasmaCurrent / previousCurrent : 1;
+  }
+
+  /**
+   * No plasma: the vessel is filled with gas (pre-fill) or pumped out
+   */
+  stepVacuum(deltaTime) {
+    if (this.pulse.phase === 'pre-fill') {
+      this.advanceFuel(deltaTime, 0, this.state.fuelingRate * this.getActuatorEnvelope().fueling, 0);
+    } else {
+      this.state.density = Math.max(MIN_DENSITY, this.state.density * Math.exp(-deltaTime / this.config.pumpOutTime));
+    }
+    
+    this.state.temperature = MIN_TEMPERATURE;
+    this.state.fusionPower = 0;
+    this.state.alphaPower = 0;
+    this.state.radiationPower = 0;
+    this.state.transportPower = 0;
+    this.state.lossPower = 0;
+    this.state.storedEnergy = storedEnergy(this.state.density, this.state.temperature, this.getVolume());
+    this.state.Q = 0;
+    this.state.stability = this.calculateV5Barrier(this.calculateStability());
+  }
+
+  /**
+   * Advance a disruption: stored energy collapses on τ_TQ, then the
+   * plasma current (and with it the confined plasma) decays on τ_CQ
+   */
+  stepDisruption(deltaTime) {
+    const c = this.config;
+    const disruption = this.state.disruption;
+    const start = disruption.elapsed;
+    disruption.elapsed += deltaTime;
+    
+    this.state.temperature = Math.max(
+      MIN_TEMPERATURE,
+      this.state.temperature * Math.exp(-deltaTime / c.thermalQuenchTime)
+    );
     
-    // Triple product (normalized)
-    const tripleProduct = n * T * tau;
+    // Thermal quench is over once the energy is down to e^-5
+    const quenchEnd = 5 * c.thermalQuenchTime;
+    if (disruption.stage === 'thermal-quench' && disruption.elapsed >= quenchEnd) {
+      disruption.stage = 'current-quench';
+    }
     
-    // Stability threshold (simplified Lawson criterion)
-    const lawsonLimit = 3e21;
-    const stability = Math.min(1, tripleProduct / lawsonLimit);
+    if (disruption.stage === 'current-quench') {
+      const decay = Math.exp(-(disruption.elapsed - Math.max(start, quenchEnd)) / c.currentQuenchTime);
+      this.state.plasmaCurrent *= decay;
+      this.state.density = Math.max(MIN_DENSITY, this.state.density * decay);
+      
+      if (this.state.plasmaCurrent < 0.01 * disruption.initialCurrent) {
+        this.state.plasmaCurrent = 0;
+        disruption.stage = 'terminated';
+      }
+    }
     
-    return stability;
+    const volume = this.getVolume();
+    this.state.fusionPower = this.calculateFusionPower();
+    this.state.alphaPower = ALPHA_FRACTION * this.state.fusionPower;
+    this.state.radiationPower = this.calculateRadiationPower();
+    this.state.transportPower = 0;
+    this.state.lossPower = 0;
+    this.state.storedEnergy = storedEnergy(this.state.density, this.state.temperature, volume);
+    this.state.Q = fusionGain(this.state.fusionPower, this.state.heatingPower);
+    this.state.stability = this.calculateV5Barrier(this.calculateStability());
   }
 
   /**
@@ -108,76 +619,314 @@ export class FusionSimulator {
    */
   step(deltaTime = 1.0) {
     this.state.time += deltaTime;
+    this.state.transition = null;
+    this.syncSpecies();
+    
+    if (this.pulse.phase === 'disruption') {
+      this.stepDisruption(deltaTime);
+    } else if (this.pulse.hasPlasma()) {
+      // Sub-steps of at most maxStep: the caller's output interval does
+      // not set the integration step
+      const substeps = Math.max(1, Math.ceil(deltaTime / this.config.maxStep - 1e-9));
+      const h = deltaTime / substeps;
+      for (let i = 0; i < substeps; i++) {
+        const previousCurrent = this.state.plasmaCurrent;
+        this.rampCurrent(h);
+        this.stepPlasma(h, previousCurrent);
+      }
+    } else {
+      this.stepVacuum(deltaTime);
+    }
+    
+    this.pulse.update(this.state, deltaTime);
+    if (this.pulse.hasPlasma()) {
+      this.checkLimits(deltaTime);
+    }
+    
+    // Profiles follow averages changed outside the transport solver
+    if (this.grid) {
+      this.state.profiles = matchAverages(this.state.profiles, this.grid, this.state.temperature, this.state.density);
+    }
+    this.syncSpecies();
+    
+    this.recordHistory();
+    return this.getState();
+  }
+
+  /**
+   * Time derivatives of the 0D plasma y = [W, n_D, n_T, n_He, burned T,
+   * exhausted T] (J, m^-3; the last two accumulate the tritium flows):
+   *   dW/dt = P_aux + P_alpha - P_brems - W/τ_E
+   * plus the species balance of physics/fuel.js
+   * @param {Object} drive - heatingPower (W), deuteriumFueling / tritiumFueling (m^-3/s)
+   * @returns {Object} { derivative, powers }
+   */
+  plasmaRates(y, drive) {
+    const c = this.config;
+    const volume = this.getVolume();
+    const [energy, deuterium, tritium, helium] = y.map(value => Math.max(0, value));
+    const species = { deuterium, tritium, helium };
+    const density = electronDensity(species);
+    const T_keV = density > 0 ? temperatureFromEnergy(energy, density, volume) / KELVIN_PER_KEV : 0;
     
-    // Update temperature (heat balance)
-    const heatingPower = 50e6; // 50 MW auxiliary heating
-    const coolingFactor = 0.01;
-    const fusionPower = this.calculateFusionPower();
+    const fusionPower = fusionPowerDensity(deuterium, tritium, T_keV) * volume;
+    const alphaPower = ALPHA_FRACTION * fusionPower;
+    const radiationPower = bremsstrahlungPowerDensity(density, T_keV, effectiveCharge(species, c.zEff)) * volume;
+    const lossPower = drive.heatingPower + alphaPower - radiationPower;
+    const confinementTime = this.scalingTime(lossPower, density);
+    const transportPower = energy / confinementTime;
     
-    this.state.temperature += (heatingPower + fusionPower) * deltaTime / 1000;
-    this.state.temperature *= (1 - coolingFactor * deltaTime);
+    const reactionRate = fusionPower / DT_ENERGY / volume;
+    const tritiumExhaust = c.exhaustRate * tritium;
     
-    // Update density (fuel supply)
-    const fuelingRate = 1e18; // particles/m³/s
-    this.state.density += fuelingRate * deltaTime;
-    this.state.density *= (1 - 0.001 * deltaTime); // Exhaust loss
+    return {
+      derivative: [
+        lossPower - transportPower,
+        drive.deuteriumFueling - reactionRate - c.exhaustRate * deuterium,
+        drive.tritiumFueling - reactionRate - tritiumExhaust,
+        reactionRate - helium / (c.heliumConfinementRatio * confinementTime),
+        reactionRate,
+        tritiumExhaust
+      ],
+      powers: { fusionPower, alphaPower, radiationPower, transportPower, lossPower, confinementTime }
+    };
+  }
+
+  /**
+   * 0D energy and particle balance while there is a plasma
+   */
+  stepPlasma(deltaTime, previousCurrent = this.state.plasmaCurrent) {
+    if (this.grid) return this.stepProfiles(deltaTime, previousCurrent);
+    
+    const c = this.config;
+    const envelope = this.getActuatorEnvelope();
+    const volume = this.getVolume();
+    const heatingPower = this.state.heatingPower * envelope.heating;
+    const drive = {
+      heatingPower,
+      ...this.fuelingRates(deltaTime, this.state.fuelingRate * envelope.fueling)
+    };
+    
+    // Confinement regime is set once per sub-step, at the starting loss power
+    const { deuterium, tritium, helium } = this.state.species;
+    const energy = storedEnergy(this.state.density, this.state.temperature, volume);
+    const y0 = [energy, deuterium, tritium, helium, 0, 0];
+    this.calculateConfinementTime(this.plasmaRates(y0, drive).powers.lossPower);
+    
+    const scale = Math.max(this.state.density, MIN_DENSITY);
+    const result = integrate((t, y) => this.plasmaRates(y, drive).derivative, y0, deltaTime, {
+      method: c.integrator,
+      tolerance: c.tolerance,
+      atol: [c.tolerance * Math.max(energy, 1), ...new Array(5).fill(c.tolerance * scale)]
+    });
+    const [newEnergy, ...rest] = result.y.map(value => Math.max(0, value));
+    const [newDeuterium, newTritium, newHelium, burned, exhausted] = rest;
+    
+    this.updateFuelCycle(drive.tritiumFueling * deltaTime, burned, exhausted);
+    this.state.species = { deuterium: newDeuterium, tritium: newTritium, helium: newHelium };
+    this.state.density = electronDensity(this.state.species);
+    if (this.pulse.phase === 'ramp-down') {
+      this.state.density = Math.max(MIN_DENSITY, this.state.density * this.rampDownDensityFactor(deltaTime, previousCurrent));
+      this.syncSpecies();
+    }
     
-    // Update confinement time (improves with temperature)
-    this.state.confinementTime = 3.0 * (1 + 0.1 * Math.log10(this.state.temperature / 1e8));
+    // Temperature follows from stored energy at the new density
+    this.state.temperature = Math.max(
+      MIN_TEMPERATURE,
+      temperatureFromEnergy(newEnergy, this.state.density, volume)
+    );
+    this.state.storedEnergy = storedEnergy(this.state.density, this.state.temperature, volume);
     
-    // Calculate fusion power
-    this.state.fusionPower = fusionPower;
+    // Power balance and fusion gain at the end of the step
+    const { species } = this.state;
+    const powers = this.plasmaRates(
+      [this.state.storedEnergy, species.deuterium, species.tritium, species.helium, 0, 0],
+      drive
+    ).powers;
+    this.state.fusionPower = powers.fusionPower;
+    this.state.alphaPower = powers.alphaPower;
+    this.state.radiationPower = powers.radiationPower;
+    this.state.transportPower = powers.transportPower;
+    this.state.lossPower = powers.lossPower;
+    this.state.confinementTime = powers.confinementTime;
+    this.state.Q = fusionGain(powers.fusionPower, heatingPower);
     
     // Calculate stability using V5
     const stability = this.calculateStability();
     this.state.stability = this.calculateV5Barrier(stability);
+  }
+
+  /**
+   * 1D radial transport step; confinement emerges from χ, which by
+   * default is set from the scaling-law τ_E
+   */
+  stepProfiles(deltaTime, previousCurrent) {
+    const c = this.config;
+    const t = c.transport;
+    const envelope = this.getActuatorEnvelope();
+    const heatingPower = this.state.heatingPower * envelope.heating;
+    const fuelingRate = this.state.fuelingRate * envelope.fueling;
+    const profiles = matchAverages(this.state.profiles, this.grid, this.state.temperature, this.state.density);
+    
+    const before = volumeAverages(profiles, this.grid);
+    const powers = profilePowers(profiles, this.grid, this.getEffectiveCharge(), this.getFuelFractions());
+    const lossPower = heatingPower + powers.alphaPower - powers.radiationPower;
+    this.state.lossPower = lossPower;
+    const scalingTime = this.calculateConfinementTime(lossPower);
     
-    // Determine phase
-    if (this.state.temperature > 1e8 && this.state.fusionPower > 1e6) {
-      this.state.phase = 'burn';
-    } else if (this.state.temperature > 5e7) {
-      this.state.phase = 'ramp-up';
+    const result = advanceProfiles(profiles, this.grid, deltaTime, {
+      heatingPower,
+      fuelingRate,
+      chi: t.chi === 'scaling' ? c.minorRadius * c.minorRadius / (DIFFUSION_EIGENVALUE * scalingTime) : t.chi,
+      diffusivity: t.diffusivity,
+      heatingProfile: this.grid.heating,
+      fuelingProfile: this.grid.fueling,
+      edgeTemperature: t.edgeTemperature,
+      edgeDensityFraction: t.edgeDensityFraction,
+      exhaustRate: c.exhaustRate,
+      zEff: this.getEffectiveCharge(),
+      minTemperature: MIN_TEMPERATURE,
+      powers
+    });
+    
+    let next = result.profiles;
+    if (this.pulse.phase === 'ramp-down') {
+      const ratio = this.rampDownDensityFactor(deltaTime, previousCurrent);
+      next = { ...next, density: next.density.map(n => Math.max(MIN_DENSITY, n * ratio)) };
     }
     
-    // Store history
+    // Species follow burn-up and ash; the solver sets the electron density
+    this.advanceFuel(deltaTime, powers.fusionPower, fuelingRate, scalingTime);
+    
+    const averages = volumeAverages(next, this.grid);
+    this.state.profiles = next;
+    this.state.temperature = Math.max(MIN_TEMPERATURE, averages.temperature);
+    this.state.density = averages.density;
+    this.syncSpecies();
+    
+    this.state.fusionPower = powers.fusionPower;
+    this.state.alphaPower = powers.alphaPower;
+    this.state.radiationPower = powers.radiationPower;
+    this.state.transportPower = result.transportPower;
+    this.state.storedEnergy = averages.energy;
+    this.state.confinementTime = result.transportPower > 0 ? before.energy / result.transportPower : scalingTime;
+    this.state.Q = fusionGain(powers.fusionPower, heatingPower);
+    this.state.stability = this.calculateV5Barrier(this.calculateStability());
+  }
+
+  recordHistory() {
     this.state.history.push({
       time: this.state.time,
       temperature: this.state.temperature,
       density: this.state.density,
       fusionPower: this.state.fusionPower,
+      Q: this.state.Q,
+      confinementTime: this.state.confinementTime,
+      confinementMode: this.state.confinementMode,
       stability: this.state.stability,
-      phase: this.state.phase
+      phase: this.state.phase,
+      heatingPower: this.state.heatingPower,
+      fuelingRate: this.state.fuelingRate,
+      magneticField: this.state.magneticField,
+      plasmaCurrent: this.state.plasmaCurrent,
+      disruptionRisk: this.state.disruptionRisk,
+      heliumFraction: this.state.heliumFraction,
+      tritiumInventory: this.state.fuelCycle.tritiumInventory
     });
     
     // Limit history size
     if (this.state.history.length > 1000) {
       this.state.history.shift();
     }
-    
-    return this.getState();
   }
 
+  /**
+   * Current plasma state; the per-step history is left out (getHistory())
+   */
   getState() {
-    return { ...this.state };
+    const { history, ...state } = this.state;
+    return {
+      ...state,
+      disruption: state.disruption && { ...state.disruption }
+    };
   }
 
   getHistory() {
     return [...this.state.history];
   }
 
+  /**
+   * Serializable deep copy of the simulator (config, plasma state, history)
+   */
+  snapshot() {
+    return structuredClone({
+      config: this.config,
+      state: this.state,
+      v5Params: this.v5Params,
+      random: this.random.getState(),
+      pulse: this.pulse.getState()
+    });
+  }
+
+  restore(snapshot) {
+    const data = structuredClone(snapshot);
+    this.config = data.config;
+    this.state = data.state;
+    this.v5Params = data.v5Params;
+    this.random.setState(data.random);
+    this.device = createDevice(this.config.reactorType, this.config);
+    this.grid = this.createGrid();
+    this.pulse.config.flatTopCurrent = data.config.plasmaCurrent;
+    if (data.pulse) this.pulse.setState(data.pulse);
+    return this;
+  }
+
+  /**
+   * Independent copy for "what-if" runs from the same plasma state
+   */
+  fork() {
+    const snapshot = this.snapshot();
+    return new FusionSimulator(snapshot.config).restore(snapshot);
+  }
+
   /**
    * Apply control parameter (heating, fueling, etc.)
+   * - heatingPower / heating: auxiliary heating power (W)
+   * - fuelingRate: particle source rate (particles/m³/s)
+   * - fueling: one-off gas puff as a fractional density increase
+   * - tritiumFraction: T share of fueling (0-1)
+   * - magneticField: toroidal field setpoint (T)
+   * - plasmaCurrent: flat-top current setpoint (MA), reached at currentRampRate
    */
   applyControl(control) {
-    if (control.heating) {
-      // Adjust heating power
+    const heatingPower = control.heatingPower ?? control.heating;
+    if (heatingPower !== undefined) {
+      this.state.heatingPower = Math.max(0, heatingPower);
+    }
+    if (control.fuelingRate !== undefined) {
+      this.state.fuelingRate = Math.max(0, control.fuelingRate);
     }
     if (control.fueling) {
       this.state.density *= (1 + control.fueling);
     }
+    if (control.tritiumFraction !== undefined) {
+      this.state.tritiumFraction = Math.max(0, Math.min(1, control.tritiumFraction));
+    }
     if (control.magneticField) {
       this.config.magneticField = control.magneticField;
+      this.state.magneticField = control.magneticField;
     }
+    if (control.plasmaCurrent) {
+      this.config.plasmaCurrent = control.plasmaCurrent;
+      this.pulse.config.flatTopCurrent = control.plasmaCurrent;
+    }
+  }
+
+  /**
+   * Pulse commands: 'start' the next pulse after termination, or 'ramp-down'
+   */
+  requestPulse(command) {
+    this.pulse.request(command);
   }
 }
 
@@ -0,0 +1,194 @@
+/**
+ * PulseStateMachine - Tokamak pulse lifecycle
+ *
+ * pre-fill → breakdown → ramp-up → burn → ramp-down → termination
+ *                                                     ↓ (start / autoRestart)
+ *                                                  pre-fill
+ * Any phase with plasma can end in a disruption, which ends in termination.
+ *
+ * A transition fires when its guard holds and the current phase has
+ * lasted at least minDwell; a phase exceeding maxDwell falls back to
+ * its timeout target (by default a breakdown without burn-through after
+ * 5 s ends in termination, a ramp-up without burn after 60 s in
+ * ramp-down). Every transition is logged and emitted as a
+ * 'transition' event: { from, to, time, dwell, reason }.
+ */
+
+import { EventEmitter } from 'node:events';
+
+export const PULSE_PHASES = ['pre-fill', 'breakdown', 'ramp-up', 'burn', 'ramp-down', 'termination', 'disruption'];
+
+// Phases in which there is a plasma (limits and disruptions apply)
+export const PLASMA_PHASES = ['breakdown', 'ramp-up', 'burn', 'ramp-down'];
+
+// Guarded transitions, checked in order: (state, config, machine) => boolean
+const TRANSITIONS = [
+  {
+    from: 'pre-fill', to: 'breakdown', reason: 'Pre-fill density reached',
+    guard: (s, c) => s.density >= c.prefillDensity
+  },
+  {
+    from: 'breakdown', to: 'ramp-up', reason: 'Burn-through',
+    guard: (s, c) => s.temperature >= c.burnThroughTemperature
+  },
+  {
+    from: 'ramp-up', to: 'ramp-down', reason: 'Ramp-down requested',
+    guard: (s, c, m) => m.requested === 'ramp-down'
+  },
+  {
+    from: 'ramp-up', to: 'burn', reason: 'Flat-top current, burning plasma',
+    guard: (s, c) => s.plasmaCurrent >= 0.99 * c.flatTopCurrent && s.temperature > 1e8 && s.fusionPower > 1e6
+  },
+  {
+    from: 'burn', to: 'ramp-down', reason: 'Ramp-down requested',
+    guard: (s, c, m) => m.requested === 'ramp-down'
+  },
+  {
+    from: 'burn', to: 'ramp-down', reason: 'Burn duration reached',
+    guard: (s, c, m) => m.dwell >= c.burnDuration
+  },
+  {
+    from: 'ramp-down', to: 'termination', reason: 'Current ramped down',
+    guard: (s, c) => c.currentDriven && s.plasmaCurrent <= c.terminationCurrent
+  },
+  {
+    from: 'ramp-down', to: 'termination', reason: 'Density pumped out',
+    guard: (s, c) => !c.currentDriven && s.density <= c.prefillDensity
+  },
+  {
+    from: 'disruption', to: 'termination', reason: 'Current quench complete',
+    guard: (s) => s.disruption?.stage === 'terminated'
+  },
+  {
+    from: 'termination', to: 'pre-fill', reason: 'Next pulse',
+    guard: (s, c, m) => m.requested === 'start' || c.autoRestart
+  }
+];
+
+export class PulseStateMachine extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = {
+      initialPhase: config.initialPhase || 'pre-fill',
+      flatTopCurrent: config.flatTopCurrent || 15.0,            // MA
+      prefillDensity: config.prefillDensity || 2e18,            // m^-3 gas fill before breakdown
+      burnThroughTemperature: config.burnThroughTemperature || 1e6, // K (~100 eV)
+      burnDuration: config.burnDuration ?? Infinity,            // s of flat-top before ramp-down
+      terminationCurrent: config.terminationCurrent || 0.5,     // MA
+      autoRestart: config.autoRestart ?? false,                 // start the next pulse after termination
+      currentDriven: config.currentDriven ?? true,              // false: ramp-down ends on density
+      ...config,
+      minDwell: {
+        'pre-fill': 0.5,
+        breakdown: 0.2,
+        termination: 1.0,
+        ...config.minDwell
+      },
+      maxDwell: {
+        breakdown: 5.0,
+        'ramp-up': 60.0,            // s; a 15 MA ramp at 1 MA/s takes ~15 s
+        ...config.maxDwell
+      },
+      timeouts: {
+        breakdown: 'termination',   // failed breakdown
+        'ramp-up': 'ramp-down',     // never reached burn
+        ...config.timeouts
+      }
+    };
+
+    if (!PULSE_PHASES.includes(this.config.initialPhase)) {
+      throw new Error(`Unknown pulse phase: ${this.config.initialPhase}`);
+    }
+
+    this.phase = this.config.initialPhase;
+    this.dwell = 0;          // s spent in the current phase
+    this.time = 0;
+    this.requested = null;   // pending operator command: 'start' | 'ramp-down'
+    this.events = [];
+    this.maxEvents = 100;
+  }
+
+  hasPlasma() {
+    return PLASMA_PHASES.includes(this.phase);
+  }
+
+  /**
+   * Operator command, applied at the next guarded transition
+   */
+  request(command) {
+    if (!['start', 'ramp-down'].includes(command)) {
+      throw new Error(`Unknown pulse command: ${command}`);
+    }
+    this.requested = command;
+  }
+
+  /**
+   * Advance dwell time and take at most one transition
+   * @returns {Object|null} the transition event, if any
+   */
+  update(state, deltaTime) {
+    this.time += deltaTime;
+    this.dwell += deltaTime;
+
+    const c = this.config;
+    if (this.dwell < (c.minDwell[this.phase] || 0)) return null;
+
+    for (const transition of TRANSITIONS) {
+      if (transition.from === this.phase && transition.guard(state, c, this)) {
+        return this.transition(transition.to, transition.reason);
+      }
+    }
+
+    const maxDwell = c.maxDwell[this.phase];
+    if (maxDwell !== undefined && this.dwell >= maxDwell && c.timeouts[this.phase]) {
+      return this.transition(c.timeouts[this.phase], `Maximum ${this.phase} dwell (${maxDwell}s) exceeded`);
+    }
+    return null;
+  }
+
+  /**
+   * Unconditional transition (disruptions, external interlocks)
+   */
+  transition(to, reason = '') {
+    if (!PULSE_PHASES.includes(to)) {
+      throw new Error(`Unknown pulse phase: ${to}`);
+    }
+
+    const event = { from: this.phase, to, time: this.time, dwell: this.dwell, reason };
+    this.phase = to;
+    this.dwell = 0;
+    if (this.requested === 'start' && to === 'pre-fill') this.requested = null;
+    if (this.requested === 'ramp-down' && to === 'ramp-down') this.requested = null;
+
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      this.events.shift();
+    }
+    this.emit('transition', event);
+    return event;
+  }
+
+  getEvents() {
+    return [...this.events];
+  }
+
+  getState() {
+    return {
+      phase: this.phase,
+      dwell: this.dwell,
+      time: this.time,
+      requested: this.requested,
+      events: this.getEvents()
+    };
+  }
+
+  setState(state) {
+    this.phase = state.phase;
+    this.dwell = state.dwell;
+    this.time = state.time;
+    this.requested = state.requested ?? null;
+    this.events = [...(state.events || [])];
+  }
+}
+
+export default PulseStateMachine;
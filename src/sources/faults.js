@@ -0,0 +1,134 @@
+/**
+ * SensorFaultSource - Measurement faults on top of another data source
+ *
+ * Wraps a DataSource and corrupts the states returned by step(), so the
+ * decision engine, alarms and memory see faulty measurements while the
+ * plasma itself (the wrapped source) is unaffected. `truth` keeps the
+ * uncorrupted state of the last step; getState() is the true state.
+ *
+ * Fault modes on a numeric state field:
+ * - offset   reading + value
+ * - scale    reading × value
+ * - stuck    frozen at the reading when the fault started (or value)
+ * - noise    reading + N(0, value)
+ * - dropout  reading 0 (dead channel)
+ */
+
+import { SeededRandom } from '../utils/random.js';
+import { DataSource } from './source.js';
+
+export const FAULT_MODES = ['offset', 'scale', 'stuck', 'noise', 'dropout'];
+
+export class SensorFaultSource extends DataSource {
+  constructor(source, config = {}) {
+    super(config);   // seed: noise PRNG
+    this.source = source;
+    this.random = new SeededRandom(this.config.seed);
+    this.faults = new Map();
+    this.nextId = 1;
+    this.truth = null;
+  }
+
+  get simulator() {
+    return this.source.simulator;
+  }
+
+  get done() {
+    return this.source.done;
+  }
+
+  async load() {
+    await this.source.load();
+    return this;
+  }
+
+  /**
+   * @param {Object} fault - { field, mode, value }
+   * @returns {number} fault id for removeFault()
+   */
+  addFault({ field, mode = 'offset', value = 0 }) {
+    if (!FAULT_MODES.includes(mode)) {
+      throw new Error(`Unknown sensor fault mode: ${mode}`);
+    }
+    if (!field) {
+      throw new Error('Sensor fault needs a field');
+    }
+    const id = this.nextId++;
+    const current = this.truth?.[field];
+    this.faults.set(id, { id, field, mode, value, stuckAt: mode === 'stuck' ? (value || current) : null });
+    return id;
+  }
+
+  removeFault(id) {
+    return this.faults.delete(id);
+  }
+
+  getFaults() {
+    return [...this.faults.values()].map(fault => ({ ...fault }));
+  }
+
+  step(deltaTime) {
+    this.truth = this.source.step(deltaTime);
+    if (!this.truth || this.faults.size === 0) return this.truth;
+
+    const measured = { ...this.truth };
+    for (const fault of this.faults.values()) {
+      const reading = measured[fault.field];
+      if (typeof reading !== 'number') continue;
+      measured[fault.field] = this.corrupt(fault, reading);
+    }
+    measured.sensorFaults = this.getFaults();
+    return measured;
+  }
+
+  corrupt(fault, reading) {
+    switch (fault.mode) {
+      case 'offset': return reading + fault.value;
+      case 'scale': return reading * fault.value;
+      case 'stuck':
+        fault.stuckAt ??= reading;
+        return fault.stuckAt;
+      case 'noise': return reading + this.random.normal(0, fault.value);
+      default: return 0;
+    }
+  }
+
+  applyControl(control) {
+    return this.source.applyControl(control);
+  }
+
+  getState() {
+    return this.source.getState();
+  }
+
+  getHistory() {
+    return this.source.getHistory();
+  }
+
+  snapshot() {
+    return {
+      source: this.source.snapshot(),
+      faults: this.getFaults(),
+      nextId: this.nextId,
+      random: this.random.getState()
+    };
+  }
+
+  restore(snapshot) {
+    if (snapshot.source) this.source.restore(snapshot.source);
+    this.faults = new Map(snapshot.faults.map(fault => [fault.id, { ...fault }]));
+    this.nextId = snapshot.nextId;
+    this.random.setState(snapshot.random);
+    return this;
+  }
+
+  clone() {
+    return new SensorFaultSource(this.source.clone(), this.config);
+  }
+
+  describe() {
+    return `${this.source.describe()} with sensor faults`;
+  }
+}
+
+export default SensorFaultSource;
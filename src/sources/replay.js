@@ -0,0 +1,352 @@
+/**
+ * ReplaySource - Recorded shot data as a TwinCosmos data source
+ *
+ * Reads a CSV (header row, '#' comments) or JSONL time series, maps
+ * columns to state fields, converts units and serves the record at the
+ * twin's time (linear interpolation between records, or sample-and-hold).
+ * The first record is at twin time 0.
+ *
+ * Options:
+ * - path | text | records   data (file, string or parsed rows)
+ * - format                  'csv' | 'jsonl' (default from the file extension)
+ * - columns                 { stateField: 'column' }, e.g. { temperature: 'Te' };
+ *                           unmapped columns keep their names
+ * - units                   { stateField: unit | factor | (value) => SI }, see UNIT_CONVERSIONS
+ * - time                    time field after mapping (default 'time', in s after units);
+ *                           or interval (s) for untimed rows
+ * - interpolation           'linear' | 'hold'
+ * - stability               { gamma, barrier, lawsonLimit } for states recorded without it
+ *
+ * Missing fields are filled like a FusionSimulator state (alpha power,
+ * Q, V5 stability from the Lawson fraction); commands sent to
+ * applyControl() are ignored but kept with each state for backtesting.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { KELVIN_PER_KEV, ALPHA_FRACTION, lawsonFraction, fusionGain } from '../physics/plasma.js';
+import { v5Probability } from '../calibration/v5.js';
+import { DataSource, registerSource } from './source.js';
+
+// Unit → SI (K, m^-3, W, s, T, MA)
+export const UNIT_CONVERSIONS = {
+  K: v => v,
+  keV: v => v * KELVIN_PER_KEV,
+  eV: v => v * KELVIN_PER_KEV / 1e3,
+  'm^-3': v => v,
+  '1e19 m^-3': v => v * 1e19,
+  '1e20 m^-3': v => v * 1e20,
+  W: v => v,
+  kW: v => v * 1e3,
+  MW: v => v * 1e6,
+  s: v => v,
+  ms: v => v / 1e3,
+  T: v => v,
+  MA: v => v,
+  kA: v => v / 1e3,
+  A: v => v / 1e6
+};
+
+const FORMATS = ['csv', 'jsonl'];
+
+// Fields filled in when the recording has no column for them
+const STATE_DEFAULTS = {
+  temperature: 0,
+  density: 0,
+  confinementTime: 0,
+  fusionPower: 0,
+  radiationPower: 0,
+  heatingPower: 0,
+  fuelingRate: 0,
+  magneticField: 0,
+  plasmaCurrent: 0,
+  phase: null,
+  limits: null,
+  violations: [],
+  disruptionRisk: 0,
+  disruption: null,
+  heliumFraction: 0
+};
+
+/**
+ * CSV text → rows keyed by the header (numbers parsed, empty cells null)
+ */
+export function parseCSV(text, { delimiter = ',' } = {}) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trimStart().startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const split = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell);
+    return cells.map(value => value.trim());
+  };
+  const parseValue = (value) => {
+    if (value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  };
+
+  const header = split(lines[0]);
+  return lines.slice(1).map((line, i) => {
+    const cells = split(line);
+    if (cells.length !== header.length) {
+      throw new Error(`CSV row ${i + 2}: expected ${header.length} columns, got ${cells.length}`);
+    }
+    return Object.fromEntries(header.map((name, k) => [name, parseValue(cells[k])]));
+  });
+}
+
+/**
+ * JSON Lines text → rows
+ */
+export function parseJSONL(text) {
+  return text.split(/\r?\n/).flatMap((line, i) => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      throw new Error(`JSONL line ${i + 1}: ${error.message}`);
+    }
+  });
+}
+
+export class ReplaySource extends DataSource {
+  constructor(config = {}) {
+    super({
+      path: config.path || null,
+      text: config.text ?? null,
+      records: config.records || null,
+      format: config.format || (config.path ? path.extname(config.path).slice(1).toLowerCase() : 'csv'),
+      columns: config.columns || {},
+      units: config.units || {},
+      time: config.time || 'time',
+      interval: config.interval || null,
+      interpolation: config.interpolation || 'linear',
+      maxHistory: config.maxHistory || 1000,
+      ...config,
+      stability: { gamma: 2.0, barrier: 0.5, lawsonLimit: 3e21, ...config.stability }
+    });
+
+    if (this.config.format === 'ndjson') this.config.format = 'jsonl';
+    if (!FORMATS.includes(this.config.format)) {
+      throw new Error(`Unknown replay format: ${this.config.format}`);
+    }
+    if (!['linear', 'hold'].includes(this.config.interpolation)) {
+      throw new Error(`Unknown interpolation: ${this.config.interpolation}`);
+    }
+
+    this.samples = null;
+    this.time = 0;
+    this.cursor = 0;        // index of the last sample at or before the replay time
+    this.finished = false;
+    this.state = null;
+    this.history = [];
+    this.lastControl = null;
+
+    if (this.config.records) {
+      this.samples = this.prepare(this.config.records);
+    } else if (this.config.text !== null) {
+      this.samples = this.prepare(this.parse(this.config.text));
+    }
+  }
+
+  get done() {
+    return this.finished;
+  }
+
+  async load() {
+    if (!this.samples) {
+      if (!this.config.path) {
+        throw new Error('ReplaySource needs a path, text or records');
+      }
+      this.samples = this.prepare(this.parse(await fs.readFile(this.config.path, 'utf8')));
+    }
+    return this;
+  }
+
+  parse(text) {
+    return this.config.format === 'jsonl' ? parseJSONL(text) : parseCSV(text, this.config);
+  }
+
+  /**
+   * Raw rows → time-sorted states in SI units
+   */
+  prepare(rows) {
+    const { columns, units, time, interval } = this.config;
+    const convert = (field, value) => {
+      const unit = units[field];
+      if (unit === undefined || typeof value !== 'number') return value;
+      if (typeof unit === 'function') return unit(value);
+      if (typeof unit === 'number') return value * unit;
+      if (!UNIT_CONVERSIONS[unit]) {
+        throw new Error(`Unknown unit for ${field}: ${unit}`);
+      }
+      return UNIT_CONVERSIONS[unit](value);
+    };
+    const mapped = new Set(Object.values(columns));
+
+    const samples = rows.map((row, i) => {
+      const sample = {};
+      for (const [column, value] of Object.entries(row)) {
+        if (!mapped.has(column)) sample[column] = value;
+      }
+      for (const [field, column] of Object.entries(columns)) {
+        sample[field] = row[column] ?? null;
+      }
+      for (const field of Object.keys(sample)) {
+        sample[field] = convert(field, sample[field]);
+      }
+
+      const sourceTime = interval ? i * interval : sample[time];
+      if (!Number.isFinite(sourceTime)) {
+        throw new Error(`Replay row ${i + 1}: no time field '${time}' (map a column to it, or set interval)`);
+      }
+      sample.sourceTime = sourceTime;
+      return sample;
+    });
+
+    if (samples.length === 0) {
+      throw new Error(`Replay data ${this.config.path || `(${this.config.format})`} has no records`);
+    }
+    return samples.sort((a, b) => a.sourceTime - b.sourceTime);
+  }
+
+  /**
+   * Advance replay time by dt; null once past the last record
+   */
+  step(deltaTime) {
+    if (!this.samples) {
+      throw new Error('ReplaySource not loaded');
+    }
+
+    const start = this.samples[0].sourceTime;
+    const end = this.samples[this.samples.length - 1].sourceTime;
+    const target = start + this.time + deltaTime;
+    if (target > end + 1e-9) {
+      this.finished = true;
+      return null;
+    }
+    this.time += deltaTime;
+
+    while (this.cursor < this.samples.length - 1 && this.samples[this.cursor + 1].sourceTime <= target) {
+      this.cursor++;
+    }
+    this.state = this.complete(this.sampleAt(target));
+    this.history.push(this.state);
+    if (this.history.length > this.config.maxHistory) {
+      this.history.shift();
+    }
+    return this.getState();
+  }
+
+  sampleAt(target) {
+    const before = this.samples[this.cursor];
+    const after = this.samples[this.cursor + 1];
+    if (this.config.interpolation === 'hold' || !after || after.sourceTime === before.sourceTime) {
+      return { ...before };
+    }
+
+    const weight = (target - before.sourceTime) / (after.sourceTime - before.sourceTime);
+    const sample = { ...before };
+    for (const [field, value] of Object.entries(before)) {
+      if (typeof value === 'number' && typeof after[field] === 'number') {
+        sample[field] = value + weight * (after[field] - value);
+      }
+    }
+    return sample;
+  }
+
+  /**
+   * Fill fields the recording does not have, as FusionSimulator would
+   */
+  complete(sample) {
+    const { gamma, barrier, lawsonLimit } = this.config.stability;
+    const state = { ...STATE_DEFAULTS, ...sample, time: this.time };
+
+    state.alphaPower ??= ALPHA_FRACTION * state.fusionPower;
+    state.Q ??= fusionGain(state.fusionPower, state.heatingPower);
+    state.storedEnergy ??= null;
+    state.stability ??= v5Probability(
+      lawsonFraction(state.density, state.temperature, state.confinementTime, lawsonLimit),
+      gamma,
+      barrier
+    );
+    state.control = this.lastControl;
+    return state;
+  }
+
+  /**
+   * Recorded data cannot be steered: the command is kept for comparison
+   */
+  applyControl(control) {
+    this.lastControl = { ...control };
+    return false;
+  }
+
+  getState() {
+    return this.state && { ...this.state };
+  }
+
+  getHistory() {
+    return [...this.history];
+  }
+
+  snapshot() {
+    return structuredClone({
+      time: this.time,
+      cursor: this.cursor,
+      finished: this.finished,
+      state: this.state,
+      history: this.history,
+      lastControl: this.lastControl
+    });
+  }
+
+  restore(snapshot) {
+    const data = structuredClone(snapshot);
+    this.time = data.time;
+    this.cursor = data.cursor;
+    this.finished = data.finished;
+    this.state = data.state;
+    this.history = data.history;
+    this.lastControl = data.lastControl;
+    return this;
+  }
+
+  clone() {
+    const copy = new ReplaySource(this.config);
+    copy.samples = this.samples;   // read-only once prepared: no second file read
+    return copy;
+  }
+
+  describe() {
+    const count = this.samples ? `${this.samples.length} records` : 'not loaded';
+    return `Replay ${this.config.path || this.config.format} (${count})`;
+  }
+}
+
+registerSource('replay', (options) => new ReplaySource(options));
+
+export default ReplaySource;
@@ -0,0 +1,137 @@
+/**
+ * Data sources - Where TwinCosmos gets the reactor state every step
+ *
+ * Interface:
+ * - load()             → async preparation (read files, ...)
+ * - step(dt)           → next state in FusionSimulator.getState() shape,
+ *                        null once the source is exhausted
+ * - applyControl(cmd)  → actuator command (recorded data ignores it)
+ * - getState()         → latest state
+ * - getHistory()       → recent states, oldest first (not part of getState())
+ * - simulator          → FusionSimulator behind the source (null for recorded data)
+ * - done               → no more states
+ * - snapshot() / restore()
+ * - clone()            → fresh source of the same configuration (not its
+ *                        state: restore a snapshot into it), for forks
+ *
+ * Sources are created by type with createSource(); 'simulator' is built
+ * in, 'replay' comes with replay.js, custom sources use registerSource().
+ */
+
+import { FusionSimulator } from '../simulators/fusion.js';
+
+export class DataSource {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  get simulator() {
+    return null;
+  }
+
+  get done() {
+    return false;
+  }
+
+  async load() {
+    return this;
+  }
+
+  step(deltaTime) {
+    throw new Error(`${this.constructor.name}.step() not implemented`);
+  }
+
+  applyControl(control) {
+    return false;
+  }
+
+  getState() {
+    throw new Error(`${this.constructor.name}.getState() not implemented`);
+  }
+
+  getHistory() {
+    return [];
+  }
+
+  snapshot() {
+    return null;
+  }
+
+  restore(snapshot) {
+    return this;
+  }
+
+  clone() {
+    return new this.constructor(this.config);
+  }
+
+  describe() {
+    return this.constructor.name;
+  }
+}
+
+/**
+ * Live physics model: states come from FusionSimulator.step()
+ * (its state is snapshotted with the simulator itself)
+ */
+export class SimulatorSource extends DataSource {
+  constructor(simulator) {
+    super({});
+    this.fusion = simulator;
+  }
+
+  get simulator() {
+    return this.fusion;
+  }
+
+  step(deltaTime) {
+    return this.fusion.step(deltaTime);
+  }
+
+  applyControl(control) {
+    this.fusion.applyControl(control);
+    return true;
+  }
+
+  getState() {
+    return this.fusion.getState();
+  }
+
+  getHistory() {
+    return this.fusion.getHistory();
+  }
+
+  clone() {
+    return new SimulatorSource(new FusionSimulator(structuredClone(this.fusion.config)));
+  }
+
+  describe() {
+    return `FusionSimulator (${this.fusion.config.reactorType}, ${this.fusion.config.transportModel})`;
+  }
+}
+
+// Source registry: type → (options) => DataSource
+const sources = new Map();
+
+export function registerSource(type, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Data source ${type} must be a factory function`);
+  }
+  sources.set(type, factory);
+}
+
+export function createSource(type, options = {}) {
+  const factory = sources.get(type);
+  if (!factory) {
+    throw new Error(`Unknown data source: ${type}`);
+  }
+  return factory(options);
+}
+
+export function listSources() {
+  return [...sources.keys()];
+}
+
+registerSource('simulator', (options) =>
+  new SimulatorSource(options.simulator || new FusionSimulator(options.fusion))
+);
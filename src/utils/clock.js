@@ -0,0 +1,44 @@
+/**
+ * SimulationClock - Deterministic simulated time shared by all components
+ *
+ * Replaces wall-clock Date.now() so identical runs produce identical
+ * timestamps and memory keys:
+ * - time:  simulated seconds (rounded to 1 ns to avoid float drift)
+ * - step:  integer step counter
+ * - now(): simulated epoch milliseconds (epoch + time · 1000)
+ */
+
+const RESOLUTION = 1e9;
+
+export class SimulationClock {
+  constructor(config = {}) {
+    this.config = {
+      ...config,
+      epoch: config.epoch ?? 0    // ms added to simulated time in now() (undefined → 0)
+    };
+    this.time = config.time ?? 0;
+    this.step = config.step ?? 0;
+  }
+
+  advance(deltaTime) {
+    this.time = Math.round((this.time + deltaTime) * RESOLUTION) / RESOLUTION;
+    this.step++;
+    return this.time;
+  }
+
+  now() {
+    return this.config.epoch + Math.round(this.time * 1000);
+  }
+
+  getState() {
+    return { time: this.time, step: this.step, epoch: this.config.epoch };
+  }
+
+  setState({ time, step, epoch }) {
+    this.time = time ?? 0;
+    this.step = step ?? 0;
+    if (epoch !== undefined) this.config.epoch = epoch;
+  }
+}
+
+export default SimulationClock;
@@ -0,0 +1,150 @@
+/**
+ * Integrators - ODE solvers for dy/dt = f(t, y) on plain number arrays
+ *
+ * - euler: explicit Euler, fixed sub-steps
+ * - rk4:   classical Runge-Kutta, fixed sub-steps
+ * - rk45:  Dormand-Prince 5(4) with embedded error estimate and
+ *          adaptive step size (tolerance per component:
+ *          atol_i + tolerance · |y_i|)
+ *
+ * Custom methods can be added with registerIntegrator().
+ */
+
+const integrators = new Map();
+
+const axpy = (y, h, k) => y.map((value, i) => value + h * k[i]);
+
+/**
+ * Register a stepper: (f, t, y, h) => { y, error? }
+ * Adaptive steppers must return an error estimate per component.
+ */
+export function registerIntegrator(name, step, { adaptive = false } = {}) {
+  if (typeof step !== 'function') {
+    throw new Error(`Integrator ${name} must be a function`);
+  }
+  integrators.set(name, { step, adaptive });
+}
+
+export function getIntegrator(name) {
+  const integrator = integrators.get(name);
+  if (!integrator) {
+    throw new Error(`Unknown integrator: ${name}`);
+  }
+  return integrator;
+}
+
+export function listIntegrators() {
+  return [...integrators.keys()];
+}
+
+export function eulerStep(f, t, y, h) {
+  return { y: axpy(y, h, f(t, y)) };
+}
+
+export function rk4Step(f, t, y, h) {
+  const k1 = f(t, y);
+  const k2 = f(t + h / 2, axpy(y, h / 2, k1));
+  const k3 = f(t + h / 2, axpy(y, h / 2, k2));
+  const k4 = f(t + h, axpy(y, h, k3));
+  return { y: y.map((value, i) => value + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i])) };
+}
+
+// Dormand-Prince 5(4) tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+export function dormandPrinceStep(f, t, y, h) {
+  const k = [];
+  for (let s = 0; s < 7; s++) {
+    const stage = y.map((value, i) => value + h * DP_A[s].reduce((sum, a, j) => sum + a * k[j][i], 0));
+    k.push(f(t + DP_C[s] * h, stage));
+  }
+
+  const combine = (b) => y.map((value, i) => value + h * b.reduce((sum, bj, j) => sum + bj * k[j][i], 0));
+  const y5 = combine(DP_B5);
+  const y4 = combine(DP_B4);
+  return { y: y5, error: y5.map((value, i) => value - y4[i]) };
+}
+
+/**
+ * Integrate y over [0, duration]
+ * @param {Object} options - method, tolerance, atol (number or array),
+ *   maxStep, minStep, maxSteps, initialStep
+ * @returns {Object} { y, steps, rejected, step } step = last accepted step size
+ */
+export function integrate(f, y0, duration, options = {}) {
+  const {
+    method = 'rk4',
+    tolerance = 1e-6,
+    atol = 0,
+    maxStep = duration,
+    minStep = duration * 1e-6,
+    maxSteps = 10000
+  } = options;
+  const { step, adaptive } = getIntegrator(method);
+
+  if (!(duration > 0)) {
+    return { y: [...y0], steps: 0, rejected: 0, step: 0 };
+  }
+
+  // Fixed-step methods: equal sub-steps no longer than maxStep
+  if (!adaptive) {
+    const substeps = Math.max(1, Math.ceil(duration / maxStep - 1e-9));
+    const h = duration / substeps;
+    let y = y0;
+    for (let i = 0; i < substeps; i++) {
+      y = step(f, i * h, y, h).y;
+    }
+    return { y, steps: substeps, rejected: 0, step: h };
+  }
+
+  const absolute = (i) => Array.isArray(atol) ? atol[i] : atol;
+  let t = 0;
+  let y = y0;
+  let h = Math.min(options.initialStep || maxStep, maxStep, duration);
+  let steps = 0;
+  let rejected = 0;
+  let accepted = h;
+
+  while (t < duration && steps + rejected < maxSteps) {
+    h = Math.min(h, duration - t);
+    const result = step(f, t, y, h);
+
+    let error = 0;
+    result.error.forEach((e, i) => {
+      const scale = absolute(i) + tolerance * Math.max(Math.abs(y[i]), Math.abs(result.y[i]));
+      error = Math.max(error, scale > 0 ? Math.abs(e) / scale : 0);
+    });
+
+    if (error <= 1 || h <= minStep) {
+      t += h;
+      y = result.y;
+      accepted = h;
+      steps++;
+    } else {
+      rejected++;
+    }
+
+    const factor = error > 0 ? 0.9 * Math.pow(error, -0.2) : 5;
+    h = Math.min(maxStep, Math.max(minStep, h * Math.min(5, Math.max(0.2, factor))));
+  }
+
+  if (t < duration) {
+    throw new Error(`Integrator ${method} exceeded ${maxSteps} steps`);
+  }
+  return { y, steps, rejected, step: accepted };
+}
+
+registerIntegrator('euler', eulerStep);
+registerIntegrator('rk4', rk4Step);
+registerIntegrator('rk45', dormandPrinceStep, { adaptive: true });
@@ -0,0 +1,175 @@
+/**
+ * Optimize - Small dense nonlinear least-squares toolkit
+ *
+ * - levenbergMarquardt(): minimizes Σ r_i(p)² with a finite-difference
+ *   Jacobian (suited to a handful of parameters)
+ * - numericJacobian(), numericHessian(): central differences
+ * - solveLinear(), invertMatrix(): Gaussian elimination, partial pivoting
+ * - normalQuantile(): inverse standard normal CDF (for confidence intervals)
+ */
+
+const sumSquares = (values) => values.reduce((sum, v) => sum + v * v, 0);
+
+const stepFor = (value) => 1e-6 * Math.max(1, Math.abs(value));
+
+/**
+ * Solve A x = b; null if A is singular
+ */
+export function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (!(Math.abs(M[pivot][col]) > 1e-300)) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+    }
+  }
+
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x.every(Number.isFinite) ? x : null;
+}
+
+/**
+ * Matrix inverse; null if singular
+ */
+export function invertMatrix(A) {
+  const n = A.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const column = solveLinear(A, Array.from({ length: n }, (_, i) => (i === j ? 1 : 0)));
+    if (!column) return null;
+    columns.push(column);
+  }
+  return A.map((_, i) => columns.map(column => column[i]));
+}
+
+/**
+ * ∂r_i/∂p_j of a residual function (rows = residuals)
+ */
+export function numericJacobian(residuals, p) {
+  const columns = p.map((value, j) => {
+    const h = stepFor(value);
+    const plus = residuals(p.map((v, k) => (k === j ? v + h : v)));
+    const minus = residuals(p.map((v, k) => (k === j ? v - h : v)));
+    return plus.map((r, i) => (r - minus[i]) / (2 * h));
+  });
+  return columns[0].map((_, i) => columns.map(column => column[i]));
+}
+
+/**
+ * Second derivatives of a scalar function
+ */
+export function numericHessian(f, p) {
+  const n = p.length;
+  const shifted = (offsets) => f(p.map((v, k) => v + (offsets[k] || 0)));
+  const H = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      const hi = stepFor(p[i]) * 10;
+      const hj = stepFor(p[j]) * 10;
+      const at = (si, sj) => {
+        const offsets = new Array(n).fill(0);
+        offsets[i] += si * hi;
+        offsets[j] += sj * hj;
+        return shifted(offsets);
+      };
+      H[i][j] = H[j][i] = (at(1, 1) - at(1, -1) - at(-1, 1) + at(-1, -1)) / (4 * hi * hj);
+    }
+  }
+  return H;
+}
+
+/**
+ * Levenberg-Marquardt minimization of Σ r_i(p)²
+ * @param {Function} residuals - (p) => number[]
+ * @param {Object} options - maxIterations, tolerance (relative cost change), lambda (initial damping)
+ * @returns {Object} { params, residuals, cost, jacobian, iterations, converged }
+ */
+export function levenbergMarquardt(residuals, initial, options = {}) {
+  const { maxIterations = 200, tolerance = 1e-10, lambda: initialLambda = 1e-3 } = options;
+
+  let p = [...initial];
+  let r = residuals(p);
+  let cost = sumSquares(r);
+  if (!Number.isFinite(cost)) {
+    throw new Error('Residuals are not finite at the initial parameters');
+  }
+
+  let lambda = initialLambda;
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIterations && !converged) {
+    iterations++;
+    const J = numericJacobian(residuals, p);
+    const JtJ = p.map((_, a) => p.map((_, b) => J.reduce((sum, row) => sum + row[a] * row[b], 0)));
+    const gradient = p.map((_, a) => J.reduce((sum, row, i) => sum + row[a] * r[i], 0));
+    const scale = Math.max(...JtJ.map((row, a) => row[a]), 1e-300);
+
+    let accepted = false;
+    while (!accepted && lambda < 1e12) {
+      const A = JtJ.map((row, a) => row.map((v, b) => (a === b ? v + lambda * Math.max(v, 1e-12 * scale) : v)));
+      const delta = solveLinear(A, gradient.map(g => -g));
+      if (delta) {
+        const candidate = p.map((v, k) => v + delta[k]);
+        const rCandidate = residuals(candidate);
+        const candidateCost = sumSquares(rCandidate);
+        if (Number.isFinite(candidateCost) && candidateCost <= cost) {
+          converged = cost - candidateCost <= tolerance * Math.max(cost, 1e-300);
+          p = candidate;
+          r = rCandidate;
+          cost = candidateCost;
+          lambda = Math.max(lambda / 10, 1e-12);
+          accepted = true;
+          continue;
+        }
+      }
+      lambda *= 10;
+    }
+
+    // No step lowers the cost any more: at a (local) minimum
+    if (!accepted) converged = true;
+  }
+
+  return { params: p, residuals: r, cost, jacobian: numericJacobian(residuals, p), iterations, converged };
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+ */
+export function normalQuantile(probability) {
+  if (!(probability > 0 && probability < 1)) {
+    throw new Error(`Probability must be in (0, 1): ${probability}`);
+  }
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+    ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+  if (probability < low) return tail(Math.sqrt(-2 * Math.log(probability)));
+  if (probability > 1 - low) return -tail(Math.sqrt(-2 * Math.log(1 - probability)));
+
+  const q = probability - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
@@ -0,0 +1,86 @@
+/**
+ * SeededRandom - Small reproducible PRNG (mulberry32)
+ *
+ * Same seed → same sequence, so stochastic behaviour (exploration,
+ * sampling, disruptions) can be replayed exactly.
+ */
+
+/**
+ * Derive an independent per-component seed from a master seed (FNV-1a)
+ */
+export function deriveSeed(seed, label) {
+  let hash = 0x811C9DC5 ^ (seed >>> 0);
+  for (const char of String(label)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = seed ?? Math.floor(Math.random() * 0x100000000);
+    this.state = this.seed >>> 0;
+  }
+
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  setState({ seed, state }) {
+    this.seed = seed;
+    this.state = state;
+  }
+
+  /**
+   * Uniform float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Integer in [0, n)
+   */
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Standard normal sample (Box-Muller)
+   */
+  normal(mean = 0, std = 1) {
+    const u = 1 - this.next();
+    const v = this.next();
+    return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  choice(items) {
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * Pick an index with probability proportional to weights
+   */
+  weightedIndex(weights) {
+    const total = weights.reduce((sum, w) => sum + Math.max(0, w), 0);
+    if (total <= 0) return this.int(weights.length);
+
+    let r = this.next() * total;
+    for (let i = 0; i < weights.length; i++) {
+      r -= Math.max(0, weights[i]);
+      if (r < 0) return i;
+    }
+    return weights.length - 1;
+  }
+}
+
+export default SeededRandom;
@@ -0,0 +1,341 @@
+/**
+ * YAML - Minimal parser for the subset used by config and scenario files
+ *
+ * Supported:
+ * - block mappings and sequences (indentation, '- ' items, items that
+ *   start a mapping: '- at: 10')
+ * - flow collections: [1, 2], { a: 1, b: [x, y] } (trailing comma allowed)
+ * - scalars: null / ~, true / false, numbers (incl. 50e6), plain,
+ *   'single' and "double" quoted strings
+ * - '#' comments, a leading '---'
+ *
+ * Not supported (rejected with an error): block scalars (| >), anchors
+ * and aliases, tags, multiple documents, multi-line plain scalars.
+ */
+
+const NUMBER = /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/;
+
+class YAMLError extends Error {
+  constructor(line, message) {
+    super(`YAML line ${line}: ${message}`);
+  }
+}
+
+/**
+ * A quote at position i starts a quoted scalar (rather than being part of
+ * a plain one, as in it's): it follows the line start, a flow indicator,
+ * 'key: ' or '- '
+ */
+function startsScalar(text, i) {
+  const before = text.slice(0, i).trimEnd();
+  if (before === '' || /[[{,]$/.test(before)) return true;
+  return before.length < i && (before.endsWith(':') || /(^|\s)-$/.test(before));
+}
+
+/**
+ * Remove a trailing comment ('#' at the start or after whitespace, outside quotes)
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        if (quote === "'" && text[i + 1] === "'") i++;
+        else quote = null;
+      } else if (char === '\\' && quote === '"') {
+        i++;
+      }
+    } else if ((char === '"' || char === "'") && startsScalar(text, i)) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function plainScalar(text) {
+  if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+  if (['true', 'True', 'TRUE'].includes(text)) return true;
+  if (['false', 'False', 'FALSE'].includes(text)) return false;
+  if (NUMBER.test(text)) return Number(text);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+}
+
+/**
+ * Scalar / flow-collection parser over one line's value text
+ */
+class FlowParser {
+  constructor(text, line) {
+    this.text = text;
+    this.line = line;
+    this.pos = 0;
+  }
+
+  error(message) {
+    return new YAMLError(this.line, message);
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+  }
+
+  parseDocument() {
+    this.skipSpace();
+    const value = this.parseValue(false);
+    this.skipSpace();
+    if (this.pos < this.text.length) {
+      throw this.error(`unexpected '${this.text.slice(this.pos)}'`);
+    }
+    return value;
+  }
+
+  parseValue(inFlow) {
+    this.skipSpace();
+    const char = this.text[this.pos];
+    if (char === '[') return this.parseSequence();
+    if (char === '{') return this.parseMapping();
+    if (char === '"' || char === "'") return this.parseQuoted(char);
+    if (char === '&' || char === '*' || char === '!') {
+      throw this.error('anchors, aliases and tags are not supported');
+    }
+    if (!inFlow && (char === '|' || char === '>')) {
+      throw this.error('block scalars (| and >) are not supported');
+    }
+    return this.parsePlain(inFlow);
+  }
+
+  parsePlain(inFlow) {
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (inFlow && (char === ',' || char === ']' || char === '}')) break;
+      if (inFlow && char === ':' && /\s/.test(this.text[this.pos + 1] ?? ' ')) break;
+      this.pos++;
+    }
+    return plainScalar(this.text.slice(start, this.pos).trim());
+  }
+
+  parseQuoted(quote) {
+    this.pos++;
+    let value = '';
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+      if (char === quote) {
+        if (quote === "'" && this.text[this.pos] === "'") {
+          value += "'";
+          this.pos++;
+          continue;
+        }
+        return value;
+      }
+      if (quote === '"' && char === '\\') {
+        const escape = this.text[this.pos++];
+        const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', 0: '\0' };
+        if (escape === 'u') {
+          value += String.fromCharCode(parseInt(this.text.slice(this.pos, this.pos + 4), 16));
+          this.pos += 4;
+        } else if (escape in escapes) {
+          value += escapes[escape];
+        } else {
+          throw this.error(`unknown escape \\${escape}`);
+        }
+        continue;
+      }
+      value += char;
+    }
+    throw this.error('unterminated string');
+  }
+
+  /**
+   * Consume the closing bracket if it is next
+   */
+  closes(bracket) {
+    this.skipSpace();
+    if (this.text[this.pos] !== bracket) return false;
+    this.pos++;
+    return true;
+  }
+
+  parseSequence() {
+    this.pos++;
+    const items = [];
+    if (this.closes(']')) return items;
+    while (this.pos < this.text.length) {
+      items.push(this.parseValue(true));
+      this.skipSpace();
+      const char = this.text[this.pos++];
+      if (char === ']') return items;
+      if (char === undefined) break;
+      if (char !== ',') throw this.error("expected ',' or ']'");
+      if (this.closes(']')) return items;   // trailing comma
+    }
+    throw this.error("unterminated '['");
+  }
+
+  parseMapping() {
+    this.pos++;
+    const mapping = {};
+    if (this.closes('}')) return mapping;
+    while (this.pos < this.text.length) {
+      const key = this.parseValue(true);
+      this.skipSpace();
+      if (this.text[this.pos] !== ':') throw this.error(`expected ':' after key ${key}`);
+      this.pos++;
+      mapping[String(key)] = this.parseValue(true);
+      this.skipSpace();
+      const char = this.text[this.pos++];
+      if (char === '}') return mapping;
+      if (char === undefined) break;
+      if (char !== ',') throw this.error("expected ',' or '}'");
+      if (this.closes('}')) return mapping;   // trailing comma
+    }
+    throw this.error("unterminated '{'");
+  }
+}
+
+/**
+ * 'key: value' → { key, value } (value text, '' for a nested block); null if not a mapping entry
+ */
+function splitEntry(text, line) {
+  let key;
+  let rest;
+  if (text[0] === '"' || text[0] === "'") {
+    const parser = new FlowParser(text, line);
+    key = parser.parseQuoted(text[0]);
+    rest = text.slice(parser.pos);
+    if (!/^\s*:(\s|$)/.test(rest)) return null;
+    rest = rest.replace(/^\s*:/, '');
+  } else {
+    const match = /^([^#[\]{},]*?)\s*:(\s|$)/.exec(text);
+    if (!match) return null;
+    key = match[1];
+    rest = text.slice(match[0].length - match[2].length);
+  }
+  return { key: String(key), value: rest.trim() };
+}
+
+class BlockParser {
+  constructor(text) {
+    this.lines = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+      const content = stripComment(raw);
+      if (!content.trim()) return;
+      const indent = content.length - content.trimStart().length;
+      if (content.slice(0, indent).includes('\t')) {
+        throw new YAMLError(i + 1, 'tabs are not allowed in indentation');
+      }
+      this.lines.push({ indent, text: content.trim(), number: i + 1 });
+    });
+
+    if (this.lines[0]?.text === '---') this.lines.shift();
+    const extra = this.lines.find(line => line.text === '---' || line.text === '...');
+    if (extra) throw new YAMLError(extra.number, 'multiple documents are not supported');
+    this.index = 0;
+  }
+
+  peek() {
+    return this.lines[this.index];
+  }
+
+  parse() {
+    if (this.lines.length === 0) return null;
+    const value = this.parseBlock(this.peek().indent);
+    const left = this.peek();
+    if (left) throw new YAMLError(left.number, 'bad indentation');
+    return value;
+  }
+
+  parseBlock(indent) {
+    const line = this.peek();
+    if (isItem(line.text)) return this.parseSequence(indent);
+    if (splitEntry(line.text, line.number)) return this.parseMapping(indent);
+
+    this.index++;
+    this.rejectContinuation(indent - 1);
+    return new FlowParser(line.text, line.number).parseDocument();
+  }
+
+  /**
+   * A scalar line followed by a plain line indented beyond `indent` would
+   * continue the scalar
+   */
+  rejectContinuation(indent) {
+    const next = this.peek();
+    if (next && next.indent > indent && !isItem(next.text) && !splitEntry(next.text, next.number)) {
+      throw new YAMLError(next.number, 'multi-line plain scalars are not supported');
+    }
+  }
+
+  /**
+   * Value of an entry: inline text, or the nested block on the following lines
+   */
+  parseEntryValue(valueText, line, indent, { allowSameIndentSequence }) {
+    if (valueText !== '') {
+      const value = new FlowParser(valueText, line.number).parseDocument();
+      this.rejectContinuation(indent);
+      return value;
+    }
+
+    const next = this.peek();
+    if (next && next.indent > indent) return this.parseBlock(next.indent);
+    // 'key:' followed by '- item' at the key's own indentation
+    if (allowSameIndentSequence && next && next.indent === indent && isItem(next.text)) {
+      return this.parseSequence(indent);
+    }
+    return null;
+  }
+
+  parseMapping(indent) {
+    const mapping = {};
+    while (this.peek() && this.peek().indent === indent && !isItem(this.peek().text)) {
+      const line = this.peek();
+      const entry = splitEntry(line.text, line.number);
+      if (!entry) throw new YAMLError(line.number, `expected 'key: value', got '${line.text}'`);
+      if (Object.hasOwn(mapping, entry.key)) {
+        throw new YAMLError(line.number, `duplicate key '${entry.key}'`);
+      }
+      this.index++;
+      mapping[entry.key] = this.parseEntryValue(entry.value, line, indent, { allowSameIndentSequence: true });
+    }
+    const next = this.peek();
+    if (next && next.indent > indent) throw new YAMLError(next.number, 'bad indentation');
+    return mapping;
+  }
+
+  parseSequence(indent) {
+    const items = [];
+    while (this.peek() && this.peek().indent === indent && isItem(this.peek().text)) {
+      const line = this.peek();
+      const rest = line.text.slice(1).trimStart();
+      if (rest === '') {
+        this.index++;
+        items.push(this.parseEntryValue('', line, indent, { allowSameIndentSequence: false }));
+      } else {
+        // The item's content continues as a block at the column after '- '
+        const offset = line.text.length - rest.length;
+        this.lines[this.index] = { indent: indent + offset, text: rest, number: line.number };
+        items.push(this.parseBlock(indent + offset));
+      }
+    }
+    const next = this.peek();
+    if (next && next.indent > indent) throw new YAMLError(next.number, 'bad indentation');
+    return items;
+  }
+}
+
+function isItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+/**
+ * YAML text → plain object / array / scalar
+ */
+export function parseYAML(text) {
+  return new BlockParser(text).parse();
+}
+
+export default parseYAML;
@@ -0,0 +1,61 @@
+import { ActuatorLayer } from '../src/control/actuators.js';
+import { TwinCosmos } from '../src/index.js';
+
+const state = { temperature: 1e8, density: 8e19, stability: 0.6, magneticField: 5, phase: 'burn' };
+
+describe('ActuatorLayer', () => {
+  test('maps each channel strategy to its reactor output', () => {
+    const actuators = new ActuatorLayer();
+    const command = actuators.command({ actions: { heating: 'PID', fueling: 'Constant', magnetic: 'Fixed' } }, state, 0.5);
+    expect(Object.keys(command).sort()).toEqual(['fuelingRate', 'heatingPower', 'magneticField']);
+    expect(command.heatingPower).toBeGreaterThan(50e6);       // below the temperature target
+    expect(command.heatingPower).toBeLessThanOrEqual(100e6);
+    expect(command.magneticField).toBe(5);
+  });
+
+  test('skips channels without a decision or with an unknown strategy', () => {
+    const actuators = new ActuatorLayer();
+    expect(actuators.command({ actions: { heating: 'Nope' } }, state)).toEqual({});
+    expect(actuators.command({}, state)).toEqual({});
+  });
+
+  test('keeps one controller per strategy and applies per-strategy overrides', () => {
+    const actuators = new ActuatorLayer({ controllers: { 'heating:PID': { max: 60e6 } } });
+    const decision = { actions: { heating: 'PID' } };
+    actuators.command(decision, state);
+    const controller = actuators.getController('heating', 'PID');
+    actuators.command(decision, state);
+    expect(actuators.getController('heating', 'PID')).toBe(controller);
+    expect(actuators.command(decision, { ...state, temperature: 0 }).heatingPower).toBe(60e6);
+  });
+
+  test('snapshot and restore carry the controller state', () => {
+    const actuators = new ActuatorLayer();
+    const decision = { actions: { heating: 'PID' } };
+    actuators.command(decision, state);
+    const snapshot = structuredClone(actuators.snapshot());
+    const expected = actuators.command(decision, state);
+
+    const restored = new ActuatorLayer().restore(snapshot);
+    expect(restored.command(decision, state)).toEqual(expected);
+  });
+});
+
+describe('closed loop', () => {
+  test('the commanded setpoints reach the simulator before the next step', async () => {
+    const twin = await new TwinCosmos({ seed: 1, verbose: false }).initialize();
+    const result = await twin.step(0.1);
+    const fusion = twin.components.fusion.getState();
+    expect(result.control.heatingPower).toBeDefined();
+    expect(fusion.heatingPower).toBe(Math.max(0, result.control.heatingPower));
+    expect(fusion.fuelingRate).toBe(Math.max(0, result.control.fuelingRate));
+    expect(fusion.magneticField).toBe(result.control.magneticField);
+  });
+
+  test('controlEnabled: false leaves the actuators out of the loop', async () => {
+    const twin = await new TwinCosmos({ seed: 1, verbose: false, controlEnabled: false }).initialize();
+    const result = await twin.step(0.1);
+    expect(twin.components.actuators).toBeUndefined();
+    expect(result.control).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+import { AlarmManager, DEFAULT_RULES, FORECAST_RULES } from '../src/alarms/manager.js';
+
+const above = { id: 'hot', type: 'threshold', metric: 'temperature', threshold: 100, deadband: 10, severity: 'critical' };
+
+/**
+ * Stand-in simulator whose forks ramp stability by `slope` per second
+ */
+function rampingSimulator(stability, slope) {
+  const sim = { forks: 0 };
+  sim.fork = () => {
+    sim.forks++;
+    let value = stability;
+    return { step: (dt) => ({ stability: (value += slope * dt) }) };
+  };
+  return sim;
+}
+
+describe('AlarmManager threshold and rate rules', () => {
+  test('raises above the threshold and clears only past the deadband', () => {
+    const alarms = new AlarmManager({ rules: [above] });
+
+    expect(alarms.evaluate({ temperature: 95, time: 0 }).events).toEqual([]);
+    const [raised] = alarms.evaluate({ temperature: 101, time: 1 }).events;
+    expect(raised).toMatchObject({ type: 'raised', id: 'hot', severity: 'critical' });
+
+    expect(alarms.evaluate({ temperature: 95, time: 2 }).events).toEqual([]);
+    expect(alarms.evaluate({ temperature: 89, time: 3 }).events[0]).toMatchObject({ type: 'cleared', id: 'hot' });
+  });
+
+  test('delay debounces a condition that does not hold long enough', () => {
+    const alarms = new AlarmManager({ rules: [{ ...above, delay: 1 }] });
+    alarms.evaluate({ temperature: 120, time: 0 });
+    alarms.evaluate({ temperature: 90, time: 0.5 });
+    alarms.evaluate({ temperature: 120, time: 1 });
+    expect(alarms.evaluate({ temperature: 120, time: 1.5 }).events).toEqual([]);
+    expect(alarms.evaluate({ temperature: 120, time: 2 }).events).toHaveLength(1);
+  });
+
+  test('rate rules compare the change per second', () => {
+    const alarms = new AlarmManager({
+      rules: [{ id: 'falling', type: 'rate', metric: 'temperature', direction: 'below', threshold: -10 }]
+    });
+    alarms.evaluate({ temperature: 100, time: 0 });
+    expect(alarms.evaluate({ temperature: 95, time: 1 }).events).toEqual([]);
+    const [raised] = alarms.evaluate({ temperature: 75, time: 2 }).events;
+    expect(raised).toMatchObject({ id: 'falling', value: -20 });
+  });
+
+  test('an alarm stays listed until cleared and acknowledged', () => {
+    const alarms = new AlarmManager({ rules: [above] });
+    alarms.evaluate({ temperature: 120, time: 0 });
+    alarms.evaluate({ temperature: 50, time: 1 });
+    expect(alarms.getActive()).toMatchObject([{ id: 'hot', active: false, acknowledged: false }]);
+
+    expect(alarms.acknowledge('hot', 2)).toMatchObject({ type: 'acknowledged' });
+    expect(alarms.getActive()).toEqual([]);
+    expect(alarms.acknowledge('hot')).toBeNull();
+    expect(alarms.getLog().map(entry => entry.type)).toEqual(['raised', 'cleared', 'acknowledged']);
+  });
+
+  test('rejects malformed rules', () => {
+    expect(() => new AlarmManager({ rules: [{ type: 'threshold' }] })).toThrow('needs an id');
+    expect(() => new AlarmManager({ rules: [{ id: 'x', type: 'spike' }] })).toThrow('Unknown alarm rule type');
+    expect(() => new AlarmManager({ rules: [above, above] })).toThrow('Duplicate alarm rule: hot');
+  });
+});
+
+describe('AlarmManager predicted rules', () => {
+  test('the default rules never fork the simulator', () => {
+    expect(DEFAULT_RULES.some(rule => rule.type === 'predicted')).toBe(false);
+    const simulator = rampingSimulator(0.5, 0.1);
+    const alarms = new AlarmManager();
+    for (let t = 0; t < 2; t += 0.1) alarms.evaluate({ stability: 0.5, time: t }, { simulator });
+    expect(simulator.forks).toBe(0);
+  });
+
+  test('warn of a crossing within the horizon, reusing each forecast for forecastInterval', () => {
+    const simulator = rampingSimulator(0.5, 0.125);   // crosses 0.8 after 2.4 s
+    const alarms = new AlarmManager({ rules: FORECAST_RULES.map(rule => ({ ...rule, delay: 0 })) });
+
+    const [raised] = alarms.evaluate({ stability: 0.5, time: 0 }, { simulator }).events;
+    expect(raised).toMatchObject({ type: 'raised', id: 'critical-ignition-forecast', value: 2.5 });
+
+    for (let t = 0.1; t < 1; t += 0.1) alarms.evaluate({ stability: 0.5, time: t }, { simulator });
+    expect(simulator.forks).toBe(1);
+    expect(alarms.getActive()[0].value).toBe(2.5);
+
+    alarms.evaluate({ stability: 0.5, time: 1 }, { simulator });
+    expect(simulator.forks).toBe(2);
+  });
+
+  test('a reused forecast is shifted by its age', () => {
+    const alarms = new AlarmManager({ rules: FORECAST_RULES, forecastInterval: 2 });
+    const first = alarms.forecast(rampingSimulator(0.5, 0.1), 0);
+    const reused = alarms.forecast(rampingSimulator(0.5, 0.1), 1);
+    expect(reused).toHaveLength(first.length - 2);
+    expect(reused[0].offset).toBeCloseTo(0.5);
+    expect(reused[0].state).toBe(first[2].state);
+  });
+});
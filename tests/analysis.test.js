@@ -0,0 +1,111 @@
+import { percentile, summarize, runBatch, monteCarlo } from '../src/analysis/montecarlo.js';
+import { saltelliDesign, sobolIndices, sobolAnalysis } from '../src/analysis/sensitivity.js';
+import { buildConfig, checkParameterName } from '../src/analysis/parameters.js';
+import { SeededRandom } from '../src/utils/random.js';
+
+describe('percentile / summarize', () => {
+  test('percentile interpolates linearly between sorted values', () => {
+    const sorted = [1, 2, 3, 4, 5];
+    expect(percentile(sorted, 0)).toBe(1);
+    expect(percentile(sorted, 50)).toBe(3);
+    expect(percentile(sorted, 100)).toBe(5);
+    expect(percentile(sorted, 25)).toBe(2);
+    expect(percentile([10, 20], 75)).toBe(17.5);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  test('summarize leaves out null outcomes and counts them as missing', () => {
+    const summary = summarize([
+      { timeToBurn: 1, peak: 2 },
+      { timeToBurn: null, peak: 4 },
+      { timeToBurn: 3, peak: 6 }
+    ], [50]);
+    expect(summary.timeToBurn).toMatchObject({ count: 2, missing: 1, mean: 2, min: 1, max: 3 });
+    expect(summary.timeToBurn.percentiles.p50).toBe(2);
+    expect(summary.peak.mean).toBe(4);
+    expect(summary.peak.std).toBe(2);
+  });
+});
+
+describe('Sobol estimators', () => {
+  // Ishigami function on [-π, π]³: analytic indices (a = 7, b = 0.1)
+  const ishigami = ([u1, u2, u3]) => {
+    const [x1, x2, x3] = [u1, u2, u3].map(u => -Math.PI + 2 * Math.PI * u);
+    return Math.sin(x1) + 7 * Math.sin(x2) ** 2 + 0.1 * x3 ** 4 * Math.sin(x1);
+  };
+
+  test('recover the analytic Ishigami indices', () => {
+    const samples = 8192;
+    const points = saltelliDesign(samples, 3, new SeededRandom(7));
+    expect(points).toHaveLength(samples * 5);
+
+    const [s1, s2, s3] = sobolIndices(points.map(ishigami), samples, 3);
+    expect(s1.first).toBeCloseTo(0.3139, 1);
+    expect(s2.first).toBeCloseTo(0.4424, 1);
+    expect(s3.first).toBeCloseTo(0, 1);
+    expect(s1.total).toBeCloseTo(0.5576, 1);
+    expect(s2.total).toBeCloseTo(0.4424, 1);
+    expect(s3.total).toBeCloseTo(0.2437, 1);
+  });
+
+  test('linear model: S_i = a_i² / Σ a²', () => {
+    const samples = 4096;
+    const points = saltelliDesign(samples, 2, new SeededRandom(3));
+    const [s1, s2] = sobolIndices(points.map(([u1, u2]) => 3 * u1 + u2), samples, 2);
+    expect(s1.first).toBeCloseTo(0.9, 1);
+    expect(s2.first).toBeCloseTo(0.1, 1);
+    expect(s1.total).toBeCloseTo(0.9, 1);
+  });
+
+  test('no variance gives null indices', () => {
+    const samples = 8;
+    const points = saltelliDesign(samples, 1, new SeededRandom(1));
+    expect(sobolIndices(points.map(() => 1), samples, 1)).toEqual([{ first: null, total: null }]);
+  });
+});
+
+describe('runBatch', () => {
+  const options = { duration: 1, dt: 0.5 };
+  const runs = [1e8, 1.2e8, 0.8e8].map((initialTemperature, i) => ({ values: { initialTemperature }, seed: i + 1 }));
+
+  test('worker results come back in the order of the runs', async () => {
+    const inline = await runBatch(runs, { ...options, workers: 0 });
+    const pooled = await runBatch(runs, { ...options, workers: 2 });
+    expect(pooled).toEqual(inline);
+    expect(new Set(inline.map(outcome => outcome.finalTemperature)).size).toBe(3);
+  });
+
+  test('a failing run rejects the batch', async () => {
+    await expect(runBatch(runs, { ...options, target: 'nope', workers: 0 })).rejects.toThrow('Unknown analysis target');
+    await expect(runBatch(runs, { ...options, target: 'nope', workers: 2 })).rejects.toThrow(/Run \d failed: Unknown analysis target/);
+  });
+});
+
+describe('parameter names', () => {
+  test('unknown names are rejected, aliases and config keys accepted', () => {
+    expect(() => checkParameterName('temperature')).toThrow('Unknown parameter temperature');
+    expect(() => checkParameterName('fusion.temperature', 'twin')).toThrow('Unknown parameter');
+    expect(() => checkParameterName('gamma')).not.toThrow();
+    expect(() => checkParameterName('decision.barrier', 'twin')).not.toThrow();
+    expect(buildConfig({}, { gamma: 2, hFactor: 1.2 })).toEqual({ stabilityGamma: 2, hFactor: 1.2 });
+  });
+
+  test('analyses fail fast on a typo', async () => {
+    await expect(monteCarlo({ parameters: { temperature: [1e8, 2e8] }, samples: 2, workers: 0 }))
+      .rejects.toThrow('Unknown parameter temperature');
+  });
+});
+
+describe('sobolAnalysis', () => {
+  test('draws and reports one seed for every run when none is given', async () => {
+    const result = await sobolAnalysis({
+      parameters: { initialTemperature: [0.8e8, 1.2e8] },
+      samples: 2,
+      duration: 1,
+      dt: 0.5,
+      workers: 0
+    });
+    expect(Number.isInteger(result.seed)).toBe(true);
+    expect(result.runs).toBe(6);
+  });
+});
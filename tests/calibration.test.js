@@ -0,0 +1,77 @@
+import { calibrateV5, applyCalibration, v5Probability } from '../src/calibration/v5.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+import { DecisionEngine } from '../src/decision/engine.js';
+import { SeededRandom } from '../src/utils/random.js';
+import { KELVIN_PER_KEV } from '../src/physics/plasma.js';
+
+const TRUE = { gamma: 4, barrier: 0.6 };
+const grid = (n) => Array.from({ length: n }, (_, i) => i / (n - 1));
+
+describe('calibrateV5', () => {
+  test('least squares recovers γ and B from exact probabilities', () => {
+    const samples = grid(41).map(x => ({ x, observed: v5Probability(x, TRUE.gamma, TRUE.barrier) }));
+    const result = calibrateV5(samples, { input: 'x' });
+    expect(result.converged).toBe(true);
+    expect(result.params.gamma).toBeCloseTo(4, 4);
+    expect(result.params.barrier).toBeCloseTo(0.6, 4);
+    expect(result.goodnessOfFit.rSquared).toBeCloseTo(1, 6);
+  });
+
+  test('likelihood recovers γ and B from 0/1 labels within its confidence intervals', () => {
+    const random = new SeededRandom(7);
+    const samples = Array.from({ length: 4000 }, () => {
+      const x = random.next();
+      return { x, observed: random.next() < v5Probability(x, TRUE.gamma, TRUE.barrier) ? 1 : 0 };
+    });
+    const result = calibrateV5(samples, { input: 'x', method: 'likelihood' });
+    const [gammaLow, gammaHigh] = result.confidenceIntervals.gamma;
+    const [barrierLow, barrierHigh] = result.confidenceIntervals.barrier;
+    expect(gammaLow).toBeLessThan(4);
+    expect(gammaHigh).toBeGreaterThan(4);
+    expect(barrierLow).toBeLessThan(0.6);
+    expect(barrierHigh).toBeGreaterThan(0.6);
+    expect(Math.abs(result.params.gamma - 4)).toBeLessThan(0.5);
+    expect(Math.abs(result.params.barrier - 0.6)).toBeLessThan(0.05);
+  });
+
+  test('fits the Lawson input from density, temperature and confinement time', () => {
+    const lawsonLimit = 3e21;
+    const samples = grid(30).map(x => {
+      const sample = { density: 1e20, temperature: 10 * KELVIN_PER_KEV, confinementTime: (x * lawsonLimit) / (1e20 * 10) };
+      return { ...sample, observed: v5Probability(x, TRUE.gamma, TRUE.barrier) };
+    });
+    const result = calibrateV5(samples, { initial: { lawsonLimit } });
+    expect(result.params.gamma).toBeCloseTo(4, 4);
+    expect(result.params.barrier).toBeCloseTo(0.6, 4);
+  });
+
+  test('rejects bad methods, parameters, outcomes and too few samples', () => {
+    const samples = grid(5).map(x => ({ x, observed: 0.5 }));
+    expect(() => calibrateV5(samples, { input: 'x', method: 'bayes' })).toThrow('Unknown calibration method: bayes');
+    expect(() => calibrateV5(samples, { input: 'x', fit: ['alpha'] })).toThrow('Unknown V5 parameter: alpha');
+    expect(() => calibrateV5(samples, { input: 'x', fit: ['lawsonLimit'] }))
+      .toThrow('lawsonLimit cannot be fitted to pre-normalized inputs');
+    expect(() => calibrateV5(samples.slice(0, 2), { input: 'x' })).toThrow('needs more samples');
+    expect(() => calibrateV5([...samples, { x: 1, observed: 2 }], { input: 'x' }))
+      .toThrow('Sample 5: outcome must be in [0, 1], got 2');
+  });
+});
+
+describe('applyCalibration', () => {
+  const calibration = { fitted: ['gamma', 'barrier'], params: { gamma: 4, barrier: 0.6, lawsonLimit: 1e30 } };
+
+  test('writes only the fitted parameters into simulator and engine', () => {
+    const simulator = new FusionSimulator({ seed: 1 });
+    const engine = new DecisionEngine({ seed: 1 });
+    const lawsonLimit = simulator.config.lawsonLimit;
+    applyCalibration(calibration, simulator, engine);
+
+    expect(simulator.v5Params).toMatchObject(TRUE);
+    expect(engine.v5Params).toMatchObject(TRUE);
+    expect(simulator.config.lawsonLimit).toBe(lawsonLimit);
+  });
+
+  test('rejects targets without setV5Params()', () => {
+    expect(() => applyCalibration(calibration, {})).toThrow('Calibration target must implement setV5Params()');
+  });
+});
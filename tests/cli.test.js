@@ -0,0 +1,54 @@
+import { jest } from '@jest/globals';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { main } from '../src/cli/index.js';
+
+describe('twincosmos inspect', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'twincosmos-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['header-only CSV', 'empty.csv', 'time,temperature\n'],
+    ['empty JSONL', 'empty.jsonl', '']
+  ])('%s: error names the file', async (label, name, text) => {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, text);
+    await expect(main(['inspect', file])).rejects.toThrow(`${file} has no records`);
+  });
+});
+
+describe('twincosmos run', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'twincosmos-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('a configured logger plugin writes to stderr, not into the trace', async () => {
+    const config = path.join(dir, 'logger.json');
+    const output = path.join(dir, 'trace.csv');
+    await fs.writeFile(config, JSON.stringify({ seed: 1, plugins: [{ type: 'logger', events: ['afterStep'] }] }));
+
+    const stderr = [];
+    const spy = jest.spyOn(process.stderr, 'write').mockImplementation((chunk) => stderr.push(String(chunk)));
+    try {
+      await main(['run', '-c', config, '-o', output, '--steps', '3', '-q']);
+    } finally {
+      spy.mockRestore();
+    }
+    expect(stderr.filter(line => / step \d+ done\n$/.test(line))).toHaveLength(3);
+    expect(await fs.readFile(output, 'utf8')).not.toMatch(/done/);
+  });
+});
@@ -0,0 +1,65 @@
+import { SimulationClock } from '../src/utils/clock.js';
+import { TwinCosmos, InMemoryAdapter } from '../src/index.js';
+import { DecisionEngine } from '../src/decision/engine.js';
+import { MemoryStore } from '../src/memory/store.js';
+
+describe('SimulationClock', () => {
+  test('epoch defaults to 0, also when passed as undefined', () => {
+    expect(new SimulationClock().now()).toBe(0);
+    const clock = new SimulationClock({ epoch: undefined });
+    clock.advance(1.5);
+    expect(clock.now()).toBe(1500);
+  });
+
+  test('now() is epoch + simulated milliseconds', () => {
+    const clock = new SimulationClock({ epoch: 1000 });
+    clock.advance(0.1);
+    clock.advance(0.2);
+    expect(clock.time).toBe(0.3);
+    expect(clock.step).toBe(2);
+    expect(clock.now()).toBe(1300);
+  });
+
+  test('a default twin stamps decisions with finite timestamps', async () => {
+    const twin = await new TwinCosmos({ seed: 1, verbose: false }).initialize();
+    const result = await twin.step(0.1);
+    expect(Number.isFinite(twin.clock.now())).toBe(true);
+    expect(Number.isFinite(result.decision.timestamp)).toBe(true);
+  });
+
+  test('two runs with the same seed and clock produce identical traces', async () => {
+    async function trace() {
+      const adapter = new InMemoryAdapter();
+      const twin = await new TwinCosmos({
+        seed: 42,
+        epoch: 1.7e12,
+        verbose: false,
+        persistence: { adapter, restore: false }
+      }).initialize();
+      const steps = [];
+      await twin.run(60, result => steps.push(result));
+      return JSON.stringify({ steps, state: twin.getState(), saved: adapter.state, memory: adapter.records });
+    }
+
+    const first = await trace();
+    expect(first.length).toBeGreaterThan(0);
+    expect(await trace()).toBe(first);
+  });
+
+  test('components without a clock leave timestamps empty instead of reading the wall clock', async () => {
+    const decision = new DecisionEngine({ seed: 1 }).decide({ temperature: 1e8, density: 1e20, stability: 0.6 });
+    expect(decision.timestamp).toBeNull();
+
+    const memory = new MemoryStore();
+    await memory.store('key', { value: 1 });
+    expect(memory.entries.get('key').timestamp).toBeNull();
+  });
+
+  test('save() stamps savedAt from the twin clock', async () => {
+    const adapter = new InMemoryAdapter();
+    const twin = await new TwinCosmos({ seed: 1, epoch: 5000, verbose: false, persistence: { adapter } }).initialize();
+    for (let i = 0; i < 3; i++) await twin.step(0.5);
+    await twin.save();
+    expect(adapter.state.savedAt).toBe(6500);
+  });
+});
@@ -0,0 +1,85 @@
+import {
+  getScaling,
+  listScalings,
+  registerScaling,
+  lhThreshold,
+  surfaceArea
+} from '../src/physics/confinement.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+
+// ITER inductive scenario
+const ITER = { I: 15, B: 5.3, P: 87, n19: 10.1, M: 2.5, R: 6.2, a: 2.0, kappa: 1.7 };
+
+describe('confinement scalings', () => {
+  test('IPB98(y,2) gives ITER its ~3.6 s design confinement time', () => {
+    expect(getScaling('IPB98(y,2)')(ITER)).toBeCloseTo(3.6, 1);
+  });
+
+  test('τ_E degrades with power as P^-0.69 (IPB98) and P^-0.61 (ISS04)', () => {
+    const ipb = getScaling('IPB98(y,2)');
+    expect(ipb({ ...ITER, P: 2 * ITER.P }) / ipb(ITER)).toBeCloseTo(Math.pow(2, -0.69), 10);
+
+    const w7x = { B: 2.5, P: 5, n19: 5, R: 5.5, a: 0.53, iota: 0.9 };
+    const iss = getScaling('ISS04');
+    expect(iss(w7x)).toBeCloseTo(0.17, 2);
+    expect(iss({ ...w7x, P: 10 }) / iss(w7x)).toBeCloseTo(Math.pow(2, -0.61), 10);
+  });
+
+  test('L-mode scalings confine worse than H-mode at the same point', () => {
+    const h = getScaling('IPB98(y,2)')(ITER);
+    expect(getScaling('ITER89-P')(ITER)).toBeLessThan(h);
+    expect(getScaling('ITER97-L')(ITER)).toBeLessThan(h);
+  });
+
+  test('registry lists the built-ins and rejects unknown names and non-functions', () => {
+    expect(listScalings()).toEqual(expect.arrayContaining(['IPB98(y,2)', 'ITER89-P', 'ITER97-L', 'ISS04']));
+    registerScaling('constant-test', () => 2);
+    expect(getScaling('constant-test')(ITER)).toBe(2);
+    expect(() => getScaling('nope')).toThrow('Unknown confinement scaling: nope');
+    expect(() => registerScaling('bad', 2)).toThrow('Confinement scaling bad must be a function');
+  });
+});
+
+describe('L-H transition', () => {
+  test('Martin 2008 threshold for ITER is ~50 MW in deuterium, lower in D-T', () => {
+    expect(surfaceArea(6.2, 2.0, 1.7)).toBeCloseTo(683, 0);
+    const deuterium = lhThreshold({ ...ITER, n19: 5, M: 2 });
+    expect(deuterium).toBeCloseTo(52.6, 1);
+    expect(lhThreshold({ ...ITER, n19: 5 })).toBeCloseTo(deuterium * 2 / 2.5, 10);
+  });
+
+  test('H-mode above the threshold, back to L only below lhHysteresis · P_LH', () => {
+    const sim = new FusionSimulator({ seed: 1 });
+    const threshold = lhThreshold(sim.device.scalingParams(sim, 1e6)) * 1e6;
+    expect(sim.state.confinementMode).toBe('L');
+
+    sim.calculateConfinementTime(0.9 * threshold);
+    expect(sim.state.confinementMode).toBe('L');
+    sim.calculateConfinementTime(1.1 * threshold);
+    expect(sim.state.confinementMode).toBe('H');
+    expect(sim.state.lhThreshold).toBeCloseTo(threshold, 0);
+    sim.calculateConfinementTime(0.9 * threshold);
+    expect(sim.state.confinementMode).toBe('H');
+    sim.calculateConfinementTime(0.7 * threshold);
+    expect(sim.state.confinementMode).toBe('L');
+  });
+
+  test('H-mode τ_E is hFactor times the scaling, L-mode uses lModeScaling', () => {
+    const sim = new FusionSimulator({ seed: 1, hFactor: 1.5 });
+    const params = sim.device.scalingParams(sim, 100e6);
+    expect(sim.scalingTime(100e6)).toBeCloseTo(getScaling('ITER89-P')(params), 10);
+    sim.calculateConfinementTime(100e6);
+    expect(sim.state.confinementMode).toBe('H');
+    expect(sim.scalingTime(100e6)).toBeCloseTo(1.5 * getScaling('IPB98(y,2)')(params), 10);
+  });
+
+  test('lhTransition: false keeps the plasma in H-mode; fixed uses confinementTime', () => {
+    const always = new FusionSimulator({ seed: 1, lhTransition: false });
+    always.calculateConfinementTime(1e6);
+    expect(always.state.confinementMode).toBe('H');
+
+    const fixed = new FusionSimulator({ seed: 1, confinementScaling: 'fixed', confinementTime: 2.5 });
+    expect(fixed.calculateConfinementTime(100e6)).toBe(2.5);
+    expect(fixed.state.confinementMode).toBe('fixed');
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  Controller,
+  PIDController,
+  SelfTuningPIDController,
+  GainScheduledController,
+  NeuronPIDController,
+  PulsedController,
+  PredictiveController,
+  createController,
+  listControllers,
+  registerController
+} from '../src/control/controllers.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+
+describe('PID controllers', () => {
+  test('proportional and integral action on the normalized error', () => {
+    const pid = new PIDController({ measure: 'x', setpoint: 10, kp: 2, ki: 1, bias: 5 });
+    expect(pid.compute({ x: 5 }, 1)).toBe(5 + 2 * 0.5 + 0.5);
+    expect(pid.compute({ x: 5 }, 1)).toBe(5 + 2 * 0.5 + 1);
+  });
+
+  test('stops integrating while saturated', () => {
+    const pid = new PIDController({ measure: 'x', setpoint: 10, kp: 1, ki: 1, max: 1 });
+    for (let i = 0; i < 10; i++) expect(pid.compute({ x: 0 }, 1)).toBe(1);
+    expect(pid.integral).toBe(0);
+    expect(pid.compute({ x: 20 }, 1)).toBe(-2);
+  });
+
+  test('self-tuning PID raises kp while the error grows and relaxes it as it shrinks', () => {
+    const pid = new SelfTuningPIDController({ measure: 'x', setpoint: 10, kp: 1 });
+    pid.compute({ x: 8 }, 1);
+    pid.compute({ x: 6 }, 1);
+    expect(pid.kp).toBeCloseTo(1.05);
+    pid.compute({ x: 9 }, 1);
+    expect(pid.kp).toBeCloseTo(1.05 * 0.975);
+  });
+
+  test('gain schedule interpolates between points and holds at the ends', () => {
+    const pid = new GainScheduledController({
+      measure: 'x',
+      scheduleOn: 's',
+      schedule: [{ at: 0, kp: 1, ki: 0, kd: 0 }, { at: 1, kp: 3, ki: 0, kd: 0 }]
+    });
+    expect(pid.gains({ s: 0.5 }).kp).toBe(2);
+    expect(pid.gains({ s: -1 }).kp).toBe(1);
+    expect(pid.gains({ s: 2 }).kp).toBe(3);
+  });
+
+  test('neuron PID moves the output against the error and keeps it in bounds', () => {
+    const neuron = new NeuronPIDController({ measure: 'x', setpoint: 10, min: 0, max: 100, initial: 50 });
+    const outputs = Array.from({ length: 20 }, () => neuron.compute({ x: 5 }, 1));
+    expect(outputs[0]).toBeGreaterThan(50);
+    expect(outputs[19]).toBeGreaterThan(outputs[0]);
+    expect(Math.max(...outputs)).toBeLessThanOrEqual(100);
+  });
+});
+
+describe('PulsedController', () => {
+  test('outputs high for duty · period, then low', () => {
+    const pulsed = new PulsedController({ period: 2, duty: 0.5, high: 3, low: 1 });
+    expect(Array.from({ length: 6 }, () => pulsed.compute({}, 0.5))).toEqual([3, 3, 1, 1, 3, 3]);
+  });
+});
+
+describe('PredictiveController', () => {
+  const model = { seed: 1, disruptions: false };
+  const state = () => new FusionSimulator(model).step(0.1);
+
+  test('picks the heating that tracks the temperature setpoint', () => {
+    const options = { measure: 'temperature', output: 'heatingPower', min: 0, max: 100e6, horizon: 3, model };
+    const now = state();
+    const hotter = new PredictiveController({ ...options, setpoint: 2 * now.temperature }).compute(now, 0.5);
+    const colder = new PredictiveController({ ...options, setpoint: 0.5 * now.temperature }).compute(now, 0.5);
+    expect(hotter).toBe(100e6);
+    expect(colder).toBe(0);
+  });
+
+  test('reuses one rollout model and leaves no state behind between decisions', () => {
+    const controller = new PredictiveController({
+      measure: 'temperature', setpoint: 1.5e8, min: 0, max: 100e6, horizon: 3, effortWeight: 0, model
+    });
+    const now = state();
+    controller.compute(now, 0.5);
+    const sim = controller.sim;
+    const plan = controller.lastPlan;
+
+    controller.compute(now, 0.5);
+    expect(controller.sim).toBe(sim);
+    expect(controller.lastPlan).toEqual(plan);
+  });
+
+  test('getState() is serializable and leaves out the rollout model', () => {
+    const controller = new PredictiveController({ measure: 'temperature', setpoint: 1.5e8, min: 0, max: 100e6, horizon: 2, model });
+    controller.compute(state(), 0.5);
+    const saved = controller.getState();
+    expect(saved).not.toHaveProperty('sim');
+    expect(saved.lastOutput).toBe(controller.lastOutput);
+    expect(() => structuredClone(saved)).not.toThrow();
+  });
+});
+
+describe('controller registry', () => {
+  test('every channel has its built-in strategies', () => {
+    const controllers = listControllers();
+    expect(controllers.heating).toEqual(expect.arrayContaining(['PID', 'ML-PID', 'Adaptive', 'Neural']));
+    expect(controllers.fueling).toEqual(expect.arrayContaining(['Constant', 'Pulsed', 'Feedback', 'Predictive']));
+    expect(controllers.magnetic).toEqual(expect.arrayContaining(['Fixed', 'Adaptive', 'Optimized', 'AI']));
+  });
+
+  test('creates registered controllers with their options and rejects unknown ones', () => {
+    class Fixed extends Controller {
+      compute() {
+        return this.config.value;
+      }
+    }
+    registerController('heating', 'Fixed-test', (options) => new Fixed({ value: 42, ...options }));
+    expect(createController('heating', 'Fixed-test').compute({}, 1)).toBe(42);
+    expect(() => createController('heating', 'Nope')).toThrow('No controller registered for heating:Nope');
+    expect(() => registerController('cooling', 'PID', () => null)).toThrow('Unknown control channel: cooling');
+  });
+});
@@ -0,0 +1,73 @@
+import { DecisionEngine } from '../src/decision/engine.js';
+
+const base = { temperature: 1.2e8, density: 1e20, stability: 0.6, fusionPower: 400e6, phase: 'burn', violations: [] };
+
+function strategy(engine, channel, name) {
+  return engine.getStrategy(channel, name);
+}
+
+describe('DecisionEngine outcome scoring', () => {
+  const engine = new DecisionEngine({ seed: 1 });
+  const before = { ...base, disrupted: false, tritiumInventory: null };
+
+  test('rewards stability and power gains, penalizes violations', () => {
+    expect(engine.evaluateOutcome(before, { ...base, stability: 0.7 })).toBeGreaterThan(0);
+    expect(engine.evaluateOutcome(before, { ...base, fusionPower: 200e6 })).toBeLessThan(0);
+    const clean = engine.evaluateOutcome(before, base);
+    expect(engine.evaluateOutcome(before, { ...base, violations: ['greenwald'] })).toBeCloseTo(clean - 0.5);
+  });
+
+  test('a disruption in between is the worst outcome', () => {
+    expect(engine.evaluateOutcome(before, { ...base, stability: 0.9, disruption: { stage: 'thermal-quench' } })).toBe(-1);
+  });
+});
+
+describe('DecisionEngine learning', () => {
+  test('a decision is credited creditDelay decisions later', () => {
+    const engine = new DecisionEngine({ seed: 1, creditDelay: 2 });
+    const { actions } = engine.decide(base);
+    const heating = strategy(engine, 'heating', actions.heating);
+
+    engine.decide({ ...base, stability: 0.7 });
+    expect(heating.evaluations).toBe(0);
+    engine.decide({ ...base, stability: 0.8 });
+    expect(heating.evaluations).toBe(1);
+    expect(heating.lastReward).toBeGreaterThan(0);
+  });
+
+  test('each channel is credited on its own metrics', () => {
+    const engine = new DecisionEngine({ seed: 1, creditDelay: 1 });
+    const { actions } = engine.decide(base);
+    // Stability up, fusion power down: good for the field, bad for heating
+    engine.decide({ ...base, stability: 0.65, fusionPower: 250e6 });
+
+    const heating = strategy(engine, 'heating', actions.heating);
+    const magnetic = strategy(engine, 'magnetic', actions.magnetic);
+    expect(magnetic.lastReward).toBeGreaterThan(0);
+    expect(heating.lastReward).toBeLessThan(0);
+    expect(magnetic.gamma).toBeGreaterThan(heating.gamma);
+  });
+
+  test('channelRewardWeights can put every channel on the same reward', () => {
+    const engine = new DecisionEngine({ seed: 1, creditDelay: 1, channelRewardWeights: {} });
+    const { actions } = engine.decide(base);
+    engine.decide({ ...base, stability: 0.65, fusionPower: 250e6 });
+
+    const rewards = Object.entries(actions).map(([channel, name]) => strategy(engine, channel, name).lastReward);
+    expect(new Set(rewards).size).toBe(1);
+  });
+
+  test('good outcomes raise γ and lower B of the strategies that produced them', () => {
+    const engine = new DecisionEngine({ seed: 1, creditDelay: 1 });
+    const { actions } = engine.decide(base);
+    const heating = strategy(engine, 'heating', actions.heating);
+    const { gamma, barrier } = heating;
+
+    for (let i = 1; i <= 3; i++) {
+      engine.decide({ ...base, stability: 0.6 + 0.05 * i, fusionPower: (400 + 50 * i) * 1e6 });
+    }
+    expect(heating.gamma).toBeGreaterThan(gamma);
+    expect(heating.barrier).toBeLessThan(barrier);
+    expect(engine.selectionProbability('heating', actions.heating)).toBeGreaterThan(0.5);
+  });
+});
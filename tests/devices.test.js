@@ -0,0 +1,72 @@
+import { FusionSimulator } from '../src/simulators/fusion.js';
+import { DeviceModel, createDevice, listDevices, registerDevice } from '../src/simulators/devices.js';
+
+function run(sim, steps) {
+  const phases = [];
+  for (let i = 0; i < steps; i++) phases.push(sim.step(1).phase);
+  return phases;
+}
+
+describe('stellarator device model', () => {
+  test.each([50e6, 100e6])('the default stellarator reaches burn and stays there (%d W heating)', (heatingPower) => {
+    const sim = new FusionSimulator({ reactorType: 'stellarator', heatingPower, seed: 1 });
+    const phases = run(sim, 400);
+
+    expect(sim.pulse.getEvents().map(({ from, to }) => `${from} → ${to}`)).toEqual(['ramp-up → burn']);
+    expect(phases.slice(10).every(phase => phase === 'burn')).toBe(true);
+
+    const state = sim.getState();
+    expect(state.temperature).toBeGreaterThan(1e8);
+    expect(state.fusionPower).toBeGreaterThan(1e9);
+    expect(state.plasmaCurrent).toBe(0);
+    expect(state.violations).toEqual([]);
+  });
+
+  test('uses ISS04 confinement and never disrupts', () => {
+    const sim = new FusionSimulator({ reactorType: 'stellarator', seed: 1 });
+    sim.step(1);
+    expect(sim.getState().confinementMode).toBe('ISS04');
+    expect(sim.triggerDisruption()).toBeNull();
+    expect(sim.getState().phase).not.toBe('disruption');
+  });
+
+  test('user config overrides device defaults', () => {
+    const sim = new FusionSimulator({ reactorType: 'stellarator', majorRadius: 18, hFactor: 1.2 });
+    expect(sim.config.majorRadius).toBe(18);
+    expect(sim.config.hFactor).toBe(1.2);
+    expect(sim.config.minorRadius).toBe(1.8);
+    expect(sim.config.pulse.burnDuration).toBe(Infinity);
+  });
+});
+
+describe('device registry', () => {
+  test('lists the built-in models and rejects unknown types', () => {
+    expect(listDevices()).toEqual(expect.arrayContaining(['tokamak', 'stellarator']));
+    expect(() => createDevice('spheromak')).toThrow('Unknown reactor type: spheromak');
+    expect(() => new FusionSimulator({ reactorType: 'spheromak' })).toThrow('Unknown reactor type');
+  });
+
+  test('a registered model is selected by reactorType', () => {
+    class FixedModel extends DeviceModel {
+      defaults() {
+        return { majorRadius: 3, minorRadius: 1 };
+      }
+
+      confinementTime() {
+        return 1.5;
+      }
+
+      evaluateLimits() {
+        return { values: {}, fractions: {}, closest: null, proximity: 0, violations: [] };
+      }
+    }
+    registerDevice('fixed-test', (config) => new FixedModel(config));
+
+    const sim = new FusionSimulator({ reactorType: 'fixed-test', seed: 1 });
+    sim.step(0.1);
+    expect(sim.device).toBeInstanceOf(FixedModel);
+    expect(sim.config.majorRadius).toBe(3);
+    expect(sim.getState().confinementTime).toBe(1.5);
+    expect(() => registerDevice('broken', {})).toThrow('must be a factory function');
+  });
+});
@@ -0,0 +1,63 @@
+import { TwinCosmos, ReplaySource, SimulatorSource } from '../src/index.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+
+const records = Array.from({ length: 30 }, (_, i) => ({
+  time: i * 0.1,
+  temperature: 1e8 + i * 1e6,
+  density: 1e20,
+  confinementTime: 2,
+  fusionPower: 1e8,
+  heatingPower: 50e6
+}));
+
+describe('TwinCosmos.fork', () => {
+  test('a fork does not advance the parent replay source', async () => {
+    const source = new ReplaySource({ records });
+    const twin = await new TwinCosmos({ source, seed: 1, verbose: false }).initialize();
+    for (let i = 0; i < 6; i++) await twin.step(0.1);
+    const time = twin.components.source.time;
+
+    const fork = await twin.fork();
+    expect(fork.components.source).not.toBe(twin.components.source);
+    expect(fork.components.source.time).toBeCloseTo(time);
+    for (let i = 0; i < 5; i++) await fork.step(0.1);
+
+    expect(twin.components.source.time).toBeCloseTo(time);
+    expect(fork.components.source.time).toBeCloseTo(time + 0.5);
+  });
+
+  test('a fork of a simulator source instance steps its own simulator', async () => {
+    const source = new SimulatorSource(new FusionSimulator({ seed: 1 }));
+    const twin = await new TwinCosmos({ source, seed: 1, verbose: false }).initialize();
+    await twin.step(0.1);
+    const temperature = twin.components.fusion.getState().temperature;
+
+    const fork = await twin.fork();
+    expect(fork.components.fusion).not.toBe(twin.components.fusion);
+    expect(fork.components.fusion.getState().temperature).toBe(temperature);
+    await fork.step(0.1);
+    expect(twin.components.fusion.getState().temperature).toBe(temperature);
+    expect(twin.state.time).toBeCloseTo(0.1);
+  });
+});
+
+describe('FusionSimulator state and history', () => {
+  test('getState() leaves the history to getHistory()', () => {
+    const sim = new FusionSimulator({ seed: 1 });
+    for (let i = 0; i < 5; i++) sim.step(0.1);
+    expect(sim.getState()).not.toHaveProperty('history');
+    expect(sim.getHistory()).toHaveLength(5);
+    expect(new SimulatorSource(sim).getHistory()).toEqual(sim.getHistory());
+  });
+
+  test('a restored snapshot continues exactly like the original', () => {
+    const sim = new FusionSimulator({ seed: 1 });
+    for (let i = 0; i < 5; i++) sim.step(0.1);
+    const snapshot = sim.snapshot();
+    const expected = Array.from({ length: 5 }, () => sim.step(0.1));
+
+    const copy = new FusionSimulator({ seed: 99 }).restore(snapshot);
+    expect(Array.from({ length: 5 }, () => copy.step(0.1))).toEqual(expected);
+    expect(copy.getHistory()).toEqual(sim.getHistory());
+  });
+});
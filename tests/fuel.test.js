@@ -0,0 +1,85 @@
+import {
+  AVOGADRO,
+  tritiumGrams,
+  fuelMix,
+  electronDensity,
+  effectiveCharge,
+  scaleSpecies,
+  advanceSpecies
+} from '../src/physics/fuel.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+
+const rates = { reactionRate: 0, deuteriumFueling: 0, tritiumFueling: 0, exhaustRate: 0, heliumConfinementTime: 0 };
+
+describe('fuel species', () => {
+  test('a mole of tritium weighs ~3 g', () => {
+    expect(tritiumGrams(AVOGADRO)).toBeCloseTo(3.016, 3);
+  });
+
+  test('quasi-neutrality and Z_eff with helium ash', () => {
+    const species = { deuterium: 4e19, tritium: 4e19, helium: 1e19 };
+    expect(electronDensity(species)).toBe(1e20);
+    expect(effectiveCharge(species, 1.5)).toBeCloseTo(1.7, 12);
+    expect(effectiveCharge(fuelMix(0), 1.5)).toBe(1.5);
+    expect(fuelMix(1e20, 0.4)).toEqual({ deuterium: 6e19, tritium: 4e19, helium: 0 });
+    expect(electronDensity(scaleSpecies(species, 2e20))).toBe(2e20);
+  });
+
+  test('burn-up turns two fuel ions into one helium ion and conserves n_e', () => {
+    const species = fuelMix(1e20);
+    const result = advanceSpecies(species, { ...rates, reactionRate: 1e18 }, 1);
+    expect(result.burned).toBe(1e18);
+    expect(result.species.helium).toBe(1e18);
+    expect(electronDensity(result.species)).toBeCloseTo(1e20, -6);
+  });
+
+  test('burn-up is capped by the fuel present; ash and fuel are pumped out', () => {
+    expect(advanceSpecies({ deuterium: 1e19, tritium: 1e17, helium: 0 }, { ...rates, reactionRate: 1e20 }, 1).burned).toBe(1e17);
+
+    const result = advanceSpecies({ deuterium: 5e19, tritium: 5e19, helium: 1e18 },
+      { ...rates, exhaustRate: 0.01, heliumConfinementTime: 10 }, 1);
+    expect(result.exhausted).toBeCloseTo(5e17, -6);
+    expect(result.species.tritium).toBeCloseTo(5e19 - 5e17, -6);
+    expect(result.species.helium).toBeCloseTo(0.9e18, -6);
+  });
+});
+
+describe('FusionSimulator fuel cycle', () => {
+  const run = (config, steps = 20) => {
+    const sim = new FusionSimulator({ seed: 1, disruptions: false, ...config });
+    for (let i = 0; i < steps; i++) sim.step(0.5);
+    return sim.getState();
+  };
+  // The initial plasma counts as injected but is not drawn from storage
+  const initialLoad = new FusionSimulator({ seed: 1 }).getState().fuelCycle.tritiumInjected;
+
+  test('tritium inventory balances injection, recovery and breeding', () => {
+    const { fuelCycle } = run({});
+    expect(initialLoad).toBeGreaterThan(0);
+    expect(fuelCycle.tritiumInjected).toBeGreaterThan(initialLoad);
+    expect(fuelCycle.tritiumBurned).toBeGreaterThan(0);
+    expect(fuelCycle.tritiumInventory).toBeCloseTo(
+      1000 - (fuelCycle.tritiumInjected - initialLoad) + fuelCycle.tritiumRecovered + fuelCycle.tritiumBred, 10
+    );
+    expect(fuelCycle.burnFraction).toBeCloseTo(fuelCycle.tritiumBurned / fuelCycle.tritiumInjected, 12);
+  });
+
+  test('breeding returns TBR times the burned tritium', () => {
+    const { fuelCycle } = run({ tritiumBreedingRatio: 1.1 });
+    expect(fuelCycle.tritiumBred).toBeCloseTo(1.1 * fuelCycle.tritiumBurned, 12);
+    expect(fuelCycle.tritiumInventory).toBeGreaterThan(run({}).fuelCycle.tritiumInventory);
+  });
+
+  test('an empty inventory stops tritium fueling', () => {
+    const state = run({ tritiumInventory: 0, tritiumRecovery: 0 });
+    expect(state.fuelCycle.tritiumInjected).toBe(initialLoad);
+    expect(state.fuelCycle.tritiumInventory).toBe(0);
+    expect(state.species.tritium).toBeLessThan(state.species.deuterium);
+  });
+
+  test('fusion builds up helium ash', () => {
+    const state = run({});
+    expect(state.heliumFraction).toBeGreaterThan(0);
+    expect(state.species.helium).toBeCloseTo(state.heliumFraction * state.density, 0);
+  });
+});
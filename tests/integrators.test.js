@@ -0,0 +1,96 @@
+import {
+  integrate,
+  eulerStep,
+  rk4Step,
+  dormandPrinceStep,
+  getIntegrator,
+  listIntegrators,
+  registerIntegrator
+} from '../src/utils/integrators.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+
+// dy/dt = -y, y(1) = e^-1
+const decay = (t, y) => [-y[0]];
+const errorWith = (stepper, h) => {
+  let y = [1];
+  for (let i = 0; i < Math.round(1 / h); i++) y = stepper(decay, i * h, y, h).y;
+  return Math.abs(y[0] - Math.exp(-1));
+};
+
+describe('fixed-step integrators', () => {
+  test('Euler is first order and RK4 fourth order', () => {
+    const order = (stepper, h) => Math.log2(errorWith(stepper, h) / errorWith(stepper, h / 2));
+    expect(order(eulerStep, 0.02)).toBeCloseTo(1, 1);
+    expect(order(rk4Step, 0.02)).toBeCloseTo(4, 1);
+  });
+
+  test('integrate splits the interval into equal sub-steps no longer than maxStep', () => {
+    const result = integrate(decay, [1], 1, { method: 'rk4', maxStep: 0.3 });
+    expect(result.steps).toBe(4);
+    expect(result.step).toBe(0.25);
+    expect(result.y[0]).toBeCloseTo(Math.exp(-1), 4);
+  });
+
+  test('a zero duration returns a copy of the start', () => {
+    const y0 = [1];
+    const result = integrate(decay, y0, 0);
+    expect(result).toEqual({ y: [1], steps: 0, rejected: 0, step: 0 });
+    expect(result.y).not.toBe(y0);
+  });
+});
+
+describe('adaptive Dormand-Prince', () => {
+  test('the embedded error estimate is fifth order small on smooth problems', () => {
+    const { y, error } = dormandPrinceStep(decay, 0, [1], 0.1);
+    expect(Math.abs(y[0] - Math.exp(-0.1))).toBeLessThan(1e-9);
+    expect(Math.abs(error[0])).toBeLessThan(1e-6);
+  });
+
+  test('meets the tolerance and takes more steps when it is tighter', () => {
+    const loose = integrate(decay, [1], 5, { method: 'rk45', tolerance: 1e-4 });
+    const tight = integrate(decay, [1], 5, { method: 'rk45', tolerance: 1e-10 });
+    expect(Math.abs(loose.y[0] - Math.exp(-5))).toBeLessThan(1e-4);
+    expect(Math.abs(tight.y[0] - Math.exp(-5))).toBeLessThan(1e-10);
+    expect(tight.steps).toBeGreaterThan(loose.steps);
+  });
+
+  test('shrinks the step on a stiff transient and rejects steps that miss the tolerance', () => {
+    // Fast decay to a slow solution: y' = -1000 (y - cos t)
+    const stiff = (t, y) => [-1000 * (y[0] - Math.cos(t))];
+    const result = integrate(stiff, [0], 0.1, { method: 'rk45', tolerance: 1e-6, atol: 1e-9 });
+    expect(result.rejected).toBeGreaterThan(0);
+    expect(result.step).toBeLessThan(0.01);
+    expect(result.y[0]).toBeCloseTo(Math.cos(0.1), 3);
+  });
+
+  test('gives up after maxSteps', () => {
+    const stiff = (t, y) => [-1e6 * y[0]];
+    expect(() => integrate(stiff, [1], 1, { method: 'rk45', maxSteps: 10, atol: 1e-12 }))
+      .toThrow('Integrator rk45 exceeded 10 steps');
+  });
+});
+
+describe('integrator registry', () => {
+  test('lists the built-ins, registers new steppers and rejects unknown names', () => {
+    expect(listIntegrators()).toEqual(expect.arrayContaining(['euler', 'rk4', 'rk45']));
+    expect(getIntegrator('rk45').adaptive).toBe(true);
+    registerIntegrator('midpoint-test', (f, t, y, h) => {
+      const k = f(t + h / 2, y.map((v, i) => v + h / 2 * f(t, y)[i]));
+      return { y: y.map((v, i) => v + h * k[i]) };
+    });
+    expect(integrate(decay, [1], 1, { method: 'midpoint-test', maxStep: 0.01 }).y[0]).toBeCloseTo(Math.exp(-1), 4);
+    expect(() => getIntegrator('leapfrog')).toThrow('Unknown integrator: leapfrog');
+    expect(() => registerIntegrator('bad', null)).toThrow('Integrator bad must be a function');
+  });
+
+  test('FusionSimulator validates its integrator and agrees across methods', () => {
+    expect(() => new FusionSimulator({ integrator: 'leapfrog' })).toThrow('Unknown integrator: leapfrog');
+    const run = (integrator) => {
+      const sim = new FusionSimulator({ seed: 1, disruptions: false, integrator });
+      let state;
+      for (let i = 0; i < 10; i++) state = sim.step(0.5);
+      return state.temperature;
+    };
+    expect(run('rk45') / run('rk4')).toBeCloseTo(1, 4);
+  });
+});
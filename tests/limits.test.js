@@ -0,0 +1,100 @@
+import {
+  greenwaldDensity,
+  toroidalBeta,
+  troyonLimit,
+  safetyFactor95,
+  sudoDensityLimit,
+  evaluateLimits,
+  disruptionProbability
+} from '../src/physics/limits.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+
+const ITER = { majorRadius: 6.2, minorRadius: 2.0, elongation: 1.7, triangularity: 0.33 };
+
+describe('operational limits', () => {
+  test('Greenwald density n_G = I / (π a²)', () => {
+    expect(greenwaldDensity(15, 2.0)).toBeCloseTo(15 / (4 * Math.PI) * 1e20, -10);
+  });
+
+  test('beta and the Troyon limit in percent', () => {
+    expect(toroidalBeta(1e20, 1.16e8, 5.3)).toBeCloseTo(2.87, 2);
+    expect(troyonLimit(15, 2.0, 5.3)).toBeCloseTo(2.8 * 15 / (2.0 * 5.3), 10);
+    expect(troyonLimit(15, 2.0, 5.3, 3.5)).toBeGreaterThan(troyonLimit(15, 2.0, 5.3));
+  });
+
+  test('q95 is ~3 for ITER, falls with current and is infinite without it', () => {
+    const q95 = safetyFactor95({ ...ITER, plasmaCurrent: 15, magneticField: 5.3 });
+    expect(q95).toBeGreaterThan(2.8);
+    expect(q95).toBeLessThan(3.3);
+    expect(safetyFactor95({ ...ITER, plasmaCurrent: 20, magneticField: 5.3 })).toBeCloseTo(q95 * 15 / 20, 10);
+    expect(safetyFactor95({ ...ITER, plasmaCurrent: 0, magneticField: 5.3 })).toBe(Infinity);
+  });
+
+  test('Sudo density limit grows as √(P B)', () => {
+    expect(sudoDensityLimit(4 * 10, 2.5, 0.53, 5.5)).toBeCloseTo(2 * sudoDensityLimit(10, 2.5, 0.53, 5.5), -10);
+    expect(sudoDensityLimit(-1, 2.5, 0.53, 5.5)).toBe(0);
+  });
+
+  test('evaluateLimits reports fractions, the closest limit and violations', () => {
+    const state = { plasmaCurrent: 15, magneticField: 5.3, temperature: 5e7 };
+    const nG = greenwaldDensity(15, ITER.minorRadius);
+
+    const safe = evaluateLimits({ ...state, density: 0.8 * nG }, ITER);
+    expect(safe.fractions.greenwald).toBeCloseTo(0.8, 10);
+    expect(safe.closest).toBe('greenwald');
+    expect(safe.violations).toEqual([]);
+
+    const dense = evaluateLimits({ ...state, density: 1.2 * nG }, ITER);
+    expect(dense.violations).toEqual(['greenwald']);
+    expect(dense.proximity).toBeCloseTo(1.2, 10);
+    expect(evaluateLimits({ ...state, density: 1.2 * nG }, ITER, { greenwaldFactor: 1.5 }).violations).toEqual([]);
+
+    const lowQ = evaluateLimits({ ...state, plasmaCurrent: 25, density: 0.5 * nG }, ITER, { qLimit: 2 });
+    expect(lowQ.fractions.q95).toBeGreaterThan(1);
+    expect(lowQ.violations).toContain('q95');
+  });
+});
+
+describe('disruptionProbability', () => {
+  test('risk is ½ at the barrier and the per-step probability grows with dt', () => {
+    expect(disruptionProbability(1.0, 1).risk).toBeCloseTo(0.5, 10);
+    expect(disruptionProbability(0.7, 1).risk).toBeLessThan(1e-6);
+    const { risk, probability } = disruptionProbability(1.2, 0.1);
+    expect(probability).toBeCloseTo(1 - Math.exp(-risk * 0.1), 10);
+    expect(disruptionProbability(1.2, 1).probability).toBeGreaterThan(probability);
+  });
+});
+
+describe('FusionSimulator disruptions', () => {
+  test('a triggered disruption runs thermal quench, current quench, termination', () => {
+    const sim = new FusionSimulator({ seed: 1 });
+    sim.step(0.1);
+    expect(sim.triggerDisruption('greenwald')).toMatchObject({ stage: 'thermal-quench', cause: 'greenwald' });
+    expect(sim.getState().phase).toBe('disruption');
+
+    const stages = [];
+    for (let i = 0; i < 50; i++) stages.push(sim.step(0.01).disruption?.stage ?? sim.getState().phase);
+    expect(stages).toContain('current-quench');
+    expect(sim.getState().plasmaCurrent).toBe(0);
+    expect(sim.getState().phase).toBe('termination');
+    expect(sim.getState().temperature).toBeLessThan(1e6);
+  });
+
+  test('a plasma far beyond the Greenwald limit disrupts; disruptions: false only reports it', () => {
+    const overdense = (config) => {
+      const sim = new FusionSimulator({ seed: 1, ...config });
+      sim.state.density = 3 * greenwaldDensity(sim.config.plasmaCurrent, sim.config.minorRadius);
+      sim.syncSpecies();
+      sim.step(1);
+      return sim.getState();
+    };
+    const disrupted = overdense({});
+    expect(disrupted.phase).toBe('disruption');
+    expect(disrupted.disruption.cause).toBe('greenwald');
+
+    const reported = overdense({ disruptions: false });
+    expect(reported.phase).not.toBe('disruption');
+    expect(reported.violations).toContain('greenwald');
+    expect(reported.disruptionRisk).toBeGreaterThan(0.99);
+  });
+});
@@ -0,0 +1,58 @@
+import { MemoryStore } from '../src/memory/store.js';
+
+describe('MemoryStore tiers', () => {
+  test('a new entry scores P = 1/(1+e^(-2γ(Input-B)))', async () => {
+    const memory = new MemoryStore();
+    await memory.store('a', { note: 'x' }, { importance: 1 });
+    const input = 0.4 * (1 - Math.exp(-1 / 3)) + 0.3 + 0.3;
+    expect(memory.entries.get('a').probability).toBeCloseTo(1 / (1 + Math.exp(-4 * (input - 0.5))), 10);
+  });
+
+  test('frequent access promotes an important entry to hot', async () => {
+    const memory = new MemoryStore();
+    await memory.store('a', { note: 'x' }, { importance: 1 });
+    expect(memory.get('a').tier).toBe('warm');
+    for (let i = 0; i < 8; i++) memory.get('a');
+    expect(memory.get('a').tier).toBe('hot');
+    expect(memory.getTierStats().promotions).toBe(1);
+  });
+
+  test('unimportant entries cool down, are compressed and evicted first', async () => {
+    const memory = new MemoryStore({ maxEntries: 3 });
+    await memory.store('old', { note: 'x', history: [1, 2, 3], nested: { a: 1, deep: { b: 2 } } }, { importance: 0 });
+    for (let i = 0; i < 100; i++) await memory.store('fresh', { i }, { importance: 1 });
+
+    const old = memory.entries.get('old');
+    expect(old.tier).toBe('cold');
+    expect(old.compressed).toBe(true);
+    expect(old.value).toEqual({ note: 'x', nested: { a: 1 } });
+
+    await memory.store('b', {}, { importance: 1 });
+    await memory.store('c', {}, { importance: 1 });
+    expect(memory.size).toBe(3);
+    expect(memory.get('old')).toBeNull();
+    expect(memory.getTierStats().evictions).toBe(1);
+  });
+
+  test('tier statistics count every entry once', async () => {
+    const memory = new MemoryStore();
+    for (let i = 0; i < 5; i++) await memory.store(`k${i}`, { i }, { importance: i / 4 });
+    const { size, tiers } = memory.getTierStats();
+    expect(size).toBe(5);
+    expect(tiers.hot.count + tiers.warm.count + tiers.cold.count).toBe(5);
+    const warm = memory.getTier('warm').map(entry => entry.probability);
+    expect(warm).toEqual([...warm].sort((a, b) => b - a));
+  });
+
+  test('snapshot and restore reproduce entries, indexes and clock', async () => {
+    const memory = new MemoryStore();
+    await memory.store('a', { rationale: 'raise heating' }, { importance: 0.9 });
+    await memory.store('b', { rationale: 'cut fueling' }, { importance: 0.2 });
+    const snapshot = memory.snapshot();
+
+    const restored = new MemoryStore().restore(snapshot);
+    expect(restored.tick).toBe(memory.tick);
+    expect(restored.search({ text: 'heating' }).map(hit => hit.key))
+      .toEqual(memory.search({ text: 'heating' }).map(hit => hit.key));
+  });
+});
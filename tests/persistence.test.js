@@ -0,0 +1,83 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FileAdapter, InMemoryAdapter } from '../src/memory/adapters.js';
+import { MemoryStore } from '../src/memory/store.js';
+import { TwinCosmos } from '../src/index.js';
+
+describe('memory persistence', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'twincosmos-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('FileAdapter requires a path', () => {
+    expect(() => new FileAdapter()).toThrow('FileAdapter requires a path');
+  });
+
+  test('a new store replays the log, deletions included', async () => {
+    const memory = new MemoryStore({ adapter: new FileAdapter({ path: dir }) });
+    await memory.store('a', { rationale: 'raise heating' }, { importance: 0.9 });
+    await memory.store('b', { rationale: 'cut fueling' });
+    await memory.delete('b');
+
+    const reloaded = new MemoryStore({ adapter: new FileAdapter({ path: dir }) });
+    expect(await reloaded.load()).toBe(1);
+    expect(reloaded.get('a').value).toEqual({ rationale: 'raise heating' });
+    expect(reloaded.search({ text: 'heating' }).map(hit => hit.key)).toEqual(['a']);
+  });
+
+  test('compaction rewrites the log as one record per live entry', async () => {
+    const adapter = new FileAdapter({ path: dir });
+    const memory = new MemoryStore({ adapter, compactEvery: 4 });
+    for (let i = 0; i < 3; i++) await memory.store('a', { i });
+    const before = (await fs.readFile(adapter.memoryPath, 'utf8')).trim().split('\n');
+    expect(before).toHaveLength(3);
+
+    await memory.store('b', {});
+    const after = (await fs.readFile(adapter.memoryPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(after.map(record => record.op)).toEqual(['meta', 'set', 'set']);
+    expect(adapter.pending).toBe(0);
+  });
+
+  test('a torn final line is dropped, a corrupt earlier line is an error', async () => {
+    const adapter = new FileAdapter({ path: dir });
+    const memory = new MemoryStore({ adapter });
+    await memory.store('a', { i: 1 });
+    await fs.appendFile(adapter.memoryPath, '{"op":"set","key":"b"');
+    expect(await new MemoryStore({ adapter: new FileAdapter({ path: dir }) }).load()).toBe(1);
+
+    await fs.appendFile(adapter.memoryPath, '\n{"op":"delete","key":"a"}\n');
+    await expect(new MemoryStore({ adapter: new FileAdapter({ path: dir }) }).load()).rejects.toThrow(SyntaxError);
+  });
+
+  test('InMemoryAdapter keeps its records apart from the caller', async () => {
+    const adapter = new InMemoryAdapter();
+    const records = [{ op: 'set', key: 'a', entry: { value: 1 } }];
+    await adapter.append(records);
+    records[0].entry.value = 2;
+    expect((await adapter.readRecords())[0].entry.value).toBe(1);
+    expect(adapter.pending).toBe(1);
+  });
+
+  test('TwinCosmos.load continues the clock, memory and learned strategies of a saved twin', async () => {
+    const twin = await new TwinCosmos({ seed: 1, verbose: false, persistence: { path: dir } }).initialize();
+    await twin.run(10);
+    const strategies = twin.components.decision.exportState();
+    const memorySize = twin.components.memory.size;
+
+    const loaded = await TwinCosmos.load(dir, { seed: 1, verbose: false });
+    expect(loaded.state.time).toBeCloseTo(twin.state.time);
+    expect(loaded.state.step).toBe(twin.state.step);
+    expect(loaded.components.memory.size).toBe(memorySize);
+    expect(loaded.components.decision.exportState()).toEqual(strategies);
+
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'state.json'), 'utf8'));
+    expect(saved).toMatchObject({ version: 1, step: twin.state.step });
+  });
+});
@@ -0,0 +1,85 @@
+import {
+  ALPHA_FRACTION,
+  KELVIN_PER_KEV,
+  dtReactivity,
+  fusionPowerDensity,
+  bremsstrahlungPowerDensity,
+  storedEnergy,
+  temperatureFromEnergy,
+  fusionGain
+} from '../src/physics/plasma.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+
+describe('D-T fusion and radiation', () => {
+  test('Bosch-Hale reactivity matches tabulated values', () => {
+    expect(dtReactivity(10)).toBeCloseTo(1.136e-22, 24);
+    expect(dtReactivity(20)).toBeCloseTo(4.33e-22, 24);
+    expect(dtReactivity(64)).toBeGreaterThan(dtReactivity(100));
+    expect(dtReactivity(0)).toBe(0);
+    expect(dtReactivity(-1)).toBe(0);
+  });
+
+  test('fusion power density n_D n_T <σv> E_DT peaks at a 50:50 mix', () => {
+    const p = fusionPowerDensity(0.5e20, 0.5e20, 10);
+    expect(p).toBeCloseTo(0.25e40 * dtReactivity(10) * 17.6 * 1.602176634e-13, -2);
+    expect(fusionPowerDensity(0.3e20, 0.7e20, 10)).toBeLessThan(p);
+  });
+
+  test('bremsstrahlung scales with Z_eff n² √T', () => {
+    expect(bremsstrahlungPowerDensity(1e20, 4)).toBeCloseTo(5.35e-37 * 1e40 * 2, 6);
+    expect(bremsstrahlungPowerDensity(1e20, 4, 2)).toBeCloseTo(2 * bremsstrahlungPowerDensity(1e20, 4), 6);
+    expect(bremsstrahlungPowerDensity(2e20, 4)).toBeCloseTo(4 * bremsstrahlungPowerDensity(1e20, 4), 6);
+    expect(bremsstrahlungPowerDensity(1e20, -1)).toBe(0);
+  });
+
+  test('stored energy W = 3 n k_B T V and back', () => {
+    const W = storedEnergy(1e20, 1e8, 800);
+    expect(W).toBeCloseTo(3 * 1e20 * 1.380649e-23 * 1e8 * 800, -2);
+    expect(temperatureFromEnergy(W, 1e20, 800)).toBeCloseTo(1e8, 4);
+  });
+});
+
+describe('fusionGain', () => {
+  test('Q = P_fusion / P_aux with auxiliary heating', () => {
+    expect(fusionGain(500e6, 50e6)).toBe(10);
+    expect(fusionGain(0, 50e6)).toBe(0);
+  });
+
+  test('no heating: ∞ only for a burning plasma', () => {
+    expect(fusionGain(100e6, 0)).toBe(Infinity);
+    expect(fusionGain(0, 0)).toBe(0);
+  });
+});
+
+describe('FusionSimulator energy balance', () => {
+  const run = (config, steps) => {
+    const sim = new FusionSimulator({ seed: 1, disruptions: false, ...config });
+    let state;
+    for (let i = 0; i < steps; i++) state = sim.step(0.5);
+    return { sim, state };
+  };
+
+  test('reported powers follow the plasma state', () => {
+    const { sim, state } = run({}, 10);
+    const T_keV = state.temperature / KELVIN_PER_KEV;
+    expect(state.alphaPower).toBeCloseTo(ALPHA_FRACTION * state.fusionPower, 0);
+    expect(state.radiationPower / (bremsstrahlungPowerDensity(state.density, T_keV, sim.getEffectiveCharge()) * sim.getVolume()))
+      .toBeCloseTo(1, 10);
+    expect(state.Q).toBeCloseTo(state.fusionPower / state.heatingPower, 10);
+    expect(state.lossPower).toBeCloseTo(state.heatingPower + state.alphaPower - state.radiationPower, 0);
+    expect(state.storedEnergy / storedEnergy(state.density, state.temperature, sim.getVolume())).toBeCloseTo(1, 10);
+  });
+
+  test('more auxiliary heating gives a hotter plasma and more fusion power', () => {
+    const low = run({ heatingPower: 20e6 }, 20).state;
+    const high = run({ heatingPower: 100e6 }, 20).state;
+    expect(high.temperature).toBeGreaterThan(low.temperature);
+    expect(high.fusionPower).toBeGreaterThan(low.fusionPower);
+  });
+
+  test('impurities raise Z_eff and the radiated power', () => {
+    const clean = run({ zEff: 1.2 }, 2).state;
+    const dirty = run({ zEff: 3 }, 2).state;
+    expect(dirty.radiationPower).toBeGreaterThan(clean.radiationPower);
+  });
+});
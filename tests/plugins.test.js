@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import { TwinCosmos } from '../src/index.js';
+
+describe('TwinCosmos plugins', () => {
+  test('plugins: undefined is treated as no plugins, also in forks', async () => {
+    const twin = await new TwinCosmos({ seed: 1, verbose: false, plugins: undefined }).initialize();
+    expect(twin.plugins).toEqual([]);
+    const fork = await twin.fork({ plugins: undefined });
+    await fork.step(0.1);
+    expect(fork.plugins).toEqual([]);
+  });
+
+  test('a channel veto removes that output from the command', async () => {
+    const twin = await new TwinCosmos({ seed: 1, verbose: false }).initialize();
+    twin.use({ name: 'no-fueling', decision: (context) => context.veto('test', 'fueling') });
+    const result = await twin.step(0.1);
+    expect(result.vetoes).toEqual([{ channel: 'fueling', reason: 'test' }]);
+    expect(result.control).not.toHaveProperty('fuelingRate');
+  });
+
+  test('metrics plugin counts steps and survives a fork independently', async () => {
+    const twin = await new TwinCosmos({ seed: 1, verbose: false, plugins: ['metrics'] }).initialize();
+    for (let i = 0; i < 3; i++) await twin.step(0.1);
+    const fork = await twin.fork();
+    await fork.step(0.1);
+    expect(twin.components.metrics.get().steps).toBe(3);
+    expect(fork.components.metrics.get().steps).toBe(4);
+  });
+
+  test('logger plugin is silent without a log function', async () => {
+    const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const twin = await new TwinCosmos({ seed: 1, verbose: false, plugins: [{ type: 'logger', events: ['afterStep'] }] }).initialize();
+      await twin.step(0.1);
+      expect(spy).not.toHaveBeenCalled();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('logger plugin writes one line per selected event through log', async () => {
+    const lines = [];
+    const twin = await new TwinCosmos({
+      seed: 1,
+      verbose: false,
+      plugins: [{ type: 'logger', events: ['afterStep'], log: line => lines.push(line) }]
+    }).initialize();
+    await twin.step(0.1);
+    await twin.step(0.1);
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^\[t=0\.1s\]/);
+  });
+});
@@ -0,0 +1,108 @@
+import { PulseStateMachine } from '../src/simulators/pulse.js';
+
+const cold = { temperature: 5e7, density: 1e20, plasmaCurrent: 15, fusionPower: 0 };
+
+describe('PulseStateMachine timeouts', () => {
+  test('a ramp-up that never reaches burn times out into ramp-down', () => {
+    const pulse = new PulseStateMachine({ initialPhase: 'ramp-up' });
+    const transitions = [];
+    pulse.on('transition', event => transitions.push(event));
+
+    for (let t = 0; t < 59; t++) expect(pulse.update(cold, 1)).toBeNull();
+    const event = pulse.update(cold, 1);
+
+    expect(event).toMatchObject({ from: 'ramp-up', to: 'ramp-down', dwell: 60 });
+    expect(event.reason).toBe('Maximum ramp-up dwell (60s) exceeded');
+    expect(transitions).toEqual([event]);
+  });
+
+  test('maxDwell and timeouts can be overridden per phase', () => {
+    const pulse = new PulseStateMachine({
+      initialPhase: 'ramp-up',
+      maxDwell: { 'ramp-up': 10 },
+      timeouts: { 'ramp-up': 'termination' }
+    });
+    for (let t = 0; t < 9; t++) pulse.update(cold, 1);
+    expect(pulse.phase).toBe('ramp-up');
+    expect(pulse.update(cold, 1)).toMatchObject({ to: 'termination' });
+  });
+});
+
+describe('PulseStateMachine lifecycle', () => {
+  const vacuum = { temperature: 300, density: 0, plasmaCurrent: 0, fusionPower: 0 };
+  const filled = { ...vacuum, density: 5e18 };
+  const hot = { temperature: 2e6, density: 5e19, plasmaCurrent: 3, fusionPower: 0 };
+  const burning = { temperature: 1.5e8, density: 1e20, plasmaCurrent: 15, fusionPower: 4e8 };
+
+  test('walks pre-fill → breakdown → ramp-up → burn → ramp-down → termination', () => {
+    const pulse = new PulseStateMachine({ burnDuration: 10 });
+    const phases = [];
+    const drive = (state, steps) => {
+      for (let i = 0; i < steps; i++) {
+        const event = pulse.update(state, 0.1);
+        if (event) phases.push(event.to);
+      }
+    };
+    drive(vacuum, 10);
+    drive(filled, 10);
+    drive(hot, 10);
+    drive(burning, 105);
+    drive({ ...burning, plasmaCurrent: 0.1 }, 5);
+
+    expect(phases).toEqual(['breakdown', 'ramp-up', 'burn', 'ramp-down', 'termination']);
+    expect(pulse.getEvents().map(event => event.reason)).toEqual([
+      'Pre-fill density reached',
+      'Burn-through',
+      'Flat-top current, burning plasma',
+      'Burn duration reached',
+      'Current ramped down'
+    ]);
+  });
+
+  test('holds a phase for its minimum dwell', () => {
+    const pulse = new PulseStateMachine();
+    for (let i = 0; i < 4; i++) expect(pulse.update(filled, 0.1)).toBeNull();
+    expect(pulse.update(filled, 0.1)).toMatchObject({ from: 'pre-fill', to: 'breakdown' });
+  });
+
+  test('a breakdown without burn-through ends in termination after 5 s', () => {
+    const pulse = new PulseStateMachine({ initialPhase: 'breakdown' });
+    for (let t = 0; t < 4; t++) pulse.update(filled, 1);
+    expect(pulse.update(filled, 1)).toMatchObject({ to: 'termination', reason: 'Maximum breakdown dwell (5s) exceeded' });
+  });
+
+  test('operator commands: ramp-down from burn, start after termination', () => {
+    const pulse = new PulseStateMachine({ initialPhase: 'burn' });
+    expect(() => pulse.request('abort')).toThrow('Unknown pulse command: abort');
+    pulse.request('ramp-down');
+    expect(pulse.update(burning, 0.1)).toMatchObject({ to: 'ramp-down', reason: 'Ramp-down requested' });
+    expect(pulse.requested).toBeNull();
+
+    pulse.transition('termination');
+    pulse.update(vacuum, 2);
+    expect(pulse.phase).toBe('termination');
+    pulse.request('start');
+    expect(pulse.update(vacuum, 0.1)).toMatchObject({ to: 'pre-fill', reason: 'Next pulse' });
+    expect(pulse.requested).toBeNull();
+  });
+
+  test('autoRestart starts the next pulse; without current drive ramp-down ends on density', () => {
+    const restart = new PulseStateMachine({ initialPhase: 'termination', autoRestart: true });
+    expect(restart.update(vacuum, 1)).toMatchObject({ to: 'pre-fill' });
+
+    const stellarator = new PulseStateMachine({ initialPhase: 'ramp-down', currentDriven: false });
+    expect(stellarator.update({ ...vacuum, density: 1e19 }, 0.1)).toBeNull();
+    expect(stellarator.update({ ...vacuum, density: 1e18 }, 0.1)).toMatchObject({ reason: 'Density pumped out' });
+  });
+
+  test('rejects unknown phases and round-trips its state', () => {
+    expect(() => new PulseStateMachine({ initialPhase: 'flat-top' })).toThrow('Unknown pulse phase: flat-top');
+    const pulse = new PulseStateMachine({ initialPhase: 'ramp-up' });
+    expect(() => pulse.transition('flat-top')).toThrow('Unknown pulse phase: flat-top');
+
+    pulse.update(burning, 1);
+    const copy = new PulseStateMachine();
+    copy.setState(structuredClone(pulse.getState()));
+    expect(copy.getState()).toEqual(pulse.getState());
+  });
+});
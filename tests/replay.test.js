@@ -0,0 +1,96 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ReplaySource, parseCSV, parseJSONL } from '../src/sources/replay.js';
+import { TwinCosmos } from '../src/index.js';
+
+describe('replay parsing', () => {
+  test('CSV: comments skipped, numbers parsed, empty cells null, quotes kept', () => {
+    const rows = parseCSV('# shot 42\nt,Te,note\n0,1.5,"start, cold"\n\n0.1,,"say ""hi"""\n');
+    expect(rows).toEqual([
+      { t: 0, Te: 1.5, note: 'start, cold' },
+      { t: 0.1, Te: null, note: 'say "hi"' }
+    ]);
+    expect(parseCSV('t;Te\n0;2', { delimiter: ';' })).toEqual([{ t: 0, Te: 2 }]);
+    expect(parseCSV('')).toEqual([]);
+  });
+
+  test('CSV rows with the wrong number of cells name the row', () => {
+    expect(() => parseCSV('t,Te\n0,1\n0.1')).toThrow('CSV row 3: expected 2 columns, got 1');
+  });
+
+  test('JSONL: blank lines skipped, bad lines named', () => {
+    expect(parseJSONL('{"t":0}\n\n{"t":1}\n')).toEqual([{ t: 0 }, { t: 1 }]);
+    expect(() => parseJSONL('{"t":0}\n{t:1}')).toThrow(/^JSONL line 2:/);
+  });
+});
+
+describe('ReplaySource', () => {
+  const text = 'time_ms,Te_keV,ne\n200,12,1.0\n0,10,0.8\n100,11,0.9\n';
+  const options = {
+    text,
+    columns: { time: 'time_ms', temperature: 'Te_keV', density: 'ne' },
+    units: { time: 'ms', temperature: 'keV', density: '1e20 m^-3' }
+  };
+
+  test('maps columns, converts units and sorts by time', () => {
+    const source = new ReplaySource(options);
+    expect(source.samples.map(sample => sample.sourceTime)).toEqual([0, 0.1, 0.2]);
+    expect(source.samples[0].temperature).toBeCloseTo(10 * 1.160452e7, 0);
+    expect(source.samples[0].density).toBeCloseTo(0.8e20, -6);
+    expect(source.samples[0]).not.toHaveProperty('Te_keV');
+  });
+
+  test('interpolates linearly or holds, and finishes after the last record', () => {
+    const linear = new ReplaySource(options);
+    expect(linear.step(0.05).density).toBeCloseTo(0.85e20, -6);
+    const hold = new ReplaySource({ ...options, interpolation: 'hold' });
+    expect(hold.step(0.05).density).toBeCloseTo(0.8e20, -6);
+
+    linear.step(0.15);
+    expect(linear.done).toBe(false);
+    expect(linear.step(0.1)).toBeNull();
+    expect(linear.done).toBe(true);
+  });
+
+  test('fills missing fields as the simulator would and keeps commands for comparison', () => {
+    const source = new ReplaySource({ records: [{ time: 0, fusionPower: 5e8, heatingPower: 5e7 }, { time: 1 }] });
+    source.applyControl({ heatingPower: 1e6 });
+    const state = source.step(0.5);
+    expect(state.Q).toBe(10);
+    expect(state.alphaPower).toBeCloseTo(5e8 * 3.5 / 17.6, 0);
+    expect(state.stability).toBeGreaterThan(0);
+    expect(state.control).toEqual({ heatingPower: 1e6 });
+  });
+
+  test('untimed rows use interval', () => {
+    const source = new ReplaySource({ records: [{ Te: 1 }, { Te: 3 }], interval: 2 });
+    expect(source.step(1).Te).toBe(2);
+  });
+
+  test('rejects unknown formats, units and interpolation, rows without time and empty data', () => {
+    expect(() => new ReplaySource({ text, format: 'xml' })).toThrow('Unknown replay format: xml');
+    expect(() => new ReplaySource({ text, interpolation: 'cubic' })).toThrow('Unknown interpolation: cubic');
+    expect(() => new ReplaySource({ ...options, units: { temperature: 'F' } })).toThrow('Unknown unit for temperature: F');
+    expect(() => new ReplaySource({ text })).toThrow("Replay row 1: no time field 'time'");
+    expect(() => new ReplaySource({ text: 'time\n' })).toThrow('Replay data (csv) has no records');
+    expect(() => new ReplaySource().step(0.1)).toThrow('ReplaySource not loaded');
+  });
+
+  test('loads a JSONL file by extension and drives a twin', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'twincosmos-'));
+    try {
+      const file = path.join(dir, 'shot.jsonl');
+      const rows = [0, 1, 2].map(time => ({ time, temperature: 1.2e8, density: 1e20, confinementTime: 3, fusionPower: 4e8 }));
+      await fs.writeFile(file, rows.map(row => JSON.stringify(row)).join('\n'));
+
+      const twin = await new TwinCosmos({ seed: 1, verbose: false, dt: 0.5, source: { type: 'replay', path: file } }).initialize();
+      await twin.run(10);
+      expect(twin.components.source.getHistory()).toHaveLength(4);
+      expect(twin.components.source.done).toBe(true);
+      expect(twin.components.source.time).toBeCloseTo(2);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,94 @@
+import { BM25Index, VectorIndex, tokenize, extractText, extractVector } from '../src/memory/retrieval.js';
+import { MemoryStore } from '../src/memory/store.js';
+
+describe('text extraction', () => {
+  test('tokenizes on non-word characters, lowercased, CJK kept', () => {
+    expect(tokenize('Raise heating: ML-PID, 聚变')).toEqual(['raise', 'heating', 'ml', 'pid', '聚变']);
+  });
+
+  test('collects key/value pairs and nested strings', () => {
+    expect(extractText({ actions: { heating: 'PID' }, notes: ['a', { b: 'c' }], n: 1 })).toEqual(['heating PID', 'a', 'b c']);
+  });
+
+  test('state vectors use a log scale for wide-range features', () => {
+    expect(extractVector({ state: { temperature: 999, stability: 0.5 } })).toEqual([3, null, 0.5, null]);
+    expect(extractVector({ note: 'x' })).toBeNull();
+    expect(extractVector(null)).toBeNull();
+  });
+});
+
+describe('BM25Index', () => {
+  test('ranks rare terms and higher term frequency first', () => {
+    const index = new BM25Index();
+    index.add('a', 'heating heating ramp');
+    index.add('b', 'heating fueling ramp');
+    index.add('c', 'fueling puff');
+    const scores = index.score('heating');
+    expect([...scores.keys()].sort()).toEqual(['a', 'b']);
+    expect(scores.get('a')).toBeGreaterThan(scores.get('b'));
+
+    const rare = index.score('puff ramp');
+    expect(rare.get('c')).toBeGreaterThan(rare.get('a'));
+  });
+
+  test('re-adding a document replaces it and removal updates the postings', () => {
+    const index = new BM25Index();
+    index.add('a', 'heating');
+    index.add('a', 'fueling');
+    expect(index.score('heating').size).toBe(0);
+    index.remove('a');
+    expect(index.size).toBe(0);
+    expect(index.postings.size).toBe(0);
+    expect(index.totalLength).toBe(0);
+  });
+});
+
+describe('VectorIndex', () => {
+  test('the nearest state scores highest, an exact match scores 1', () => {
+    const index = new VectorIndex();
+    index.add('cold', [7, 19, 0.2, 6]);
+    index.add('warm', [8, 20, 0.5, 8]);
+    index.add('hot', [8.2, 20, 0.9, 9]);
+    const scores = index.score([8, 20, 0.5, 8]);
+    expect(scores.get('warm')).toBe(1);
+    expect(scores.get('hot')).toBeGreaterThan(scores.get('cold'));
+  });
+
+  test('missing features are skipped on either side', () => {
+    const index = new VectorIndex();
+    index.add('a', [null, null, 0.5, null]);
+    index.add('b', [8, 20, null, 8]);
+    const scores = index.score([null, null, 0.5, null]);
+    expect(scores.get('a')).toBe(1);
+    expect(scores.has('b')).toBe(false);
+  });
+});
+
+describe('MemoryStore.search', () => {
+  const state = (temperature, stability) => ({ temperature, density: 1e20, stability, fusionPower: 3e8 });
+
+  async function store() {
+    const memory = new MemoryStore();
+    await memory.store('heat', { rationale: 'raise heating power', state: state(1.5e8, 0.8) });
+    await memory.store('fuel', { rationale: 'cut fueling rate', state: state(5e7, 0.3) });
+    await memory.store('field', { rationale: 'raise magnetic field', state: state(1.4e8, 0.75) });
+    return memory;
+  }
+
+  test('ranks by text, by state and by both', async () => {
+    const memory = await store();
+    expect((await memory.retrieve('heating'))[0].key).toBe('heat');
+    expect(memory.search({ state: state(5e7, 0.3) })[0].key).toBe('fuel');
+    const both = memory.search({ text: 'raise', state: state(1.4e8, 0.75), weights: { activation: 0 } });
+    expect(both.map(hit => hit.key)).toEqual(['field', 'heat', 'fuel']);
+    expect(both[0].scores.text).toBe(1);
+  });
+
+  test('k and filter limit the results, and hits count as accesses', async () => {
+    const memory = await store();
+    const hits = memory.search({ text: 'raise', k: 1, filter: entry => entry.key !== 'heat' });
+    expect(hits.map(hit => hit.key)).toEqual(['field']);
+    expect(memory.entries.get('field').accessCount).toBe(2);
+    expect(memory.entries.get('heat').accessCount).toBe(1);
+  });
+});
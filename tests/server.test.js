@@ -0,0 +1,66 @@
+import { TwinServer } from '../src/index.js';
+
+async function request(server, method, path, body) {
+  const response = await fetch(server.url + path, { method, body: body && JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('TwinServer', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await new TwinServer({ port: 0, interval: 1000, twin: { seed: 1 } }).listen();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('steps, holds a control output and resets over REST', async () => {
+    await request(server, 'POST', '/control', { heatingPower: 80e6 });
+    const stepped = await request(server, 'POST', '/step', { steps: 2 });
+    expect(stepped.status).toBe(200);
+    expect(stepped.body.results.map(result => result.control.heatingPower)).toEqual([80e6, 80e6]);
+
+    expect((await request(server, 'POST', '/control', { laser: 1 })).status).toBe(400);
+    expect((await request(server, 'GET', '/nope')).status).toBe(404);
+    expect((await request(server, 'GET', '/start')).status).toBe(405);
+
+    const reset = await request(server, 'POST', '/reset');
+    expect(reset.body).toMatchObject({ step: 0, held: {} });
+  });
+
+  test('rejects step requests above maxSteps without stepping', async () => {
+    const huge = await request(server, 'POST', '/step', { steps: 1e9 });
+    expect(huge.status).toBe(400);
+    expect(huge.body.error).toBe('steps must be at most 1000, got 1000000000');
+
+    server.config.maxSteps = 3;
+    expect((await request(server, 'POST', '/step', { steps: 4 })).status).toBe(400);
+    expect((await request(server, 'POST', '/step', { steps: 3 })).body.steps).toBe(3);
+    expect((await request(server, 'GET', '/status')).body.step).toBe(3);
+  });
+
+  test('pause and start while a tick is in flight keep a single loop', async () => {
+    let entered;
+    const inStep = new Promise(resolve => { entered = resolve; });
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    server.twin.use({ name: 'gate', beforeStep: () => { entered(); return gate; } });
+
+    server.config.interval = 0;
+    server.start();
+    await inStep;                    // first tick holds in beforeStep
+
+    server.config.interval = 1000;
+    server.pause();
+    server.start();
+    const timer = server.timer;
+
+    release();
+    await server.queue;
+    await new Promise(resolve => setImmediate(resolve));
+    expect(server.timer).toBe(timer);   // the stale tick did not schedule a second chain
+    expect(server.running).toBe(true);
+  });
+});
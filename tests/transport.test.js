@@ -0,0 +1,110 @@
+import {
+  radialGrid,
+  depositionProfile,
+  volumeAverages,
+  createProfiles,
+  solveTridiagonal,
+  profilePowers,
+  advanceProfiles
+} from '../src/physics/transport.js';
+import { plasmaVolume } from '../src/physics/plasma.js';
+import { FusionSimulator } from '../src/simulators/fusion.js';
+
+const device = { majorRadius: 6.0, minorRadius: 2.0, elongation: 1.7 };
+const sum = (values) => values.reduce((total, x) => total + x, 0);
+
+describe('radial grid', () => {
+  const grid = radialGrid(21, device);
+
+  test('control volumes add up to the plasma volume', () => {
+    expect(grid.volume).toBeCloseTo(plasmaVolume(6.0, 2.0, 1.7), 6);
+    expect(sum(grid.volumes)).toBeCloseTo(grid.volume, 6);
+    expect(grid.areas).toHaveLength(20);
+    expect(() => radialGrid(2, device)).toThrow('Radial grid needs at least 3 points');
+  });
+
+  test('deposition weights integrate to one and peak at their center', () => {
+    const edge = depositionProfile(grid, { center: 0.9, width: 0.1 });
+    expect(sum(edge.map((w, i) => w * grid.volumes[i]))).toBeCloseTo(1, 12);
+    expect(edge.indexOf(Math.max(...edge))).toBe(18);
+  });
+
+  test('initial profiles are peaked and match the requested averages', () => {
+    const profiles = createProfiles(grid, { temperature: 1e8, density: 1e20 });
+    const averages = volumeAverages(profiles, grid);
+    expect(averages.temperature).toBeCloseTo(1e8, 0);
+    expect(averages.density / 1e20).toBeCloseTo(1, 12);
+    expect(profiles.temperature[0]).toBeGreaterThan(profiles.temperature[20]);
+  });
+});
+
+describe('solveTridiagonal', () => {
+  test('solves a diagonally dominant system', () => {
+    const x = solveTridiagonal([0, 1, 1], [4, 4, 4], [1, 1, 0], [5, 6, 5]);
+    x.forEach(value => expect(value).toBeCloseTo(1, 12));
+  });
+});
+
+describe('advanceProfiles', () => {
+  const grid = radialGrid(21, device);
+  const flat = new Array(21).fill(1 / grid.volume);
+  const options = {
+    heatingPower: 0,
+    fuelingRate: 0,
+    chi: 1.0,
+    diffusivity: 0.5,
+    heatingProfile: depositionProfile(grid),
+    fuelingProfile: flat,
+    exhaustRate: 0,
+    edgeTemperature: 1e6
+  };
+
+  test('a zero-flux edge without sources conserves particles and flattens the density', () => {
+    const profiles = createProfiles(grid, { temperature: 1e7, density: 1e20 });
+    const { profiles: next } = advanceProfiles(profiles, grid, 1.0, options);
+    expect(volumeAverages(next, grid).density / 1e20).toBeCloseTo(1, 10);
+    expect(next.density[0] - next.density[20]).toBeLessThan(profiles.density[0] - profiles.density[20]);
+  });
+
+  test('without heating the plasma loses energy through the edge', () => {
+    const profiles = createProfiles(grid, { temperature: 1e8, density: 1e20 });
+    const result = advanceProfiles(profiles, grid, 0.5, { ...options, zEff: 1 });
+    expect(result.transportPower).toBeGreaterThan(0);
+    expect(volumeAverages(result.profiles, grid).energy).toBeLessThan(volumeAverages(profiles, grid).energy);
+    expect(result.profiles.temperature[20]).toBeLessThanOrEqual(1e6);
+  });
+
+  test('central heating raises the core temperature', () => {
+    const profiles = createProfiles(grid, { temperature: 1e7, density: 1e20 });
+    const { profiles: cold } = advanceProfiles(profiles, grid, 0.5, options);
+    const { profiles: heated } = advanceProfiles(profiles, grid, 0.5, { ...options, heatingPower: 100e6 });
+    expect(heated.temperature[0]).toBeGreaterThan(cold.temperature[0]);
+  });
+
+  test('profile powers add up the local power densities', () => {
+    const profiles = createProfiles(grid, { temperature: 1.2e8, density: 1e20 });
+    const powers = profilePowers(profiles, grid, 1.5);
+    expect(powers.fusionPower).toBeCloseTo(sum(powers.fusion.map((p, i) => p * grid.volumes[i])), 0);
+    expect(powers.alphaPower / powers.fusionPower).toBeCloseTo(3.5 / 17.6, 12);
+  });
+});
+
+describe('FusionSimulator 1D transport', () => {
+  test('profiles stay consistent with the reported averages', () => {
+    const sim = new FusionSimulator({ seed: 1, disruptions: false, transportModel: '1d' });
+    let state;
+    for (let i = 0; i < 20; i++) state = sim.step(0.5);
+
+    const averages = volumeAverages(state.profiles, sim.grid);
+    expect(state.profiles.temperature).toHaveLength(21);
+    expect(averages.temperature / state.temperature).toBeCloseTo(1, 6);
+    expect(averages.density / state.density).toBeCloseTo(1, 6);
+    expect(state.profiles.temperature[0]).toBeGreaterThan(state.profiles.temperature[20]);
+    expect(Number.isFinite(state.fusionPower)).toBe(true);
+  });
+
+  test('the 0D model reports no profiles and unknown models are rejected', () => {
+    expect(new FusionSimulator({ seed: 1 }).step(0.5).profiles).toBeNull();
+    expect(() => new FusionSimulator({ transportModel: '2d' })).toThrow('Unknown transport model: 2d');
+  });
+});
@@ -0,0 +1,74 @@
+import { parseYAML } from '../src/utils/yaml.js';
+
+describe('parseYAML', () => {
+  test('nested block mappings and sequences', () => {
+    const text = [
+      '---',
+      'name: impurity influx   # comment',
+      'duration: 60',
+      'reactor:',
+      '  initialTemperature: 1e8',
+      '  disruptions: false',
+      'actuators:',
+      '  - channel: heatingPower',
+      '    points:',
+      '      - [0, 50e6]',
+      '      - [5, 90e6]',
+      '  - at: 15',
+      '    control: { fueling: 0.05 }',
+      'tags:',
+      '- a',
+      '- ~'
+    ].join('\n');
+    expect(parseYAML(text)).toEqual({
+      name: 'impurity influx',
+      duration: 60,
+      reactor: { initialTemperature: 1e8, disruptions: false },
+      actuators: [
+        { channel: 'heatingPower', points: [[0, 50e6], [5, 90e6]] },
+        { at: 15, control: { fueling: 0.05 } }
+      ],
+      tags: ['a', null]
+    });
+  });
+
+  test('nested flow collections and quoted scalars', () => {
+    expect(parseYAML("a: { b: [1, { c: 'x, y' }], d: \"q\\\"#\" }")).toEqual({ a: { b: [1, { c: 'x, y' }], d: 'q"#' } });
+    expect(parseYAML("- 'it''s'\n- \"tab\\there\"")).toEqual(["it's", 'tab\there']);
+    expect(parseYAML('"quoted key": 1')).toEqual({ 'quoted key': 1 });
+  });
+
+  test('quotes inside plain scalars do not hide comments', () => {
+    expect(parseYAML("description: it's fine # note")).toEqual({ description: "it's fine" });
+    expect(parseYAML('size: 5" screen # inches')).toEqual({ size: '5" screen' });
+    expect(parseYAML("- don't # a\n- 'quoted # kept'")).toEqual(["don't", 'quoted # kept']);
+    expect(parseYAML('url: a#b')).toEqual({ url: 'a#b' });
+  });
+
+  test('trailing commas in flow collections are ignored', () => {
+    expect(parseYAML('[1, 2,]')).toEqual([1, 2]);
+    expect(parseYAML('a: [x, y, ]')).toEqual({ a: ['x', 'y'] });
+    expect(parseYAML('{ a: 1, }')).toEqual({ a: 1 });
+    expect(() => parseYAML('[1, , 2]')).not.toThrow();
+  });
+
+  test('rejects duplicate keys', () => {
+    expect(() => parseYAML('a: 1\nb: 2\na: 3')).toThrow("YAML line 3: duplicate key 'a'");
+  });
+
+  test.each([
+    ['block scalar', 'text: |\n  line', 'block scalars'],
+    ['anchor', 'a: &x 1', 'anchors'],
+    ['alias', 'a: *x', 'anchors'],
+    ['tag', 'a: !!str 1', 'tags'],
+    ['multiple documents', 'a: 1\n---\nb: 2', 'multiple documents'],
+    ['multi-line plain scalar', 'a:\n  one\n  two', 'multi-line plain scalars'],
+    ['continued inline scalar', 'a: one\n  two', 'multi-line plain scalars'],
+    ['continued sequence item', '- one\n  two', 'multi-line plain scalars'],
+    ['tab indentation', 'a:\n\tb: 1', 'tabs'],
+    ['unterminated flow sequence', 'a: [1, 2', "unterminated '['"],
+    ['unterminated string', "a: 'open", 'unterminated string']
+  ])('rejects %s', (label, text, message) => {
+    expect(() => parseYAML(text)).toThrow(message);
+  });
+});